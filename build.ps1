@@ -39,21 +39,41 @@ $builds = @(
         DeleteHtmlAfterGzip = $true
         JsFiles = @(
             "src/js/fluidnc-api.js",
+            "src/js/segment-store.js",
+            "src/js/flow-control.js",
             "src/js/parser.js",
+            "src/js/parser-worker.js",
             "src/js/camera.js",
+            "src/js/cutter.js",
+            "src/js/color-map.js",
             "src/js/renderer2d.js",
+            "src/js/stock-simulator.js",
+            "src/js/surface-renderer.js",
             "src/js/renderer3d.js",
+            "src/js/motion-planner.js",
             "src/js/animator.js",
+            "src/js/machine-profiles.js",
+            "src/js/job-report.js",
             "src/js/controller.js",
             "src/js/fluidnc-controller.js"
         )
         ScriptTags = @"
     <script src="js/fluidnc-api.js"></script>
+    <script src="js/segment-store.js"></script>
+    <script src="js/flow-control.js"></script>
     <script src="js/parser.js"></script>
+    <script src="js/parser-worker.js"></script>
     <script src="js/camera.js"></script>
+    <script src="js/cutter.js"></script>
+    <script src="js/color-map.js"></script>
     <script src="js/renderer2d.js"></script>
+    <script src="js/stock-simulator.js"></script>
+    <script src="js/surface-renderer.js"></script>
     <script src="js/renderer3d.js"></script>
+    <script src="js/motion-planner.js"></script>
     <script src="js/animator.js"></script>
+    <script src="js/machine-profiles.js"></script>
+    <script src="js/job-report.js"></script>
     <script src="js/controller.js"></script>
     <script src="js/fluidnc-controller.js"></script>
 "@
@@ -64,18 +84,28 @@ $builds = @(
         OutputName = "gcodeviewer"
         SkipGzip = $true
         JsFiles = @(
+            "src/js/segment-store.js",
             "src/js/parser.js",
+            "src/js/parser-worker.js",
             "src/js/camera.js",
+            "src/js/cutter.js",
+            "src/js/color-map.js",
             "src/js/renderer2d.js",
             "src/js/renderer3d.js",
+            "src/js/motion-planner.js",
             "src/js/animator.js",
             "src/js/controller.js"
         )
         ScriptTags = @"
+    <script src="js/segment-store.js"></script>
     <script src="js/parser.js"></script>
+    <script src="js/parser-worker.js"></script>
     <script src="js/camera.js"></script>
+    <script src="js/cutter.js"></script>
+    <script src="js/color-map.js"></script>
     <script src="js/renderer2d.js"></script>
     <script src="js/renderer3d.js"></script>
+    <script src="js/motion-planner.js"></script>
     <script src="js/animator.js"></script>
     <script src="js/controller.js"></script>
 "@
@@ -86,20 +116,32 @@ $builds = @(
         OutputName = "fontcreator"
         SkipGzip = $true
         JsFiles = @(
+            "src/js/segment-store.js",
+            "src/js/flow-control.js",
             "src/js/parser.js",
+            "src/js/parser-worker.js",
             "src/js/camera.js",
+            "src/js/cutter.js",
+            "src/js/color-map.js",
             "src/js/renderer2d.js",
             "src/js/renderer3d.js",
+            "src/js/motion-planner.js",
             "src/js/animator.js",
             "src/js/controller.js",
             "src/js/font-creator-controller.js",
             "src/js/font-creator-app.js"
         )
         ScriptTags = @"
+    <script src="js/segment-store.js"></script>
+    <script src="js/flow-control.js"></script>
     <script src="js/parser.js"></script>
+    <script src="js/parser-worker.js"></script>
     <script src="js/camera.js"></script>
+    <script src="js/cutter.js"></script>
+    <script src="js/color-map.js"></script>
     <script src="js/renderer2d.js"></script>
     <script src="js/renderer3d.js"></script>
+    <script src="js/motion-planner.js"></script>
     <script src="js/animator.js"></script>
     <script src="js/controller.js"></script>
     <script src="js/font-creator-controller.js"></script>
@@ -5,290 +5,238 @@
 
 class Animator {
     constructor() {
-        this.segments = [];
+        this.segments = new SegmentStore(1);
         this.currentIndex = 0;
         this.segmentProgress = 0; // 0-1 progress within current segment
         this.isPlaying = false;
         this.speed = 1.0;
         this.lastTime = 0;
-        this.accumulatedTime = 0;
+        this.currentTime = 0; // Machine time (seconds) at the current position
         this.estimatedTotalTime = 0;
         this.toolTimes = new Map(); // Per-tool time estimates in seconds
         
-        // Machine settings for time estimation
-        this.rapidSpeed = 3000; // mm/min - default/fallback
-        this.maxRateX = 3000; // mm/min - per-axis rapid speeds
-        this.maxRateY = 3000; // mm/min
-        this.maxRateZ = 2000; // mm/min
-        this.accelX = 200; // mm/s²
-        this.accelY = 200; // mm/s²
-        this.accelZ = 80;  // mm/s²
-        this.manualToolChangeTime = 30; // seconds for M0 tool changes
-        this.autoToolChangeTime = 10;   // seconds for M6 tool changes
+        // Machine settings for time estimation (grbl/FluidNC look-ahead planner)
+        this.planner = new MotionPlanner();
+        this.segmentTimes = new Float64Array(0); // Seconds per segment, excluding events
+        this.segmentEndTimes = new Float64Array(0); // Cumulative machine time at the end of each segment
+        this.eventTimes = new Float64Array(0); // Machine time each event in segments.events starts
+        this.eventDurations = Animator.defaultEventDurations(); // seconds per timeline event type
+        this.eventTime = 0; // Total seconds spent in events (dwells, pauses, tool changes...)
         
         this.onUpdate = null; // Callback when index changes
     }
 
     /**
-     * Set machine motion parameters
+     * Set machine motion parameters and re-estimate times
+     * @param {Object} params - accelX..accelC (mm/s²), maxRateX..maxRateC (mm/min),
+     *                          junctionDeviation (mm), plannerBlocks (look-ahead depth),
+     *                          feedOverride (0.5-2) and rapidOverride (0.25-1) factors
      */
     setMotionParameters(params) {
-        if (params.accelX !== undefined) this.accelX = params.accelX;
-        if (params.accelY !== undefined) this.accelY = params.accelY;
-        if (params.accelZ !== undefined) this.accelZ = params.accelZ;
-        if (params.maxRateX !== undefined) this.maxRateX = params.maxRateX;
-        if (params.maxRateY !== undefined) this.maxRateY = params.maxRateY;
-        if (params.maxRateZ !== undefined) this.maxRateZ = params.maxRateZ;
+        this.planner.setParameters(params);
+        if (this.segments.length > 0) this.calculateTotalTime();
         
         console.log('[Animator] Motion parameters updated:', {
-            accel: { X: this.accelX, Y: this.accelY, Z: this.accelZ },
-            maxRate: { X: this.maxRateX, Y: this.maxRateY, Z: this.maxRateZ }
+            accel: this.planner.accel,
+            maxRate: this.planner.maxRate,
+            junctionDeviation: this.planner.junctionDeviation,
+            plannerBlocks: this.planner.bufferSize,
+            feedOverride: this.planner.feedOverride,
+            rapidOverride: this.planner.rapidOverride
         });
     }
 
+    /**
+     * Default seconds added to the estimate for each timeline event type (dwells use their own P time)
+     */
+    static defaultEventDurations() {
+        return {
+            pause: 30,            // M0
+            optionalStop: 0,      // M1 (usually skipped)
+            manualToolChange: 30, // M0 with a "tool" comment
+            toolChange: 10,       // M6
+            spindleStart: 2,      // M3/M4 spin-up or reversal
+            programEnd: 0         // M2/M30
+        };
+    }
+
+    /**
+     * Set event durations (seconds); missing types keep their current value
+     */
+    setEventDurations(durations) {
+        for (const key of Object.keys(this.eventDurations)) {
+            const value = Number(durations[key]);
+            if (Number.isFinite(value) && value >= 0) this.eventDurations[key] = value;
+        }
+    }
+
+    /**
+     * Get the estimated duration of a timeline event in seconds
+     * @param {Object} event - Event from SegmentStore.events
+     */
+    eventDuration(event) {
+        const d = this.eventDurations;
+        switch (event.type) {
+            case 'dwell': return event.seconds || 0;
+            case 'pause': return d.pause;
+            case 'optional-stop': return d.optionalStop;
+            case 'tool-change': return event.manual ? d.manualToolChange : d.toolChange;
+            case 'spindle-start': return d.spindleStart;
+            case 'program-end': return d.programEnd;
+            default: return 0;
+        }
+    }
+
     /**
      * Set segments for animation
+     * @param {SegmentStore} segments - Parsed segments
      */
     setSegments(segments) {
         this.segments = segments;
         this.currentIndex = 0;
         this.segmentProgress = 0;
-        this.accumulatedTime = 0;
+        this.currentTime = 0;
         this.calculateTotalTime();
-        this.calculateDistances();
     }
 
     /**
-     * Calculate cumulative distances for distance-based animation
-     */
-    calculateDistances() {
-        this.segmentDistances = [];
-        let totalDistance = 0;
-        
-        for (let i = 0; i < this.segments.length; i++) {
-            const seg = this.segments[i];
-            
-            // Only count cutting moves, skip rapid moves (they'll be instant)
-            if (seg.type === 'cut') {
-                const dx = seg.end.x - seg.start.x;
-                const dy = seg.end.y - seg.start.y;
-                const dz = seg.end.z - seg.start.z;
-                const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-                
-                totalDistance += distance;
-            }
-            
-            this.segmentDistances.push(totalDistance);
-        }
-        
-        this.totalDistance = totalDistance;
-    }
-
-    /**
-     * Calculate total estimated time from feed rates
+     * Calculate the time table (segment end times, event start times) and totals:
+     * planned move times plus event durations
      */
     calculateTotalTime() {
         this.estimatedTotalTime = 0;
+        this.eventTime = 0;
         this.toolTimes.clear();
         
-        for (let i = 0; i < this.segments.length; i++) {
-            const seg = this.segments[i];
-            const prevSeg = i > 0 ? this.segments[i - 1] : null;
-            const nextSeg = i < this.segments.length - 1 ? this.segments[i + 1] : null;
-            
-            let segmentTime = 0;
-            
-            // Add tool change time if this segment has a tool change
-            if (seg.toolChangeType === 'M0') {
-                segmentTime += this.manualToolChangeTime;
-            } else if (seg.toolChangeType === 'M6') {
-                segmentTime += this.autoToolChangeTime;
-            }
-            
-            // Calculate move time based on type with junction velocities
-            if (seg.type === 'cut' && seg.feedRate > 0) {
-                const feedRate = seg.feedRate;
-                const prevFeedRate = prevSeg && prevSeg.type === 'cut' ? prevSeg.feedRate : 0;
-                const nextFeedRate = nextSeg && nextSeg.type === 'cut' ? nextSeg.feedRate : 0;
-                
-                const entryVel = this.calculateJunctionVelocity(prevSeg, seg, prevFeedRate, feedRate);
-                const exitVel = this.calculateJunctionVelocity(seg, nextSeg, feedRate, nextFeedRate);
-                
-                segmentTime += this.calculateMoveTime(seg, feedRate, entryVel, exitVel);
-            } else if (seg.type === 'rapid') {
-                // Calculate rapid feedrate based on move direction and per-axis limits
-                const dx = seg.end.x - seg.start.x;
-                const dy = seg.end.y - seg.start.y;
-                const dz = seg.end.z - seg.start.z;
-                const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-                
-                if (distance > 0) {
-                    // Calculate the maximum feedrate for this move based on axis limits
-                    let rapidFeedRate = Infinity;
-                    
-                    if (Math.abs(dx) > 0.001) {
-                        const timeX = Math.abs(dx) / (this.maxRateX / 60);
-                        const requiredFeedRate = (distance / timeX) * 60;
-                        rapidFeedRate = Math.min(rapidFeedRate, requiredFeedRate);
-                    }
-                    if (Math.abs(dy) > 0.001) {
-                        const timeY = Math.abs(dy) / (this.maxRateY / 60);
-                        const requiredFeedRate = (distance / timeY) * 60;
-                        rapidFeedRate = Math.min(rapidFeedRate, requiredFeedRate);
-                    }
-                    if (Math.abs(dz) > 0.001) {
-                        const timeZ = Math.abs(dz) / (this.maxRateZ / 60);
-                        const requiredFeedRate = (distance / timeZ) * 60;
-                        rapidFeedRate = Math.min(rapidFeedRate, requiredFeedRate);
-                    }
-                    
-                    if (rapidFeedRate === Infinity) {
-                        rapidFeedRate = this.rapidSpeed;
-                    }
-                    
-                    const prevIsRapid = prevSeg && prevSeg.type === 'rapid';
-                    const nextIsRapid = nextSeg && nextSeg.type === 'rapid';
-                    
-                    const entryVel = prevIsRapid ? this.calculateJunctionVelocity(prevSeg, seg, rapidFeedRate, rapidFeedRate) : 0;
-                    const exitVel = nextIsRapid ? this.calculateJunctionVelocity(seg, nextSeg, rapidFeedRate, rapidFeedRate) : 0;
-                    
-                    segmentTime += this.calculateMoveTime(seg, rapidFeedRate, entryVel, exitVel);
-                }
+        const segments = this.segments;
+        const count = segments.length;
+        const events = segments.events;
+        let eventIndex = 0;
+        
+        // Every event waits for the planner buffer to empty, so the machine stops before it
+        const stops = events.map((event) => event.index);
+        this.segmentTimes = this.planner.segmentTimes(segments, stops);
+        this.segmentEndTimes = new Float64Array(count);
+        this.eventTimes = new Float64Array(events.length);
+        
+        for (let i = 0; i < count; i++) {
+            // Events (dwells, pauses, tool changes...) happen before the segment they're attached to
+            while (eventIndex < events.length && events[eventIndex].index <= i) {
+                const waitTime = this.eventDuration(events[eventIndex]);
+                this.eventTimes[eventIndex++] = this.estimatedTotalTime;
+                this.eventTime += waitTime;
+                this.estimatedTotalTime += waitTime;
             }
             
+            const segmentTime = this.segmentTimes[i];
             this.estimatedTotalTime += segmentTime;
+            this.segmentEndTimes[i] = this.estimatedTotalTime;
             
             // Track per-tool time (only for cutting moves)
-            if (seg.type === 'cut') {
-                const tool = seg.tool || 1;
+            if (segments.isCut(i)) {
+                const tool = segments.tool(i) || 1;
                 const currentToolTime = this.toolTimes.get(tool) || 0;
                 this.toolTimes.set(tool, currentToolTime + segmentTime);
             }
         }
+        
+        // Events after the last move (e.g. M30)
+        for (; eventIndex < events.length; eventIndex++) {
+            const waitTime = this.eventDuration(events[eventIndex]);
+            this.eventTimes[eventIndex] = this.estimatedTotalTime;
+            this.eventTime += waitTime;
+            this.estimatedTotalTime += waitTime;
+        }
+        
+        // Keep the position when the estimate changes (new motion parameters or event times)
+        this.currentTime = this.timeAtIndex(this.currentIndex, this.segmentProgress);
     }
 
     /**
-     * Calculate time for a move considering acceleration and entry/exit velocities
-     * Uses trapezoidal velocity profile with entry and exit velocities
+     * Machine time at a position in the program
+     * @param {number} index - Segment index (segments before it are complete)
+     * @param {number} progress - 0-1 progress within the segment
+     * @returns {number} Seconds from the start
      */
-    calculateMoveTime(seg, feedRate, entryVelocity = 0, exitVelocity = 0) {
-        const dx = seg.end.x - seg.start.x;
-        const dy = seg.end.y - seg.start.y;
-        const dz = seg.end.z - seg.start.z;
-        
-        const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-        if (distance === 0) return 0;
-        
-        // Target velocity in mm/s
-        const targetVelocity = feedRate / 60;
-        
-        // Calculate effective acceleration based on move direction
-        // Use the limiting (lowest) acceleration for the move
-        let effectiveAccel = Infinity;
-        
-        if (Math.abs(dx) > 0.001) {
-            const xAccel = this.accelX;
-            effectiveAccel = Math.min(effectiveAccel, xAccel);
-        }
-        if (Math.abs(dy) > 0.001) {
-            const yAccel = this.accelY;
-            effectiveAccel = Math.min(effectiveAccel, yAccel);
-        }
-        if (Math.abs(dz) > 0.001) {
-            const zAccel = this.accelZ;
-            effectiveAccel = Math.min(effectiveAccel, zAccel);
+    timeAtIndex(index, progress = 0) {
+        index = Math.floor(index);
+        const count = this.segments.length;
+        if (index >= count) return this.estimatedTotalTime;
+        if (index < 0) return 0;
+        
+        if (progress > 0) {
+            const duration = this.segmentTimes[index];
+            return this.segmentEndTimes[index] - duration + progress * duration;
         }
-        
-        // If no acceleration limit applies, use X/Y default
-        if (effectiveAccel === Infinity) {
-            effectiveAccel = this.accelX;
+        return index > 0 ? this.segmentEndTimes[index - 1] : 0;
+    }
+
+    /**
+     * Position in the program at a machine time
+     * @param {number} time - Seconds from the start
+     * @returns {{index: number, progress: number}} Segment running at that time (progress 0 while waiting on an event)
+     */
+    indexAtTime(time) {
+        const ends = this.segmentEndTimes;
+        
+        // First segment that ends after the time
+        let left = 0;
+        let right = ends.length;
+        while (left < right) {
+            const mid = (left + right) >> 1;
+            if (ends[mid] <= time) {
+                left = mid + 1;
+            } else {
+                right = mid;
+            }
         }
         
-        // Clamp entry and exit velocities to target velocity
-        entryVelocity = Math.min(entryVelocity, targetVelocity);
-        exitVelocity = Math.min(exitVelocity, targetVelocity);
+        if (left >= ends.length) return { index: ends.length, progress: 1 };
         
-        // Distance to accelerate from entry to target
-        const accelDistance = (targetVelocity * targetVelocity - entryVelocity * entryVelocity) / (2 * effectiveAccel);
-        
-        // Distance to decelerate from target to exit
-        const decelDistance = (targetVelocity * targetVelocity - exitVelocity * exitVelocity) / (2 * effectiveAccel);
-        
-        const totalAccelDistance = accelDistance + decelDistance;
-        
-        if (totalAccelDistance >= distance) {
-            // Can't reach target velocity - calculate peak velocity
-            const peakVelocitySq = (entryVelocity * entryVelocity + exitVelocity * exitVelocity) / 2 + effectiveAccel * distance;
-            const peakVelocity = Math.sqrt(Math.max(0, peakVelocitySq));
-            
-            const accelTime = (peakVelocity - entryVelocity) / effectiveAccel;
-            const decelTime = (peakVelocity - exitVelocity) / effectiveAccel;
-            return accelTime + decelTime;
-        } else {
-            // Reaches target velocity
-            const accelTime = (targetVelocity - entryVelocity) / effectiveAccel;
-            const decelTime = (targetVelocity - exitVelocity) / effectiveAccel;
-            const constantVelocityDistance = distance - totalAccelDistance;
-            const constantVelocityTime = constantVelocityDistance / targetVelocity;
-            return accelTime + constantVelocityTime + decelTime;
-        }
+        const duration = this.segmentTimes[left];
+        const start = ends[left] - duration;
+        const progress = duration > 0 ? Math.min(1, Math.max(0, (time - start) / duration)) : 1;
+        return { index: left, progress };
     }
-    
+
     /**
-     * Calculate the safe junction velocity between two segments
-     * Based on angle between moves and acceleration limits
+     * Jump to a machine time (pauses playback)
+     * @param {number} time - Seconds from the start
      */
-    calculateJunctionVelocity(seg1, seg2, feedRate1, feedRate2) {
-        // Quick rejection checks first
-        if (!seg1 || !seg2) return 0;
-        if (seg1.tool !== seg2.tool || seg1.type !== seg2.type) return 0;
-        
-        // Check connection
-        const dx = seg1.end.x - seg2.start.x;
-        const dy = seg1.end.y - seg2.start.y;
-        const dz = seg1.end.z - seg2.start.z;
-        if ((dx*dx + dy*dy + dz*dz) >= 0.000001) return 0; // Not connected
-        
-        // Calculate direction vectors
-        const dx1 = seg1.end.x - seg1.start.x;
-        const dy1 = seg1.end.y - seg1.start.y;
-        const dz1 = seg1.end.z - seg1.start.z;
-        const len1Sq = dx1*dx1 + dy1*dy1 + dz1*dz1;
-        
-        const dx2 = seg2.end.x - seg2.start.x;
-        const dy2 = seg2.end.y - seg2.start.y;
-        const dz2 = seg2.end.z - seg2.start.z;
-        const len2Sq = dx2*dx2 + dy2*dy2 + dz2*dz2;
-        
-        if (len1Sq === 0 || len2Sq === 0) return 0;
-        
-        const len1 = Math.sqrt(len1Sq);
-        const len2 = Math.sqrt(len2Sq);
-        
-        // Normalize
-        const ux1 = dx1 / len1, uy1 = dy1 / len1, uz1 = dz1 / len1;
-        const ux2 = dx2 / len2, uy2 = dy2 / len2, uz2 = dz2 / len2;
-        
-        // Dot product gives cosine of angle
-        const cosAngle = ux1*ux2 + uy1*uy2 + uz1*uz2;
+    seekTime(time) {
+        this.isPlaying = false;
+        this.currentTime = Math.max(0, Math.min(time, this.estimatedTotalTime));
+        const { index, progress } = this.indexAtTime(this.currentTime);
+        this.currentIndex = index;
+        this.segmentProgress = progress;
         
-        // If moving in same direction (cosAngle near 1), can maintain full speed
-        if (cosAngle > 0.999) {
-            return Math.min(feedRate1, feedRate2) / 60; // Convert to mm/s
+        if (this.onUpdate) {
+            this.onUpdate(this.currentIndex, this.segmentProgress);
         }
-        
-        // For other angles, calculate safe junction velocity
-        const angleFactor = (1 + cosAngle) / 2; // 0 at 180°, 1 at 0°
-        const targetVel = Math.min(feedRate1, feedRate2) / 60;
-        
-        return targetVel * angleFactor;
     }
 
+    /**
+     * Format seconds as a timeline clock (hh:mm:ss)
+     */
+    static formatClock(timeInSeconds) {
+        const totalSeconds = Math.max(0, Math.floor(timeInSeconds));
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor((totalSeconds % 3600) / 60))}:${pad(totalSeconds % 60)}`;
+    }
 
     /**
-     * Calculate time for a move considering acceleration and entry/exit velocities
-     * Uses trapezoidal velocity profile with entry and exit velocities
+     * Parse a timeline time such as "T+12:30", "1:02:03", "90" or "90s"
+     * @returns {number|null} Seconds, or null if the text isn't a time
      */
+    static parseClock(text) {
+        const match = String(text).trim().match(/^(?:T\s*\+\s*)?(\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?(?::(\d+(?:\.\d+)?))?\s*s?$/i);
+        if (!match) return null;
+        
+        // Read from the right: seconds, then minutes, then hours
+        const parts = match.slice(1).filter((part) => part !== undefined).map(Number);
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
     /**
      * Format time duration in seconds to human readable string
      */
@@ -333,14 +281,12 @@ class Animator {
         return this.toolTimes;
     }
 
-    /**
-     * Get segment index at given time
-     */
     /**
      * Start playback
      */
     play() {
         if (this.segments.length === 0) return;
+        if (this.currentIndex >= this.segments.length) this.reset(); // Replay from the start
         
         this.isPlaying = true;
         this.lastTime = performance.now();
@@ -359,7 +305,8 @@ class Animator {
      */
     reset() {
         this.currentIndex = 0;
-        this.accumulatedTime = 0;
+        this.segmentProgress = 0;
+        this.currentTime = 0;
         this.isPlaying = false;
         
         if (this.onUpdate) {
@@ -368,20 +315,19 @@ class Animator {
     }
 
     /**
-     * Set playback speed (0.1x to 10x)
+     * Set playback speed (0.1x to 100x machine time)
      */
     setSpeed(speed) {
-        this.speed = Math.max(0.1, Math.min(10, speed));
+        this.speed = Math.max(0.1, Math.min(100, speed));
     }
 
     /**
      * Get speed from slider value (-10 to 10)
      */
     static sliderToSpeed(value) {
-        // Logarithmic scale
         if (value === 0) return 1;
         if (value > 0) {
-            return 1 + (value / 10) * 9; // 1x to 10x
+            return Math.pow(10, value / 5); // 1x to 100x (logarithmic, long jobs need to play fast)
         } else {
             return 1 + (value / 10) * 0.9; // 0.1x to 1x
         }
@@ -393,6 +339,8 @@ class Animator {
     stepNext() {
         if (this.currentIndex < this.segments.length) {
             this.currentIndex++;
+            this.segmentProgress = 0;
+            this.currentTime = this.timeAtIndex(this.currentIndex);
             
             if (this.onUpdate) {
                 this.onUpdate(this.currentIndex);
@@ -406,6 +354,8 @@ class Animator {
     stepPrev() {
         if (this.currentIndex > 0) {
             this.currentIndex--;
+            this.segmentProgress = 0;
+            this.currentTime = this.timeAtIndex(this.currentIndex);
             
             if (this.onUpdate) {
                 this.onUpdate(this.currentIndex);
@@ -420,6 +370,8 @@ class Animator {
         const index = Math.max(0, Math.min(lineNum, this.segments.length));
         if (index !== this.currentIndex) {
             this.currentIndex = index;
+            this.segmentProgress = 0;
+            this.currentTime = this.timeAtIndex(index);
             this.isPlaying = false; // Pause playback when manually seeking
             
             if (this.onUpdate) {
@@ -438,61 +390,38 @@ class Animator {
         const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
         this.lastTime = currentTime;
         
-        // Distance-based animation for constant visual speed
-        if (this.totalDistance > 0) {
-            // Use a constant visual speed (adjust this to control animation speed)
-            const visualSpeed = 100 * this.speed; // mm/s visual speed (reduced from 500 for more reasonable animation speed)
-            const distanceToTravel = visualSpeed * deltaTime;
-            
-            this.accumulatedTime += distanceToTravel;
-            
-            // Find segment based on accumulated distance
-            const targetDistance = this.accumulatedTime;
-            let targetIndex = 0;
-            
-            // Binary search for efficiency
-            let left = 0;
-            let right = this.segmentDistances.length - 1;
+        // Advance by machine time, so rapids, dwells and pauses play at their true length
+        if (this.estimatedTotalTime > 0) {
+            this.currentTime = Math.min(this.estimatedTotalTime, this.currentTime + deltaTime * this.speed);
+            const { index, progress } = this.indexAtTime(this.currentTime);
+            this.currentIndex = index;
+            this.segmentProgress = progress;
             
-            while (left < right) {
-                const mid = Math.floor((left + right) / 2);
-                if (this.segmentDistances[mid] < targetDistance) {
-                    left = mid + 1;
-                } else {
-                    right = mid;
-                }
+            // Check if finished
+            if (this.currentTime >= this.estimatedTotalTime) {
+                this.currentIndex = this.segments.length;
+                this.segmentProgress = 1;
+                this.isPlaying = false;
             }
             
-            targetIndex = left;
-            
-            // Calculate progress within the current segment
-            if (targetIndex < this.segments.length) {
-                const seg = this.segments[targetIndex];
-                const segStartDistance = targetIndex > 0 ? this.segmentDistances[targetIndex - 1] : 0;
-                const segEndDistance = this.segmentDistances[targetIndex];
-                const segTotalDistance = segEndDistance - segStartDistance;
-                
-                if (seg.type === 'cut' && segTotalDistance > 0) {
-                    // Calculate progress (0-1) within this segment
-                    const distanceIntoSegment = targetDistance - segStartDistance;
-                    this.segmentProgress = Math.min(1, Math.max(0, distanceIntoSegment / segTotalDistance));
-                } else {
-                    // Rapid moves or zero-distance moves are instant
-                    this.segmentProgress = 1;
-                }
-            } else {
-                this.segmentProgress = 1;
+            if (this.onUpdate) {
+                this.onUpdate(this.currentIndex, this.segmentProgress);
             }
+            if (!this.isPlaying) return;
+        } else {
+            // Line-based animation (fallback when no feed rates)
+            const linesPerSecond = 100 * this.speed;
+            const linesToAdvance = linesPerSecond * deltaTime;
             
-            const indexChanged = targetIndex !== this.currentIndex;
-            this.currentIndex = targetIndex;
+            this.currentIndex += linesToAdvance;
+            this.segmentProgress = 1;
             
             if (this.onUpdate) {
-                this.onUpdate(this.currentIndex, this.segmentProgress);
+                this.onUpdate(Math.floor(this.currentIndex), 1);
             }
             
             // Check if finished
-            if (this.accumulatedTime >= this.totalDistance) {
+            if (this.currentIndex >= this.segments.length) {
                 this.currentIndex = this.segments.length;
                 this.segmentProgress = 1;
                 this.isPlaying = false;
@@ -502,58 +431,6 @@ class Animator {
                 }
                 return;
             }
-        } else {
-            // Fallback to time-based animation
-            if (this.estimatedTotalTime > 0) {
-                this.accumulatedTime += deltaTime * this.speed;
-                
-                const progress = this.accumulatedTime / this.estimatedTotalTime;
-                const targetIndex = Math.floor(progress * this.segments.length);
-                
-                if (targetIndex !== this.currentIndex && targetIndex <= this.segments.length) {
-                    this.currentIndex = targetIndex;
-                    this.segmentProgress = 1;
-                    
-                    if (this.onUpdate) {
-                        this.onUpdate(this.currentIndex, 1);
-                    }
-                }
-                
-                // Check if finished
-                if (this.currentIndex >= this.segments.length) {
-                    this.currentIndex = this.segments.length;
-                    this.segmentProgress = 1;
-                    this.isPlaying = false;
-                    
-                    if (this.onUpdate) {
-                        this.onUpdate(this.currentIndex, 1);
-                    }
-                    return;
-                }
-            } else {
-                // Line-based animation (fallback when no feed rates)
-                const linesPerSecond = 100 * this.speed;
-                const linesToAdvance = linesPerSecond * deltaTime;
-                
-                this.currentIndex += linesToAdvance;
-                this.segmentProgress = 1;
-                
-                if (this.onUpdate) {
-                    this.onUpdate(Math.floor(this.currentIndex), 1);
-                }
-                
-                // Check if finished
-                if (this.currentIndex >= this.segments.length) {
-                    this.currentIndex = this.segments.length;
-                    this.segmentProgress = 1;
-                    this.isPlaying = false;
-                    
-                    if (this.onUpdate) {
-                        this.onUpdate(this.currentIndex, 1);
-                    }
-                    return;
-                }
-            }
         }
         
         requestAnimationFrame(() => this.animate());
@@ -0,0 +1,167 @@
+/**
+ * Color Map Module
+ * Shared segment colors for both renderers: by tool, or through a blue-to-red ramp by Z depth,
+ * feed rate, program order or spindle speed / laser power, plus the legend for the ramp
+ */
+
+class ColorMap {
+    /**
+     * @param {SegmentStore} segments - Parsed segments
+     * @param {string} mode - A key of ColorMap.modes()
+     * @param {Object} options - { toolStates: Map of tool -> { color }, workCoordinates: Z in work coordinates }
+     */
+    constructor(segments, mode = 'tool', options = {}) {
+        this.segments = segments;
+        this.mode = ColorMap.modes()[mode] ? mode : 'tool';
+        this.attribute = ColorMap.modes()[this.mode];
+        this.toolStates = options.toolStates || new Map();
+        this.workCoordinates = !!options.workCoordinates;
+        this.min = 0;
+        this.max = 1;
+        this.cache = new Map(); // Key -> [r, g, b]
+
+        const attribute = this.attribute;
+        if (attribute.range) {
+            [this.min, this.max] = attribute.range(segments);
+        } else if (attribute.value) {
+            // Range over the cut moves, so colors don't shift while the animation plays
+            let min = Infinity, max = -Infinity;
+            for (let i = 0; i < segments.length; i++) {
+                if (segments.isRapid(i)) continue;
+                const value = attribute.value(segments, i, this.workCoordinates);
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (min <= max) {
+                this.min = min;
+                this.max = max;
+            }
+        }
+    }
+
+    /**
+     * Color modes: a label, and for ramp modes the per-segment value, its unit ('length', 'feed',
+     * 'percent' or 'count') and optionally a fixed range
+     */
+    static modes() {
+        return {
+            tool: { label: 'Tool' },
+            z: {
+                label: 'Z depth',
+                unit: 'length',
+                // Deepest point of the move
+                value: (segments, i, work) => Math.min(segments.startZ(i), segments.endZ(i)) - (work ? segments.offset(i).z : 0)
+            },
+            feed: { label: 'Feed rate', unit: 'feed', value: (segments, i) => segments.feedRate(i) },
+            order: { label: 'Program order', unit: 'count', value: (segments, i) => i + 1, range: (segments) => [1, Math.max(segments.length, 1)] },
+            power: { label: 'Spindle speed / laser power', unit: 'percent', value: (segments, i) => segments.power(i), range: () => [0, 1] }
+        };
+    }
+
+    /**
+     * Steps in the color ramp (moves are batched per step when drawing)
+     */
+    static levels() {
+        return 32;
+    }
+
+    /**
+     * Default tool colors for a theme (tools without a tool state)
+     */
+    static toolPalette(theme = 'dark') {
+        return theme === 'dark'
+            ? ['#00ccff', '#00ff88', '#ff4dff', '#ffff00', '#ff8800', '#8888ff', '#ff0088', '#00ffff']
+            : ['#0066cc', '#00cc66', '#cc00cc', '#cccc00', '#ff6600', '#4d4dff', '#ff0066', '#00b3b3'];
+    }
+
+    /**
+     * Ramp color from blue (0) through green and yellow to red (1)
+     * @param {number} t - 0-1
+     * @returns {Array<number>} [r, g, b] in 0-1
+     */
+    static rampColor(t) {
+        const hue = 240 * (1 - Math.max(0, Math.min(1, t)));
+        const channel = (n) => {
+            const k = (n + hue / 30) % 12;
+            return 0.5 - 0.5 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        };
+        return [channel(0), channel(8), channel(4)];
+    }
+
+    /**
+     * Convert hex color to RGB array
+     */
+    static hexToRgb(hex) {
+        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+        return result ? [
+            parseInt(result[1], 16) / 255,
+            parseInt(result[2], 16) / 255,
+            parseInt(result[3], 16) / 255
+        ] : [1, 1, 1];
+    }
+
+    /**
+     * Convert RGB array (0-1) to hex color
+     */
+    static rgbToHex(rgb) {
+        return '#' + rgb.map((c) => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Color key of a segment: its tool number, or its step on the ramp
+     * @param {number} index - Segment index
+     */
+    key(index) {
+        const attribute = this.attribute;
+        if (!attribute.value) return this.segments.tool(index);
+
+        const span = this.max - this.min;
+        const t = span > 0 ? (attribute.value(this.segments, index, this.workCoordinates) - this.min) / span : 0.5;
+        const level = Math.round(t * (ColorMap.levels() - 1));
+        return Number.isFinite(level) ? Math.max(0, Math.min(ColorMap.levels() - 1, level)) : 0;
+    }
+
+    /**
+     * Color for a key from key()
+     * @param {number} key - Tool number or ramp step
+     * @param {string} theme - 'dark' or 'light' (default tool colors)
+     * @returns {Array<number>} [r, g, b] in 0-1
+     */
+    color(key, theme = 'dark') {
+        const toolState = this.attribute.value ? null : this.toolStates.get(key);
+        if (this.attribute.value || toolState) {
+            if (!this.cache.has(key)) {
+                this.cache.set(key, toolState ? ColorMap.hexToRgb(toolState.color) : ColorMap.rampColor(key / (ColorMap.levels() - 1)));
+            }
+            return this.cache.get(key);
+        }
+        const palette = ColorMap.toolPalette(theme);
+        return ColorMap.hexToRgb(palette[key % palette.length]);
+    }
+
+    /**
+     * Color for a key as a CSS color (tool colors are returned as set)
+     */
+    cssColor(key, theme = 'dark') {
+        if (!this.attribute.value) {
+            const toolState = this.toolStates.get(key);
+            if (toolState) return toolState.color;
+            const palette = ColorMap.toolPalette(theme);
+            return palette[key % palette.length];
+        }
+        return ColorMap.rgbToHex(this.color(key, theme));
+    }
+
+    /**
+     * What the ramp shows, or null when coloring by tool
+     * @returns {Object|null} { label, unit, min, max, stops: CSS colors from min to max }
+     */
+    legend() {
+        const attribute = this.attribute;
+        if (!attribute.value) return null;
+
+        const stops = [];
+        for (let i = 0; i <= 8; i++) stops.push(ColorMap.rgbToHex(ColorMap.rampColor(i / 8)));
+        return { label: attribute.label, unit: attribute.unit, min: this.min, max: this.max, stops };
+    }
+}
@@ -7,8 +7,11 @@ class Controller {
     constructor() {
         // Initialize modules
         this.parser = new GCodeParser();
+        this.parserWorker = new ParserWorker(this.parser); // Streams files through the parser off the main thread
         this.camera = new Camera();
         this.animator = new Animator();
+        this.profiles = null; // MachineProfiles, set up by FluidNCController
+        this.loadEventDurations();
         
         // Get canvas elements
         this.canvas2d = document.getElementById('canvas2d');
@@ -21,19 +24,30 @@ class Controller {
         
         // State
         this.currentView = '2d';
-        this.segments = [];
+        this.segments = new SegmentStore(1);
         this.bounds = null;
+        this.fileName = null; // Name of the loaded file (reports and reloads)
+        this.coordinateMode = 'machine'; // 'machine' or 'work'
+        this.displayUnits = 'mm'; // Units for statistics display ('mm' or 'inches'); geometry is always mm
+        this.colorMode = 'tool'; // Cut move coloring, a key of ColorMap.modes() (tool, Z depth, feed, order, power)
+        this.colorMap = null; // ColorMap shared by both renderers and the legend
+        this.rotaryWrap = null; // { axis, radius } to wrap rotary (A/B/C) moves in the 3D view
+        this.toolWidthVisible = false; // Draw cut moves as wide as their cutter sweeps
+        this.latheMode = localStorage.getItem('latheMode') === 'true'; // XZ profile and revolved 3D part
+        this.parser.options.lathe = this.latheMode;
+        this.renderer2d.setLatheMode(this.latheMode);
+        this.renderer3d.setLatheMode(this.latheMode);
         this.isDragging = false;
         this.lastMouseX = 0;
         this.lastMouseY = 0;
         this.isShiftPressed = false;
         
+        // Parser diagnostics by file line ({ severity, messages }) for the GCode gutter
+        this.diagnosticLines = new Map();
+        
         // Tool state
         this.tools = new Map(); // { toolNum: { visible: bool, color: string } }
-        this.toolColors = [
-            '#00ccff', '#00ff88', '#ff4dff', '#ffff00',
-            '#ff8800', '#8888ff', '#ff0088', '#00ffff'
-        ];
+        this.toolColors = ColorMap.toolPalette('dark');
         
         // Rapid move (G0) state
         this.rapidMovesVisible = true;
@@ -229,6 +243,29 @@ class Controller {
             });
         }
         
+        // Cancel a file that is still being parsed
+        const btnCancelParse = document.getElementById('btn-cancel-parse');
+        if (btnCancelParse) {
+            btnCancelParse.addEventListener('click', () => this.parserWorker.cancel());
+        }
+        
+        // Diagnostics list: filter by severity or text, click to jump to the line
+        const diagnosticsFilter = document.getElementById('diagnostics-filter');
+        if (diagnosticsFilter) {
+            diagnosticsFilter.addEventListener('change', () => this.renderDiagnosticsList());
+        }
+        const diagnosticsSearch = document.getElementById('diagnostics-search');
+        if (diagnosticsSearch) {
+            diagnosticsSearch.addEventListener('input', () => this.renderDiagnosticsList());
+        }
+        const diagnosticsList = document.getElementById('diagnostics-list');
+        if (diagnosticsList) {
+            diagnosticsList.addEventListener('click', (e) => {
+                const item = e.target.closest('.diagnostic-item');
+                if (item) this.jumpToLine(parseInt(item.dataset.line));
+            });
+        }
+        
         // View toggle
         const btnToggleView = document.getElementById('btn-toggle-view');
         if (btnToggleView) {
@@ -242,7 +279,7 @@ class Controller {
         if (btnResetView) {
             btnResetView.addEventListener('click', () => {
                 if (this.segments.length > 0) {
-                    this.camera.fitToBounds(this.bounds, 0.1, this.canvas2d.width, this.canvas2d.height);
+                    this.camera.fitToBounds(this.cameraBounds(), 0.1, this.canvas2d.width, this.canvas2d.height);
                     this.updateZoomSlider();
                 }
             });
@@ -287,12 +324,26 @@ class Controller {
             });
         }
         
-        // Line slider
-        const lineSlider = document.getElementById('line-slider');
-        if (lineSlider) {
-            lineSlider.addEventListener('input', (e) => {
-                const lineNum = parseInt(e.target.value);
-                this.animator.setCurrentLine(lineNum);
+        // Timeline slider (machine time in seconds)
+        const timelineSlider = document.getElementById('timeline-slider');
+        if (timelineSlider) {
+            timelineSlider.addEventListener('input', (e) => {
+                this.animator.seekTime(parseFloat(e.target.value));
+            });
+        }
+        
+        // Jump to a typed time ("T+12:30", "1:02:03", "90")
+        const timeJump = document.getElementById('time-jump');
+        if (timeJump) {
+            timeJump.addEventListener('change', () => {
+                if (!timeJump.value.trim()) return;
+                const time = Animator.parseClock(timeJump.value);
+                timeJump.setCustomValidity(time === null ? 'Enter a time like T+12:30, 1:02:03 or 90' : '');
+                if (time === null) {
+                    timeJump.reportValidity();
+                    return;
+                }
+                this.animator.seekTime(time);
             });
         }
         
@@ -363,6 +414,92 @@ class Controller {
             });
         }
         
+        // Coordinate display mode (machine vs work coordinates)
+        const coordinateMode = document.getElementById('coordinate-mode');
+        if (coordinateMode) {
+            coordinateMode.addEventListener('change', () => {
+                this.setCoordinateMode(coordinateMode.value);
+            });
+        }
+        
+        // Color cut moves by tool or by spindle speed / laser power
+        const colorMode = document.getElementById('color-mode');
+        if (colorMode) {
+            colorMode.addEventListener('change', () => {
+                this.colorMode = colorMode.value;
+                this.updateRenderers();
+            });
+        }
+        
+        // Swept tool width (cutter diameters are set per tool in the tool panel)
+        const toolWidth = document.getElementById('tool-width');
+        if (toolWidth) {
+            toolWidth.addEventListener('change', () => {
+                this.toolWidthVisible = toolWidth.checked;
+                this.updateRenderers();
+            });
+        }
+        
+        // Rotary axis wrapping (3D view)
+        const rotaryWrap = document.getElementById('rotary-wrap');
+        const rotaryRadius = document.getElementById('rotary-radius');
+        if (rotaryWrap) {
+            const updateRotaryWrap = () => {
+                const radius = rotaryRadius ? parseFloat(rotaryRadius.value) || 0 : 0;
+                this.setRotaryWrap(rotaryWrap.value === 'none' ? null : { axis: rotaryWrap.value, radius });
+            };
+            rotaryWrap.addEventListener('change', updateRotaryWrap);
+            if (rotaryRadius) rotaryRadius.addEventListener('change', updateRotaryWrap);
+        }
+        
+        // Lathe mode (G18 default plane, G7/G8 diameter programming, XZ profile)
+        const latheMode = document.getElementById('lathe-mode');
+        if (latheMode) {
+            latheMode.checked = this.latheMode;
+            latheMode.addEventListener('change', () => {
+                this.setLatheMode(latheMode.checked);
+            });
+        }
+        
+        // Feed and rapid overrides (re-estimate live while the slider moves, once per frame)
+        const feedOverride = document.getElementById('feed-override');
+        const feedOverrideLabel = document.getElementById('feed-override-label');
+        const rapidOverride = document.getElementById('rapid-override');
+        let overrideFrame = null;
+        const applyOverrides = () => {
+            overrideFrame = null;
+            this.setOverrides(
+                feedOverride ? parseFloat(feedOverride.value) / 100 : 1,
+                rapidOverride ? parseFloat(rapidOverride.value) / 100 : 1
+            );
+        };
+        const scheduleOverrides = () => {
+            if (feedOverride && feedOverrideLabel) feedOverrideLabel.textContent = `${feedOverride.value}%`;
+            if (overrideFrame === null) overrideFrame = requestAnimationFrame(applyOverrides);
+        };
+        if (feedOverride) feedOverride.addEventListener('input', scheduleOverrides);
+        if (rapidOverride) rapidOverride.addEventListener('change', scheduleOverrides);
+        
+        // Event durations (seconds added to the time estimate for pauses, tool changes, spin-up...)
+        document.querySelectorAll('[data-event-duration]').forEach((input) => {
+            const key = input.dataset.eventDuration;
+            input.value = this.animator.eventDurations[key];
+            input.addEventListener('change', () => {
+                this.setEventDurations({ [key]: parseFloat(input.value) });
+                input.value = this.animator.eventDurations[key];
+            });
+        });
+        
+        // Statistics units toggle (display only, parsed geometry stays in mm)
+        const statUnits = document.getElementById('stat-units');
+        if (statUnits) {
+            statUnits.addEventListener('change', () => {
+                this.displayUnits = statUnits.value;
+                if (this.bounds) this.updateRangeStatistics();
+                this.updateColorLegend();
+            });
+        }
+        
         // Theme toggle buttons
         const themeLightBtn = document.getElementById('theme-light');
         const themeDarkBtn = document.getElementById('theme-dark');
@@ -507,7 +644,7 @@ class Controller {
         
         const onDoubleClick = () => {
             if (this.bounds) {
-                this.camera.fitToBounds(this.bounds);
+                this.camera.fitToBounds(this.cameraBounds());
             }
         };
         
@@ -639,21 +776,30 @@ class Controller {
             this.renderer3d.setMaxSegmentIndex(index, segmentProgress);
             
             document.getElementById('current-line').textContent = index;
-            document.getElementById('line-slider').value = index;
+            document.getElementById('timeline-slider').value = this.animator.currentTime;
+            const currentTime = document.getElementById('current-time');
+            if (currentTime) currentTime.textContent = Animator.formatClock(this.animator.currentTime);
             
             // Update current position and file line number
             if (index < this.segments.length) {
-                const segment = this.segments[index];
-                this.currentPosition = { x: segment.x1, y: segment.y1, z: segment.z1 };
-                this.highlightGCodeLine(segment.lineNum);
-                document.getElementById('current-file-line').textContent = segment.lineNum || '-';
+                const segments = this.segments;
+                const lineNum = segments.lineNum(index);
+                this.currentPosition = segments.getStart(index);
+                this.highlightGCodeLine(lineNum);
+                document.getElementById('current-file-line').textContent = lineNum || '-';
                 
                 // Update active tool highlighting if tool changed
-                const currentTool = segment.tool || 0;
+                const currentTool = segments.tool(index);
                 if (this.currentActiveTool !== currentTool) {
                     this.currentActiveTool = currentTool;
                     this.updateActiveToolHighlight();
                 }
+                
+                const currentWcs = document.getElementById('current-wcs');
+                if (currentWcs) {
+                    // G53 and G28/G30 moves are programmed in machine coordinates
+                    currentWcs.textContent = segments.isMachineMove(index) ? 'G53' : GCodeParser.wcsName(segments.wcsIndex(index));
+                }
             } else {
                 document.getElementById('current-file-line').textContent = '-';
             }
@@ -672,18 +818,20 @@ class Controller {
         
         progressBar.classList.remove('hidden');
         progressFill.style.width = '0%';
+        this.showParseCancel(true);
         
         try {
-            // Read file text for display
-            const text = await file.text();
-            this.gcodeText = text;
-            
-            const segments = await this.parser.parseFile(file, (percent) => {
+            // The text stays in the File; the GCode panel reads the lines it shows using the parser's line index
+            const segments = await this.parserWorker.parse(file, (percent) => {
                 progressFill.style.width = percent + '%';
             });
+            this.showParseCancel(false);
+            this.gcodeFile = file;
+            this.gcodeText = null;
+            this.fileName = file.name;
             
             this.segments = segments;
-            this.bounds = this.parser.getBounds();
+            this.bounds = this.parser.getBounds(this.coordinateMode);
             
             // Detect tools used in the file
             this.detectTools(segments);
@@ -699,11 +847,12 @@ class Controller {
             this.animator.setSegments(segments);
             
             // Fit camera to bounds
-            this.camera.fitToBounds(this.bounds, 0.1, this.canvas2d.width, this.canvas2d.height);
+            this.camera.fitToBounds(this.cameraBounds(), 0.1, this.canvas2d.width, this.canvas2d.height);
             
             // Update UI
             this.updateStatistics();
-            this.displayGCode(text);
+            this.updateDiagnostics();
+            this.displayGCode(this.fileLineSource(file, this.parser.lineStarts));
             this.updateToolPanel();
             this.initializeLayerSliders(); // Initialize layer filter sliders
             const gcodePanel = document.getElementById('gcode-panel');
@@ -721,10 +870,8 @@ class Controller {
             const welcomePanel = document.getElementById('gcode-welcome');
             if (welcomePanel) welcomePanel.style.display = 'none';
             
-            // Setup line slider
-            const lineSlider = document.getElementById('line-slider');
-            lineSlider.max = segments.length;
-            lineSlider.value = 0;
+            // Setup timeline slider
+            this.updateTimeline();
             document.getElementById('total-lines').textContent = segments.length;
             
             setTimeout(() => {
@@ -732,12 +879,26 @@ class Controller {
             }, 500);
             
         } catch (error) {
+            progressBar.classList.add('hidden');
+            if (error.name === 'AbortError') {
+                // Cancelled by the user or superseded by another file; the newer load owns the cancel button
+                if (!this.parserWorker.isParsing) this.showParseCancel(false);
+                return;
+            }
+            this.showParseCancel(false);
             console.error('Error loading file:', error);
             alert('Error loading GCode file. Please check the console for details.');
-            progressBar.classList.add('hidden');
         }
     }
 
+    /**
+     * Show or hide the cancel button while a file is parsing
+     */
+    showParseCancel(visible) {
+        const btnCancelParse = document.getElementById('btn-cancel-parse');
+        if (btnCancelParse) btnCancelParse.classList.toggle('hidden', !visible);
+    }
+
     /**
      * Load GCode from a string (for generated GCode, no file upload)
      * @param {string} gcodeText - The GCode text to parse and display
@@ -762,6 +923,7 @@ class Controller {
         
         try {
             this.gcodeText = gcodeText;
+            this.gcodeFile = null;
             
             // Parse string directly instead of going through Blob/File/FileReader
             // to avoid chunking corruption issues
@@ -770,7 +932,7 @@ class Controller {
             });
             
             this.segments = segments;
-            this.bounds = this.parser.getBounds();
+            this.bounds = this.parser.getBounds(this.coordinateMode);
             
             // Detect tools used in the file
             this.detectTools(segments);
@@ -786,10 +948,11 @@ class Controller {
             this.animator.setSegments(segments);
             
             // Fit camera to bounds
-            this.camera.fitToBounds(this.bounds, 0.1, this.canvas2d.width, this.canvas2d.height);
+            this.camera.fitToBounds(this.cameraBounds(), 0.1, this.canvas2d.width, this.canvas2d.height);
             
             // Update UI
             this.updateStatistics(idPrefix);
+            this.updateDiagnostics(idPrefix);
             this.displayGCode(gcodeText, idPrefix);
             this.updateToolPanel(idPrefix);
             
@@ -818,12 +981,8 @@ class Controller {
             const welcomePanel = document.getElementById(`${idPrefix}gcode-welcome`);
             if (welcomePanel) welcomePanel.style.display = 'none';
             
-            // Setup line slider
-            const lineSlider = document.getElementById(`${idPrefix}line-slider`);
-            if (lineSlider) {
-                lineSlider.max = segments.length;
-                lineSlider.value = 0;
-            }
+            // Setup timeline slider
+            this.updateTimeline(idPrefix);
             
             const totalLinesSpan = document.getElementById(`${idPrefix}total-lines`);
             if (totalLinesSpan) totalLinesSpan.textContent = segments.length;
@@ -853,9 +1012,9 @@ class Controller {
      */
     detectTools(segments) {
         const toolSet = new Set();
-        for (const seg of segments) {
-            if (seg.type !== 'rapid') {
-                toolSet.add(seg.tool || 1);
+        for (let i = 0; i < segments.length; i++) {
+            if (!segments.isRapid(i)) {
+                toolSet.add(segments.tool(i) || 1);
             }
         }
         
@@ -867,6 +1026,8 @@ class Controller {
         // Initialize tool states
         // Estlcam: tool numbers 1-based, array 0-based, so tool-1 for index
         // Inline: "No Tool" is tool 0 at index 0, other tools at indices 1, 2, 3...
+        // Cutters are guessed from the tool names; edits are kept while a tool's name stays the same
+        const previousTools = new Map(this.tools);
         this.tools.clear();
         const sortedTools = Array.from(toolSet).sort((a, b) => a - b);
         for (const tool of sortedTools) {
@@ -875,10 +1036,14 @@ class Controller {
             const colorIndex = tool % this.toolColors.length;
             const defaultColor = this.toolColors[colorIndex];
             
+            const name = toolNames[toolIndex] || `Tool ${tool}`;
+            const previous = previousTools.get(tool);
+            
             this.tools.set(tool, {
                 visible: true,
                 color: customColor || defaultColor,
-                name: toolNames[toolIndex] || `Tool ${tool}`
+                name,
+                cutter: previous && previous.name === name ? previous.cutter : Cutter.fromName(name)
             });
         }
     }
@@ -938,6 +1103,7 @@ class Controller {
             
             infoDiv.appendChild(nameSpan);
             infoDiv.appendChild(timeSpan);
+            infoDiv.appendChild(this.createCutterFields(toolState.cutter));
             
             toolDiv.appendChild(checkbox);
             toolDiv.appendChild(colorPicker);
@@ -946,6 +1112,56 @@ class Controller {
         }
     }
     
+    /**
+     * Cutter inputs for a tool (type, diameter, V-bit angle), used for the swept width and the stock simulation
+     * @param {Object} cutter - Tool state cutter, changed in place
+     */
+    createCutterFields(cutter) {
+        const row = document.createElement('div');
+        row.className = 'field-grid';
+        row.style.cssText = 'display: grid; grid-template-columns: 1fr 70px 50px; gap: 4px; margin-top: 2px;';
+        
+        const type = document.createElement('select');
+        for (const [value, text] of [['flat', 'Flat'], ['ball', 'Ball'], ['vbit', 'V-bit']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            type.appendChild(option);
+        }
+        type.value = cutter.type;
+        type.title = 'Cutter type';
+        
+        const diameter = document.createElement('input');
+        diameter.type = 'number';
+        diameter.min = '0.01';
+        diameter.step = '0.1';
+        diameter.value = Math.round(cutter.diameter * 1000) / 1000;
+        diameter.title = 'Diameter (mm)';
+        
+        const angle = document.createElement('input');
+        angle.type = 'number';
+        angle.min = '1';
+        angle.max = '179';
+        angle.step = '1';
+        angle.value = cutter.angle;
+        angle.title = 'V-bit angle (°)';
+        angle.disabled = cutter.type !== 'vbit';
+        
+        const update = () => {
+            cutter.type = type.value;
+            if (parseFloat(diameter.value) > 0) cutter.diameter = parseFloat(diameter.value);
+            if (parseFloat(angle.value) > 0 && parseFloat(angle.value) < 180) cutter.angle = parseFloat(angle.value);
+            angle.disabled = cutter.type !== 'vbit';
+            this.updateRenderers();
+        };
+        type.addEventListener('change', update);
+        diameter.addEventListener('change', update);
+        angle.addEventListener('change', update);
+        
+        row.append(type, diameter, angle);
+        return row;
+    }
+    
     /**
      * Update active tool highlighting in tool panel
      */
@@ -967,27 +1183,260 @@ class Controller {
         }
     }
     
+    /**
+     * Switch between machine and work coordinate display
+     * @param {string} mode - 'machine' or 'work'
+     */
+    setCoordinateMode(mode) {
+        this.coordinateMode = mode;
+        if (this.segments.length === 0) return;
+        
+        this.bounds = this.parser.getBounds(mode);
+        this.renderer2d.bounds = this.bounds;
+        this.renderer3d.bounds = this.bounds;
+        this.updateRenderers();
+        this.camera.fitToBounds(this.cameraBounds(), 0.1, this.canvas2d.width, this.canvas2d.height);
+        this.updateZoomSlider();
+        this.updateStatistics();
+        this.initializeLayerSliders();
+        this.updateLayerFilter();
+    }
+    
+    /**
+     * Wrap rotary moves around their axis in the 3D view
+     * @param {Object|null} wrap - { axis: 'a'|'b'|'c', radius } or null for flat display
+     */
+    setRotaryWrap(wrap) {
+        this.rotaryWrap = wrap;
+        this.renderer3d.setRotaryWrap(wrap);
+        if (this.segments.length === 0) return;
+        
+        this.renderer3d.updateBuffers();
+        this.camera.fitToBounds(this.cameraBounds(), 0.1, this.canvas2d.width, this.canvas2d.height);
+        this.updateZoomSlider();
+    }
+    
+    /**
+     * Switch lathe mode and re-parse, since it changes the default plane and diameter handling
+     * @param {boolean} enabled - Lathe mode
+     */
+    setLatheMode(enabled) {
+        this.latheMode = enabled;
+        localStorage.setItem('latheMode', enabled);
+        this.parser.options.lathe = enabled;
+        this.renderer2d.setLatheMode(enabled);
+        this.renderer3d.setLatheMode(enabled);
+        this.reloadGCode();
+    }
+    
+    /**
+     * Restore event durations saved in localStorage (pages without machine profiles)
+     */
+    loadEventDurations() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('eventDurations'));
+            if (saved) this.animator.setEventDurations(saved);
+        } catch (error) {
+            console.error('Invalid saved event durations:', error);
+        }
+    }
+    
+    /**
+     * Change event durations, save them (in the machine profile when there is one) and refresh the time estimates
+     * @param {Object} durations - Seconds by event type (see Animator.defaultEventDurations)
+     */
+    setEventDurations(durations) {
+        this.animator.setEventDurations(durations);
+        if (this.profiles) {
+            this.profiles.update(this.profiles.activeId, { eventDurations: this.animator.eventDurations });
+        } else {
+            localStorage.setItem('eventDurations', JSON.stringify(this.animator.eventDurations));
+        }
+        if (this.segments.length === 0) return;
+        
+        this.animator.calculateTotalTime();
+        this.refreshTimeEstimates();
+    }
+    
+    /**
+     * Simulate feed and rapid overrides in the time estimates and playback
+     * @param {number} feed - Feed override factor (0.5-2)
+     * @param {number} rapid - Rapid override factor (0.25, 0.5 or 1)
+     */
+    setOverrides(feed, rapid) {
+        this.animator.setMotionParameters({ feedOverride: feed, rapidOverride: rapid });
+        if (this.segments.length > 0) this.refreshTimeEstimates();
+    }
+
+    /**
+     * Show new time estimates after the animator recalculated them
+     */
+    refreshTimeEstimates() {
+        const statTime = document.getElementById('stat-time');
+        if (statTime) statTime.textContent = this.animator.getFormattedTime();
+        this.updateToolPanel();
+        this.updateTimeline();
+    }
+    
+    /**
+     * Size the timeline slider to the estimated run time and redraw its event markers
+     */
+    updateTimeline(idPrefix = '') {
+        const timelineSlider = document.getElementById(`${idPrefix}timeline-slider`);
+        if (timelineSlider) {
+            timelineSlider.max = this.animator.estimatedTotalTime;
+            timelineSlider.value = this.animator.currentTime;
+        }
+        
+        const totalTime = document.getElementById(`${idPrefix}total-time`);
+        if (totalTime) totalTime.textContent = Animator.formatClock(this.animator.estimatedTotalTime);
+        const currentTime = document.getElementById(`${idPrefix}current-time`);
+        if (currentTime) currentTime.textContent = Animator.formatClock(this.animator.currentTime);
+        
+        this.renderEventMarkers(idPrefix);
+    }
+    
+    /**
+     * Describe a timeline event for the slider marker tooltip
+     */
+    static eventLabel(event) {
+        switch (event.type) {
+            case 'dwell': return 'Dwell';
+            case 'pause': return 'Pause (M0)';
+            case 'optional-stop': return 'Optional stop (M1)';
+            case 'tool-change': return event.manual ? 'Manual tool change (M0)' : 'Tool change (M6)';
+            case 'spindle-start': return 'Spindle start';
+            case 'program-end': return 'Program end';
+            default: return event.type;
+        }
+    }
+    
+    /**
+     * Draw a tick under the timeline slider for each event at the time it starts; clicking one jumps to it
+     */
+    renderEventMarkers(idPrefix = '') {
+        const container = document.getElementById(`${idPrefix}timeline-markers`);
+        if (!container) return;
+        container.innerHTML = '';
+        
+        const totalTime = this.animator.estimatedTotalTime;
+        if (this.segments.length === 0 || totalTime <= 0) return;
+        
+        // Events at the same segment share one tick (e.g. a canned cycle dwelling at every hole)
+        const events = this.segments.events;
+        const ticks = new Map();
+        for (let k = 0; k < events.length; k++) {
+            const event = events[k];
+            const key = `${event.index}:${event.type}`;
+            const tick = ticks.get(key);
+            if (tick) {
+                tick.events.push(event);
+            } else if (ticks.size < 1000) {
+                ticks.set(key, { time: this.animator.eventTimes[k], type: event.type, events: [event] });
+            }
+        }
+        
+        const fragment = document.createDocumentFragment();
+        for (const tick of ticks.values()) {
+            const marker = document.createElement('div');
+            marker.className = `event-marker event-${tick.type}`;
+            marker.style.left = `${(tick.time / totalTime) * 100}%`;
+            marker.title = `T+${Animator.formatClock(tick.time)}\n` + tick.events
+                .map((event) => `Line ${event.lineNum}: ${Controller.eventLabel(event)} (${this.animator.eventDuration(event)}s)`)
+                .join('\n');
+            marker.addEventListener('click', () => this.animator.seekTime(tick.time));
+            fragment.appendChild(marker);
+        }
+        container.appendChild(fragment);
+    }
+    
+    /**
+     * Parse the loaded GCode again with the current parser options
+     */
+    reloadGCode() {
+        if (this.gcodeFile) {
+            this.loadFile(this.gcodeFile);
+        } else if (this.gcodeText) {
+            this.loadFile(new File([this.gcodeText], this.fileName || 'program.nc')); // Loaded from a string
+        }
+    }
+    
+    /**
+     * Bounds to fit the camera to (grown to cover the wrapped stock when rotary wrapping is on)
+     */
+    cameraBounds() {
+        return this.renderer3d.getDisplayBounds(this.bounds);
+    }
+    
     /**
      * Update renderers with current tool states
      */
     updateRenderers() {
+        this.renderer2d.setCoordinateMode(this.coordinateMode);
+        this.renderer3d.setCoordinateMode(this.coordinateMode);
         this.renderer2d.setToolStates(this.tools);
         this.renderer3d.setToolStates(this.tools);
         this.renderer2d.setRapidMoveSettings(this.rapidMovesVisible, this.rapidMoveColor);
         this.renderer3d.setRapidMoveSettings(this.rapidMovesVisible, this.rapidMoveColor);
+        
+        // One color map for both views so they always match
+        this.colorMap = new ColorMap(this.segments, this.colorMode, {
+            toolStates: this.tools,
+            workCoordinates: this.coordinateMode === 'work'
+        });
+        this.renderer2d.setColorMap(this.colorMap);
+        this.renderer3d.setColorMap(this.colorMap);
+        this.updateColorLegend();
+        
+        this.renderer2d.setToolWidthVisible(this.toolWidthVisible);
+        this.renderer3d.setToolWidthVisible(this.toolWidthVisible);
         this.renderer2d.updateBuffers();
         this.renderer3d.updateBuffers();
     }
     
+    /**
+     * Show the color ramp and its range over the view (hidden when coloring by tool)
+     */
+    updateColorLegend() {
+        const legendElement = document.getElementById('color-legend');
+        if (!legendElement) return;
+        
+        const legend = this.colorMap && this.segments.length > 0 ? this.colorMap.legend() : null;
+        legendElement.classList.toggle('hidden', !legend);
+        if (!legend) return;
+        
+        const inches = this.displayUnits === 'inches';
+        const format = (value) => {
+            switch (legend.unit) {
+                case 'length': return inches ? `${(value / 25.4).toFixed(3)} in` : `${value.toFixed(2)} mm`;
+                case 'feed': return inches ? `${(value / 25.4).toFixed(1)} in/min` : `${Math.round(value)} mm/min`;
+                case 'percent': return `${Math.round(value * 100)}%`;
+                default: return `${Math.round(value)}`;
+            }
+        };
+        
+        legendElement.innerHTML = '';
+        const title = document.createElement('div');
+        title.textContent = legend.label;
+        const bar = document.createElement('div');
+        bar.className = 'color-legend-bar';
+        bar.style.background = `linear-gradient(to right, ${legend.stops.join(', ')})`;
+        const range = document.createElement('div');
+        range.className = 'color-legend-range';
+        const min = document.createElement('span');
+        min.textContent = format(legend.min);
+        const max = document.createElement('span');
+        max.textContent = format(legend.max);
+        range.append(min, max);
+        legendElement.append(title, bar, range);
+    }
+    
     /**
      * Update statistics panel
      */
     updateStatistics(idPrefix = '') {
         const statLines = document.getElementById(`${idPrefix}stat-lines`);
         const statTime = document.getElementById(`${idPrefix}stat-time`);
-        const statX = document.getElementById(`${idPrefix}stat-x`);
-        const statY = document.getElementById(`${idPrefix}stat-y`);
-        const statZ = document.getElementById(`${idPrefix}stat-z`);
         const totalLines = document.getElementById(`${idPrefix}total-lines`);
         const currentLine = document.getElementById(`${idPrefix}current-line`);
         const layerMin = document.getElementById(`${idPrefix}layer-min`);
@@ -996,12 +1445,7 @@ class Controller {
         if (statLines) statLines.textContent = this.segments.length;
         if (statTime) statTime.textContent = this.animator.getFormattedTime();
         
-        if (statX) statX.textContent = 
-            `${this.bounds.minX.toFixed(1)} to ${this.bounds.maxX.toFixed(1)}`;
-        if (statY) statY.textContent = 
-            `${this.bounds.minY.toFixed(1)} to ${this.bounds.maxY.toFixed(1)}`;
-        if (statZ) statZ.textContent = 
-            `${this.bounds.minZ.toFixed(1)} to ${this.bounds.maxZ.toFixed(1)}`;
+        this.updateRangeStatistics(idPrefix);
         
         if (totalLines) totalLines.textContent = this.segments.length;
         if (currentLine) currentLine.textContent = '0';
@@ -1011,6 +1455,25 @@ class Controller {
         if (layerMax) layerMax.placeholder = this.bounds.maxZ.toFixed(1);
     }
 
+    /**
+     * Update X/Y/Z range statistics in the selected display units
+     */
+    updateRangeStatistics(idPrefix = '') {
+        const statX = document.getElementById(`${idPrefix}stat-x`);
+        const statY = document.getElementById(`${idPrefix}stat-y`);
+        const statZ = document.getElementById(`${idPrefix}stat-z`);
+        
+        const inches = this.displayUnits === 'inches';
+        const scale = inches ? 1 / 25.4 : 1;
+        const digits = inches ? 3 : 1;
+        const suffix = inches ? ' in' : ' mm';
+        const range = (min, max) => `${(min * scale).toFixed(digits)} to ${(max * scale).toFixed(digits)}${suffix}`;
+        
+        if (statX) statX.textContent = range(this.bounds.minX, this.bounds.maxX);
+        if (statY) statY.textContent = range(this.bounds.minY, this.bounds.maxY);
+        if (statZ) statZ.textContent = range(this.bounds.minZ, this.bounds.maxZ);
+    }
+
     /**
      * Update coordinate display
      */
@@ -1021,18 +1484,39 @@ class Controller {
         }
     }
 
+    /**
+     * Lines of a loaded file, read from the File when shown
+     * @param {File} file - GCode file
+     * @param {Float64Array} lineStarts - Byte offset of each line (GCodeParser.lineStarts)
+     * @returns {Object} { count, read(start, end) } resolving to the lines in [start, end)
+     */
+    fileLineSource(file, lineStarts) {
+        return {
+            count: lineStarts.length,
+            read: async (start, end) => {
+                const to = end < lineStarts.length ? lineStarts[end] : file.size;
+                const text = await file.slice(lineStarts[start], to).text();
+                return text.split('\n').slice(0, end - start);
+            }
+        };
+    }
+
     /**
      * Display GCode text with virtual scrolling for large files
+     * @param {string|Object} text - GCode text, or a line source from fileLineSource()
      */
     displayGCode(text, idPrefix = '') {
         const container = document.getElementById(`${idPrefix}gcode-container`);
         if (!container) return;
         
-        const lines = text.split('\n');
-        const totalLines = lines.length;
+        let source = text;
+        if (typeof text === 'string') {
+            const lines = text.split('\n');
+            source = { count: lines.length, read: async (start, end) => lines.slice(start, end) };
+        }
+        const totalLines = source.count;
         
         // Store data for virtual scrolling
-        this.gcodeLines = lines;
         this.gcodeLineHeight = 17;
         this.gcodeCurrentHighlight = null;
         
@@ -1058,8 +1542,10 @@ class Controller {
         const lineNumbersDiv = document.getElementById(`${idPrefix}gcode-line-numbers`);
         
         let lastStartLine = -1;
+        let shown = { start: -1, end: -1, lines: [] }; // Last lines read, reused when only the highlight changes
+        let renderCount = 0;
         
-        const renderVisibleLines = (force = false) => {
+        const renderVisibleLines = async (force = false) => {
             const scrollTop = container.scrollTop;
             let containerHeight = container.clientHeight;
             
@@ -1075,6 +1561,20 @@ class Controller {
             if (!force && startLine === lastStartLine) return;
             lastStartLine = startLine;
             
+            const render = ++renderCount;
+            if (shown.start !== startLine || shown.end !== endLine) {
+                let lines;
+                try {
+                    lines = await source.read(startLine, endLine);
+                } catch (error) {
+                    console.error('Failed to read GCode lines:', error);
+                    lastStartLine = -1; // Try again on the next render
+                    return;
+                }
+                if (render !== renderCount) return; // Rendered again while reading
+                shown = { start: startLine, end: endLine, lines };
+            }
+            
             // Position viewport
             viewport.style.transform = `translateY(${startLine * this.gcodeLineHeight}px)`;
             
@@ -1082,7 +1582,13 @@ class Controller {
             const lineNumbersHTML = [];
             for (let i = startLine; i < endLine; i++) {
                 const highlight = this.gcodeCurrentHighlight === (i + 1) ? ' highlight' : '';
-                lineNumbersHTML.push(`<div class="gcode-line${highlight}" data-line="${i + 1}">${i + 1}</div>`);
+                const diagnostic = this.diagnosticLines.get(i + 1);
+                if (diagnostic) {
+                    const title = this.escapeHtml(diagnostic.messages.join('\n'));
+                    lineNumbersHTML.push(`<div class="gcode-line diagnostic-${diagnostic.severity}${highlight}" data-line="${i + 1}" title="${title}">${i + 1}</div>`);
+                } else {
+                    lineNumbersHTML.push(`<div class="gcode-line${highlight}" data-line="${i + 1}">${i + 1}</div>`);
+                }
             }
             lineNumbersDiv.innerHTML = lineNumbersHTML.join('');
             
@@ -1090,7 +1596,7 @@ class Controller {
             const codeHTML = [];
             for (let i = startLine; i < endLine; i++) {
                 const highlight = this.gcodeCurrentHighlight === (i + 1) ? ' highlight' : '';
-                const highlighted = this.syntaxHighlightGCode(lines[i]);
+                const highlighted = this.syntaxHighlightGCode(shown.lines[i - startLine]);
                 codeHTML.push(`<div class="gcode-line${highlight}" data-line="${i + 1}">${highlighted || '&nbsp;'}</div>`);
             }
             displayDiv.innerHTML = codeHTML.join('');
@@ -1124,22 +1630,93 @@ class Controller {
             const lineNumber = parseInt(lineDiv.dataset.line);
             if (!lineNumber) return;
             
-            const segmentIndex = this.segments.findIndex(seg => seg.lineNum >= lineNumber);
-            if (segmentIndex !== -1) {
-                this.animator.currentIndex = segmentIndex;
-                this.animator.onUpdate(segmentIndex);
-                
-                if (this.currentView === '2d') {
-                    this.renderer2d.render();
-                } else {
-                    this.renderer3d.render();
-                }
-                
-                this.highlightGCodeLine(lineNumber);
+            if (this.segments.findIndexByLine(lineNumber) !== -1) {
+                this.jumpToLine(lineNumber);
             }
         });
     }
     
+    /**
+     * Move the animation to the first segment at or after a file line and highlight the line
+     */
+    jumpToLine(lineNumber) {
+        const segmentIndex = this.segments.findIndexByLine(lineNumber);
+        if (segmentIndex !== -1) {
+            // Seek by time so the timeline, segment progress and playback all start from this segment
+            this.animator.seekTime(this.animator.timeAtIndex(segmentIndex));
+            
+            if (this.currentView === '2d') {
+                this.renderer2d.render();
+            } else {
+                this.renderer3d.render();
+            }
+        }
+        
+        this.highlightGCodeLine(lineNumber);
+    }
+    
+    /**
+     * Index parser diagnostics by line for the GCode gutter and show the diagnostics panel
+     */
+    updateDiagnostics(idPrefix = '') {
+        const diagnostics = this.parser.getDiagnostics();
+        
+        this.diagnosticLines = new Map();
+        for (const diagnostic of diagnostics) {
+            const entry = this.diagnosticLines.get(diagnostic.line);
+            if (entry) {
+                entry.messages.push(diagnostic.message);
+                if (diagnostic.severity === 'error') entry.severity = 'error';
+            } else {
+                this.diagnosticLines.set(diagnostic.line, { severity: diagnostic.severity, messages: [diagnostic.message] });
+            }
+        }
+        
+        const panel = document.getElementById(`${idPrefix}diagnostics-panel`);
+        if (panel) panel.style.display = diagnostics.length > 0 ? 'flex' : 'none';
+        
+        const errors = diagnostics.filter(d => d.severity === 'error').length;
+        const count = document.getElementById(`${idPrefix}diagnostics-count`);
+        if (count) {
+            const omitted = this.parser.diagnosticsOmitted > 0 ? `, ${this.parser.diagnosticsOmitted} more not shown` : '';
+            count.textContent = `(${errors} errors, ${diagnostics.length - errors} warnings${omitted})`;
+        }
+        
+        this.renderDiagnosticsList(idPrefix);
+    }
+    
+    /**
+     * Render the diagnostics list with the current severity and text filters
+     */
+    renderDiagnosticsList(idPrefix = '') {
+        const list = document.getElementById(`${idPrefix}diagnostics-list`);
+        if (!list) return;
+        
+        const filter = document.getElementById(`${idPrefix}diagnostics-filter`);
+        const search = document.getElementById(`${idPrefix}diagnostics-search`);
+        const severity = filter ? filter.value : 'all';
+        const text = search ? search.value.trim().toLowerCase() : '';
+        
+        const matches = this.parser.getDiagnostics().filter(d =>
+            (severity === 'all' || d.severity === severity) &&
+            (!text || d.message.toLowerCase().includes(text) || d.code.includes(text))
+        );
+        
+        // Keep the DOM small for files with thousands of warnings
+        const maxItems = 500;
+        const items = matches.slice(0, maxItems).map(d =>
+            `<div class="diagnostic-item diagnostic-${d.severity}" data-line="${d.line}">` +
+            `<span class="diagnostic-line">${d.line}</span>${this.escapeHtml(d.message)}</div>`
+        );
+        if (matches.length > maxItems) {
+            items.push(`<div class="diagnostic-more">${matches.length - maxItems} more, refine the filter to see them</div>`);
+        }
+        if (matches.length === 0) {
+            items.push('<div class="diagnostic-more">No matching diagnostics</div>');
+        }
+        list.innerHTML = items.join('');
+    }
+    
     /**
      * Syntax highlight a single GCode line
      */
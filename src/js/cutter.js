@@ -0,0 +1,67 @@
+/**
+ * Cutter Module
+ * Cutter shapes (flat end mill, ball nose, V-bit) read from tool names, and the geometry the
+ * renderers and stock simulation need from them
+ */
+
+class Cutter {
+    /**
+     * Cutter used for tools without a definition (1/8" flat end mill)
+     */
+    static defaults() {
+        return { type: 'flat', diameter: 3.175, angle: 90 };
+    }
+
+    /**
+     * Guess a cutter from a tool name such as "3.175mm flat", "6mm ball nose" or "60° V-bit 1/4in"
+     * (Estlcam tool list and inline "Tool N: name" comments)
+     * @param {string} name - Tool name from the file
+     * @returns {Object} { type: 'flat' | 'ball' | 'vbit', diameter (mm), angle (degrees, V-bits) }
+     */
+    static fromName(name = '') {
+        const cutter = Cutter.defaults();
+        const text = name.toLowerCase();
+
+        if (/\bball|\bbn\b|spherical/.test(text)) {
+            cutter.type = 'ball';
+        } else if (/v[- ]?bit|v[- ]?carv|engrav|chamfer|\d+\s*(?:°|deg)/.test(text)) {
+            cutter.type = 'vbit';
+        }
+
+        const angle = text.match(/(\d+(?:\.\d+)?)\s*(?:°|deg)/);
+        if (angle) cutter.angle = parseFloat(angle[1]);
+
+        const metric = text.match(/(\d+(?:\.\d+)?)\s*mm/);
+        const fraction = text.match(/(\d+)\s*\/\s*(\d+)\s*(?:"|in|inch)/);
+        const inches = text.match(/(\d*\.\d+|\d+)\s*(?:"|in\b|inch)/);
+        if (metric) {
+            cutter.diameter = parseFloat(metric[1]);
+        } else if (fraction && parseInt(fraction[2], 10) > 0) {
+            cutter.diameter = (parseInt(fraction[1], 10) / parseInt(fraction[2], 10)) * 25.4;
+        } else if (inches) {
+            cutter.diameter = parseFloat(inches[1]) * 25.4;
+        }
+        if (!(cutter.diameter > 0)) cutter.diameter = Cutter.defaults().diameter;
+        return cutter;
+    }
+
+    /**
+     * Width of material a cutter removes with its tip at a depth below the surface
+     * Flat end mills always cut their full diameter; ball and V-bit widths grow with depth.
+     * @param {number} depth - mm below the surface (0 or less cuts nothing with a ball or V-bit)
+     * @returns {number} mm
+     */
+    static swathWidth(cutter, depth) {
+        const radius = cutter.diameter / 2;
+        switch (cutter.type) {
+            case 'ball':
+                if (depth <= 0) return 0;
+                return depth >= radius ? cutter.diameter : 2 * Math.sqrt(radius * radius - (radius - depth) * (radius - depth));
+            case 'vbit':
+                if (depth <= 0) return 0;
+                return Math.min(cutter.diameter, 2 * depth * Math.tan(((cutter.angle > 0 ? cutter.angle : 90) * Math.PI) / 360));
+            default:
+                return cutter.diameter;
+        }
+    }
+}
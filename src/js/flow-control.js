@@ -0,0 +1,702 @@
+/**
+ * Flow Control Module
+ * O-word subroutines, loops and conditionals, M98/M99 subprograms, #parameters and [expressions]
+ * (LinuxCNC/FluidNC dialect), expanded into plain lines for GCodeParser.parseLine
+ */
+
+class FlowControl {
+    /**
+     * @param {GCodeParser} parser - Parser that runs the expanded lines and collects diagnostics
+     */
+    constructor(parser) {
+        this.parser = parser;
+        this.subroutines = new Map(); // Name ('100' or '<name>') -> { lines, lineNum }
+        this.globals = new Map(); // Numbered parameters (except #1-#30) and named parameters starting with _
+        this.frames = [{ numbered: new Map(), named: new Map() }]; // Main program, then one per active call
+        this.iterations = 0; // Loop iterations and calls so far (checked against options.maxLoopIterations)
+        this.halted = false; // Iteration limit reached, loops and calls no longer run
+        this.returning = false; // M99 seen inside a subprogram
+
+        // Streaming: lines are held back while a block is open or a called subroutine isn't defined yet
+        this.pending = null; // [{ text, lineNum, o }]
+        this.open = []; // Blocks open in the pending lines ({ name, closer })
+        this.unresolved = new Set(); // Subroutines called in the pending lines but not defined yet
+        this.pendingSubs = new Set(); // Subroutines defined in the pending lines
+    }
+
+    /**
+     * Keyword that closes each block opened by an O-word
+     */
+    static closers() {
+        return { sub: 'endsub', while: 'endwhile', do: 'while', repeat: 'endrepeat', if: 'endif' };
+    }
+
+    /**
+     * Parse an O-word line
+     * @param {string} line - Trimmed GCode line
+     * @returns {Object|null} { name, keyword, rest } ('' keyword for a bare O-number label), or null
+     */
+    static parseOLine(line) {
+        if (!/^[NO]/i.test(line)) return null;
+
+        const text = line.replace(/\(.*?\)/g, '').replace(/;.*$/, '').trim();
+        const match = text.match(/^(?:N\d+\s*)?O\s*(\d+|<[^>]*>)\s*(endsub|endwhile|endrepeat|endif|elseif|else|sub|call|return|do|while|repeat|if|break|continue)?(?![a-z])(.*)$/i);
+        if (!match) return null;
+
+        const name = match[1].startsWith('<') ? match[1].replace(/\s+/g, '').toLowerCase() : String(parseInt(match[1], 10));
+        return { name, keyword: (match[2] || '').toLowerCase(), rest: match[3].trim() };
+    }
+
+    /**
+     * Check for a program end (M2/M30) or subprogram return (M99) on a line
+     * @returns {string|null} 'M99', 'end' or null
+     */
+    static programEnd(text) {
+        const match = text.replace(/\(.*?\)/g, '').replace(/;.*$/, '').match(/M\s*0*(2|30|99)(?![\d.])/i);
+        return match ? (match[1] === '99' ? 'M99' : 'end') : null;
+    }
+
+    /**
+     * Subroutine called on a line (O-word call or M98 P)
+     * @returns {string|null} Subroutine name
+     */
+    static calledSubroutine(text, o) {
+        if (o) return o.keyword === 'call' ? o.name : null;
+        if (!/M\s*0*98/i.test(text)) return null;
+
+        const match = text.replace(/\(.*?\)/g, '').replace(/;.*$/, '').match(/M\s*0*98(?![\d.]).*?P\s*(\d+)/i);
+        return match ? String(parseInt(match[1], 10)) : null;
+    }
+
+    /**
+     * Feed the next line of the file
+     * Plain lines go straight to the parser; blocks and calls to subroutines defined further
+     * down are held back until they can run.
+     * @param {string} line - Trimmed line
+     * @param {number} lineNum - 1-based line number in the file
+     */
+    feed(line, lineNum) {
+        const o = FlowControl.parseOLine(line);
+        const called = FlowControl.calledSubroutine(line, o);
+
+        if (!this.pending) {
+            if (!o && (called === null || this.subroutines.has(called))) {
+                this.parser.parseLine(line, lineNum);
+                return;
+            }
+            this.pending = [];
+        }
+
+        this.pending.push({ text: line, lineNum, o });
+        this.track(line, o, called);
+
+        // A bare O-number that runs this long without M99 labels the main program, not a subprogram
+        if (this.open.length === 1 && this.open[0].closer === 'M99' && this.unresolved.size === 0 &&
+            this.pending.length > 10000) {
+            this.open = [];
+        }
+
+        if (this.open.length === 0 && this.unresolved.size === 0) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Run whatever is still held back at the end of the file
+     */
+    finish() {
+        if (this.pending) this.flush();
+    }
+
+    /**
+     * Track open blocks and unresolved calls in the pending lines
+     */
+    track(text, o, called) {
+        const top = this.open[this.open.length - 1];
+
+        if (o && top && o.name === top.name && o.keyword === top.closer) {
+            this.open.pop();
+            if (o.keyword === 'endsub') this.defined(o.name);
+        } else if (o && FlowControl.closers()[o.keyword]) {
+            this.open.push({ name: o.name, closer: FlowControl.closers()[o.keyword] });
+        } else if (o && o.keyword === '') {
+            // Fanuc-style O-number: a subprogram if M99 comes before M2/M30
+            if (top && top.closer === 'M99') this.open.pop();
+            this.open.push({ name: o.name, closer: 'M99' });
+        } else if (!o && top && top.closer === 'M99') {
+            const end = FlowControl.programEnd(text);
+            if (end) this.open.pop();
+            if (end === 'M99') this.defined(top.name);
+        }
+
+        // Calls inside an O-sub only need the subroutine when it runs
+        // (an O-number block isn't counted: it may turn out to label the main program)
+        const defining = this.open.some(block => block.closer === 'endsub');
+        if (called !== null && !defining && !this.subroutines.has(called) && !this.pendingSubs.has(called)) {
+            this.unresolved.add(called);
+        }
+    }
+
+    /**
+     * Note a subroutine defined in the pending lines
+     */
+    defined(name) {
+        this.pendingSubs.add(name);
+        this.unresolved.delete(name);
+    }
+
+    /**
+     * Run the pending lines
+     */
+    flush() {
+        const lines = this.pending;
+        this.pending = null;
+        this.open = [];
+        this.unresolved.clear();
+        this.pendingSubs.clear();
+
+        const signal = this.runBlock(this.hoist(lines), 0);
+        if (signal && signal.type !== 'return') {
+            this.parser.addDiagnostic(signal.lineNum, 'warning', 'unmatched-block', `O${signal.name} ${signal.type} outside its loop ignored`);
+        }
+    }
+
+    /**
+     * Define the subroutines in a set of lines so calls above their definition work
+     * @returns {Array<Object>} The remaining lines
+     */
+    hoist(lines) {
+        const body = [];
+        for (let i = 0; i < lines.length; i++) {
+            const o = lines[i].o;
+            let end = -1;
+            if (o && o.keyword === 'sub') {
+                end = this.findEnd(lines, i, lines.length, o.name, 'endsub');
+            } else if (o && o.keyword === '') {
+                end = this.findSubprogramEnd(lines, i);
+            }
+
+            if (end < 0) {
+                body.push(lines[i]);
+            } else {
+                this.subroutines.set(o.name, { lines: lines.slice(i + 1, end), lineNum: lines[i].lineNum });
+                i = end;
+            }
+        }
+        return body;
+    }
+
+    /**
+     * Find the line closing an O-word block
+     * @returns {number} Index of the closing line, or -1
+     */
+    findEnd(lines, start, stop, name, closer) {
+        for (let j = start + 1; j < stop; j++) {
+            const o = lines[j].o;
+            if (o && o.name === name && o.keyword === closer) return j;
+        }
+        return -1;
+    }
+
+    /**
+     * Find the M99 ending a Fanuc-style subprogram
+     * @returns {number} Index of the M99 line, or -1 if the O-number labels a program instead
+     */
+    findSubprogramEnd(lines, start) {
+        for (let j = start + 1; j < lines.length; j++) {
+            if (lines[j].o) {
+                if (lines[j].o.keyword === '') return -1;
+                continue;
+            }
+            const end = FlowControl.programEnd(lines[j].text);
+            if (end) return end === 'M99' ? j : -1;
+        }
+        return -1;
+    }
+
+    /**
+     * Run lines, executing O-word blocks
+     * @param {Array<Object>} lines - { text, lineNum, o } entries
+     * @param {number} start - First index
+     * @param {number} stop - Index after the last line (default: all)
+     * @returns {Object|null} Unhandled break/continue/return ({ type, name, lineNum }), or null
+     */
+    runBlock(lines, start, stop = lines.length) {
+        for (let i = start; i < stop; i++) {
+            const { text, lineNum, o } = lines[i];
+            if (!o) {
+                this.parser.parseLine(text, lineNum);
+                if (this.returning) return { type: 'return', lineNum };
+                continue;
+            }
+
+            const label = `O${o.name}`;
+            switch (o.keyword) {
+                case '': // O-number label
+                    break;
+                case 'sub': {
+                    const end = this.findEnd(lines, i, stop, o.name, 'endsub');
+                    if (end < 0) return this.unclosed(o, lineNum);
+                    this.subroutines.set(o.name, { lines: lines.slice(i + 1, end), lineNum });
+                    i = end;
+                    break;
+                }
+                case 'call':
+                    this.call(o.name, this.evaluateList(o.rest, lineNum), lineNum);
+                    break;
+                case 'return':
+                    if (this.frames.length === 1) {
+                        this.parser.addDiagnostic(lineNum, 'warning', 'unmatched-block', `${label} return outside a subroutine ignored`);
+                        break;
+                    }
+                    if (o.rest) this.globals.set('_value', this.evaluate(o.rest, lineNum));
+                    return { type: 'return', name: o.name, lineNum };
+                case 'break':
+                case 'continue':
+                    return { type: o.keyword, name: o.name, lineNum };
+                case 'while': {
+                    const end = this.findEnd(lines, i, stop, o.name, 'endwhile');
+                    if (end < 0) return this.unclosed(o, lineNum);
+                    while (this.evaluate(o.rest, lineNum) !== 0 && this.tick(lineNum)) {
+                        const signal = this.runBlock(lines, i + 1, end);
+                        if (signal && (signal.type === 'return' || signal.name !== o.name)) return signal;
+                        if (signal && signal.type === 'break') break;
+                    }
+                    i = end;
+                    break;
+                }
+                case 'do': {
+                    const end = this.findEnd(lines, i, stop, o.name, 'while');
+                    if (end < 0) return this.unclosed(o, lineNum);
+                    const condition = lines[end].o.rest;
+                    do {
+                        if (!this.tick(lineNum)) break;
+                        const signal = this.runBlock(lines, i + 1, end);
+                        if (signal && (signal.type === 'return' || signal.name !== o.name)) return signal;
+                        if (signal && signal.type === 'break') break;
+                    } while (this.evaluate(condition, lines[end].lineNum) !== 0);
+                    i = end;
+                    break;
+                }
+                case 'repeat': {
+                    const end = this.findEnd(lines, i, stop, o.name, 'endrepeat');
+                    if (end < 0) return this.unclosed(o, lineNum);
+                    const count = Math.round(this.evaluate(o.rest, lineNum));
+                    for (let n = 0; n < count && this.tick(lineNum); n++) {
+                        const signal = this.runBlock(lines, i + 1, end);
+                        if (signal && (signal.type === 'return' || signal.name !== o.name)) return signal;
+                        if (signal && signal.type === 'break') break;
+                    }
+                    i = end;
+                    break;
+                }
+                case 'if': {
+                    // Branch lines: if, any elseif/else, then endif
+                    const branches = [i];
+                    for (let j = i + 1; j < stop; j++) {
+                        const branch = lines[j].o;
+                        if (branch && branch.name === o.name && ['elseif', 'else', 'endif'].includes(branch.keyword)) {
+                            branches.push(j);
+                            if (branch.keyword === 'endif') break;
+                        }
+                    }
+                    const end = branches[branches.length - 1];
+                    if (lines[end].o.keyword !== 'endif') return this.unclosed(o, lineNum);
+
+                    for (let b = 0; b < branches.length - 1; b++) {
+                        const branch = lines[branches[b]];
+                        if (branch.o.keyword === 'else' || this.evaluate(branch.o.rest, branch.lineNum) !== 0) {
+                            const signal = this.runBlock(lines, branches[b] + 1, branches[b + 1]);
+                            if (signal) return signal;
+                            break;
+                        }
+                    }
+                    i = end;
+                    break;
+                }
+                default:
+                    this.parser.addDiagnostic(lineNum, 'warning', 'unmatched-block', `${label} ${o.keyword} without a matching block ignored`);
+                    break;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Report a block with no closing line; the rest of the block is skipped
+     */
+    unclosed(o, lineNum) {
+        const closer = FlowControl.closers()[o.keyword];
+        this.parser.addDiagnostic(lineNum, 'error', 'unclosed-block', `O${o.name} ${o.keyword} has no matching O${o.name} ${closer}`);
+        return null;
+    }
+
+    /**
+     * Count a loop iteration or call against options.maxLoopIterations
+     * @returns {boolean} False once the limit is reached
+     */
+    tick(lineNum) {
+        if (this.halted) return false;
+
+        const max = this.parser.options.maxLoopIterations || 1000000;
+        if (++this.iterations > max) {
+            this.halted = true;
+            this.parser.addDiagnostic(lineNum, 'error', 'loop-limit',
+                `Stopped after ${max} loop iterations and subroutine calls (endless loop?)`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Call a subroutine (O-word call or M98)
+     * @param {string} name - Subroutine name
+     * @param {Array<number>} args - Values for #1, #2, ...
+     * @param {number} lineNum - Line of the call
+     * @param {number} count - Times to run it (M98 L)
+     */
+    call(name, args, lineNum, count = 1) {
+        const sub = this.subroutines.get(name);
+        if (!sub) {
+            this.parser.addDiagnostic(lineNum, 'error', 'unknown-subroutine', `Subroutine O${name} is not defined`);
+            return;
+        }
+        if (this.frames.length > 64) {
+            this.parser.addDiagnostic(lineNum, 'error', 'call-depth', `Subroutine O${name} nested more than 64 calls deep`);
+            return;
+        }
+
+        for (let n = 0; n < count && this.tick(lineNum); n++) {
+            const frame = { numbered: new Map(), named: new Map() };
+            args.forEach((value, k) => frame.numbered.set(k + 1, value));
+            this.frames.push(frame);
+            this.runBlock(sub.lines, 0);
+            this.frames.pop();
+            this.returning = false;
+        }
+    }
+
+    /**
+     * M99: return from the running subprogram (ignored in the main program)
+     */
+    returnFromSubprogram() {
+        if (this.frames.length > 1) this.returning = true;
+    }
+
+    /**
+     * Normalize text for evaluation: no whitespace, upper case outside #<names>
+     */
+    static normalize(text) {
+        return text.replace(/\s+/g, '').toUpperCase().replace(/<[^>]*>/g, name => name.toLowerCase());
+    }
+
+    /**
+     * Evaluate a condition or value such as "[#1 LT 10]"
+     * Errors are reported and evaluate to 0.
+     */
+    evaluate(text, lineNum) {
+        try {
+            const cursor = { text: FlowControl.normalize(text), pos: 0 };
+            const value = this.readValue(cursor, lineNum);
+            if (cursor.pos < cursor.text.length) throw new Error(`Unexpected "${cursor.text.slice(cursor.pos)}"`);
+            return value;
+        } catch (error) {
+            this.parser.addDiagnostic(lineNum, 'error', 'expression', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Evaluate call arguments such as "[1] [#2 * 2]"
+     */
+    evaluateList(text, lineNum) {
+        const values = [];
+        try {
+            const cursor = { text: FlowControl.normalize(text), pos: 0 };
+            while (cursor.pos < cursor.text.length) {
+                values.push(this.readValue(cursor, lineNum));
+            }
+        } catch (error) {
+            this.parser.addDiagnostic(lineNum, 'error', 'expression', error.message);
+        }
+        return values;
+    }
+
+    /**
+     * Extract words from a line that uses #parameters or [expressions], then apply its
+     * parameter assignments (which take effect after the whole line is read)
+     * @returns {Array} [letter, value] pairs; empty if the line has an error
+     */
+    evaluateWords(line, lineNum) {
+        const words = [];
+        const assignments = [];
+
+        try {
+            const cursor = { text: FlowControl.normalize(line), pos: 0 };
+            while (cursor.pos < cursor.text.length) {
+                const ch = cursor.text[cursor.pos];
+                if (ch === '#') {
+                    cursor.pos++;
+                    const key = this.readParameterKey(cursor, lineNum);
+                    if (cursor.text[cursor.pos] !== '=') throw new Error(`Expected "=" after parameter ${FlowControl.parameterName(key)}`);
+                    cursor.pos++;
+                    assignments.push([key, this.readValue(cursor, lineNum)]);
+                } else if (ch >= 'A' && ch <= 'Z') {
+                    cursor.pos++;
+                    words.push([ch, this.readValue(cursor, lineNum)]);
+                } else {
+                    throw new Error(`Unexpected "${ch}"`);
+                }
+            }
+        } catch (error) {
+            this.parser.addDiagnostic(lineNum, 'error', 'expression', `${error.message}, line ignored`);
+            return [];
+        }
+
+        for (const [key, value] of assignments) {
+            this.setParameter(key, value);
+        }
+        return words;
+    }
+
+    /**
+     * Read a real value: number, #parameter, [expression], function or unary +/-
+     */
+    readValue(cursor, lineNum) {
+        const text = cursor.text;
+        const ch = text[cursor.pos];
+
+        if (ch === '-' || ch === '+') {
+            cursor.pos++;
+            const value = this.readValue(cursor, lineNum);
+            return ch === '-' ? -value : value;
+        }
+        if (ch === '#') {
+            cursor.pos++;
+            return this.getParameter(this.readParameterKey(cursor, lineNum), lineNum);
+        }
+        if (ch === '[') {
+            cursor.pos++;
+            const value = this.readBinary(cursor, lineNum, 0);
+            this.expect(cursor, ']');
+            return value;
+        }
+
+        const number = text.slice(cursor.pos).match(/^(\d+\.?\d*|\.\d+)/);
+        if (number) {
+            cursor.pos += number[0].length;
+            return parseFloat(number[0]);
+        }
+
+        const name = text.slice(cursor.pos).match(/^[A-Z]+(?=\[)/);
+        if (name) {
+            cursor.pos += name[0].length;
+            return this.readFunction(name[0], cursor, lineNum);
+        }
+
+        throw new Error(ch === undefined ? 'Missing value at end of line' : `Unexpected "${ch}"`);
+    }
+
+    /**
+     * Binary operators by precedence, lowest first
+     */
+    static operators() {
+        return [
+            ['AND', 'OR', 'XOR'],
+            ['EQ', 'NE', 'GT', 'GE', 'LT', 'LE'],
+            ['+', '-'],
+            ['*', '/', 'MOD'],
+            ['**']
+        ];
+    }
+
+    /**
+     * Read a binary expression inside brackets (left-associative, precedence climbing)
+     */
+    readBinary(cursor, lineNum, level) {
+        const levels = FlowControl.operators();
+        if (level === levels.length) return this.readValue(cursor, lineNum);
+
+        let left = this.readBinary(cursor, lineNum, level + 1);
+        for (;;) {
+            const op = levels[level].find(candidate =>
+                cursor.text.startsWith(candidate, cursor.pos) && !(candidate === '*' && cursor.text[cursor.pos + 1] === '*'));
+            if (!op) return left;
+
+            cursor.pos += op.length;
+            const right = this.readBinary(cursor, lineNum, level + 1);
+            left = FlowControl.applyOperator(op, left, right);
+        }
+    }
+
+    /**
+     * Apply a binary operator (comparisons and logic give 1 or 0)
+     */
+    static applyOperator(op, a, b) {
+        switch (op) {
+            case '**': return Math.pow(a, b);
+            case '*': return a * b;
+            case '/':
+                if (b === 0) throw new Error('Division by zero');
+                return a / b;
+            case 'MOD': return a - b * Math.floor(a / b);
+            case '+': return a + b;
+            case '-': return a - b;
+            case 'EQ': return a === b ? 1 : 0;
+            case 'NE': return a !== b ? 1 : 0;
+            case 'GT': return a > b ? 1 : 0;
+            case 'GE': return a >= b ? 1 : 0;
+            case 'LT': return a < b ? 1 : 0;
+            case 'LE': return a <= b ? 1 : 0;
+            case 'AND': return a !== 0 && b !== 0 ? 1 : 0;
+            case 'OR': return a !== 0 || b !== 0 ? 1 : 0;
+            case 'XOR': return (a !== 0) !== (b !== 0) ? 1 : 0;
+        }
+        return 0;
+    }
+
+    /**
+     * Read a function call; trigonometry is in degrees like the rest of GCode
+     */
+    readFunction(name, cursor, lineNum) {
+        if (name === 'EXISTS') {
+            this.expect(cursor, '[');
+            this.expect(cursor, '#');
+            const key = this.readParameterKey(cursor, lineNum);
+            this.expect(cursor, ']');
+            return this.hasParameter(key) ? 1 : 0;
+        }
+
+        const arg = this.readValue(cursor, lineNum); // Bracketed argument
+        const degrees = Math.PI / 180;
+        switch (name) {
+            case 'ATAN': {
+                // ATAN[y]/[x]
+                this.expect(cursor, '/');
+                const x = this.readValue(cursor, lineNum);
+                return Math.atan2(arg, x) / degrees;
+            }
+            case 'ABS': return Math.abs(arg);
+            case 'ACOS': return Math.acos(arg) / degrees;
+            case 'ASIN': return Math.asin(arg) / degrees;
+            case 'COS': return Math.cos(arg * degrees);
+            case 'SIN': return Math.sin(arg * degrees);
+            case 'TAN': return Math.tan(arg * degrees);
+            case 'EXP': return Math.exp(arg);
+            case 'LN':
+                if (arg <= 0) throw new Error('LN of a value <= 0');
+                return Math.log(arg);
+            case 'SQRT':
+                if (arg < 0) throw new Error('SQRT of a negative value');
+                return Math.sqrt(arg);
+            case 'ROUND': return Math.round(arg);
+            case 'FIX': return Math.floor(arg);
+            case 'FUP': return Math.ceil(arg);
+        }
+        throw new Error(`Unknown function ${name}`);
+    }
+
+    /**
+     * Consume an expected character
+     */
+    expect(cursor, ch) {
+        if (cursor.text[cursor.pos] !== ch) {
+            throw new Error(`Expected "${ch}"${cursor.pos < cursor.text.length ? ` before "${cursor.text.slice(cursor.pos)}"` : ' at end of line'}`);
+        }
+        cursor.pos++;
+    }
+
+    /**
+     * Read what follows # : a <name> or a value giving the parameter number
+     * @returns {number|string} Parameter number, or name (lower case, without brackets)
+     */
+    readParameterKey(cursor, lineNum) {
+        if (cursor.text[cursor.pos] === '<') {
+            const end = cursor.text.indexOf('>', cursor.pos);
+            if (end < 0) throw new Error('Unclosed parameter name');
+            const name = cursor.text.slice(cursor.pos + 1, end);
+            cursor.pos = end + 1;
+            return name;
+        }
+        return Math.round(this.readValue(cursor, lineNum));
+    }
+
+    /**
+     * Display name for a parameter key
+     */
+    static parameterName(key) {
+        return typeof key === 'number' ? `#${key}` : `#<${key}>`;
+    }
+
+    /**
+     * Parameter table for a key: #1-#30 and names without a leading _ are local to the running subroutine
+     */
+    scope(key) {
+        const frame = this.frames[this.frames.length - 1];
+        if (typeof key === 'number') return key >= 1 && key <= 30 ? frame.numbered : this.globals;
+        return key.startsWith('_') ? this.globals : frame.named;
+    }
+
+    /**
+     * Read-only parser state parameters (LinuxCNC numbering)
+     * Lengths are in the current program units.
+     * @param {number} number - Parameter number
+     * @returns {number|undefined} Value, or undefined if it isn't a state parameter
+     */
+    systemParameter(number) {
+        const parser = this.parser;
+        const axes = ['x', 'y', 'z'];
+        if (number >= 5211 && number <= 5213) {
+            return parser.g92Offset[axes[number - 5211]] / parser.unitScale;
+        }
+        if ((number >= 5161 && number <= 5163) || (number >= 5181 && number <= 5183)) {
+            const reference = parser.referencePositions[number < 5181 ? 28 : 30];
+            return reference[axes[(number - 5161) % 20]] / parser.unitScale;
+        }
+        if (number === 5220) {
+            return parser.wcs + 1;
+        }
+        if (number >= 5221 && number < 5221 + 9 * 20 && (number - 5221) % 20 < 3) {
+            const index = Math.floor((number - 5221) / 20);
+            return parser.wcsOffsets[index][axes[(number - 5221) % 20]] / parser.unitScale;
+        }
+        if (number === 5400) {
+            return parser.currentTool;
+        }
+        if (number >= 5420 && number <= 5422) {
+            const axis = axes[number - 5420];
+            return (parser.position[axis] - parser.offset[axis]) / parser.unitScale;
+        }
+        return undefined;
+    }
+
+    /**
+     * Check whether a parameter has been set
+     */
+    hasParameter(key) {
+        return (typeof key === 'number' && this.systemParameter(key) !== undefined) || this.scope(key).has(key);
+    }
+
+    /**
+     * Read a parameter; unset numbered parameters are 0, unset named ones are reported
+     */
+    getParameter(key, lineNum) {
+        if (typeof key === 'number') {
+            const system = this.systemParameter(key);
+            if (system !== undefined) return system;
+        }
+
+        const scope = this.scope(key);
+        if (!scope.has(key) && typeof key === 'string') {
+            this.parser.addDiagnostic(lineNum, 'warning', 'undefined-parameter', `Parameter ${FlowControl.parameterName(key)} used before it is set, 0 assumed`);
+        }
+        return scope.get(key) || 0;
+    }
+
+    /**
+     * Set a parameter
+     */
+    setParameter(key, value) {
+        this.scope(key).set(key, value);
+    }
+}
@@ -56,12 +56,13 @@ class FluidNCAPI {
 
             // Handle command responses (type: 'cmd' or 'stream' with successful response)
             if ((type === 'stream' || type === 'cmd') && content) {
-                // Check if it's a successful command response with a setting
-                if (content.status === 'success' && content.response && content.response.startsWith('$/')) {
+                // Check if it's a successful command response with a setting ($/path=value or legacy $30=value)
+                const setting = /^\$(\/|\d+=)/;
+                if (content.status === 'success' && content.response && setting.test(content.response)) {
                     this.handleCommandResponse(content.response);
                 }
-                // Or if it's a direct string response starting with $/
-                else if (typeof content === 'string' && content.startsWith('$/')) {
+                // Or if it's a direct string response with a setting
+                else if (typeof content === 'string' && setting.test(content)) {
                     this.handleCommandResponse(content);
                 }
             }
@@ -74,6 +75,10 @@ class FluidNCAPI {
                 if (content.startsWith('[FILE:') || content.startsWith('[DIR:') || (content.trim() === 'ok')) {
                     this.handleSDListStream(content);
                 }
+                // Check if it's a $# parameter line ([G54:0.000,0.000,0.000])
+                if (/^\[(G\d|TLO|PRB)/.test(content) || (content.trim() === 'ok')) {
+                    this.handleParameterStream(content);
+                }
                 this.handleStreamMessage(content);
             }
             // Handle download responses
@@ -173,6 +178,28 @@ class FluidNCAPI {
         }
     }
 
+    /**
+     * Handle $# responses - one stream message per stored offset, then ok
+     */
+    handleParameterStream(content) {
+        for (const [id, request] of this.pendingRequests.entries()) {
+            if (request.command === '$#') {
+                if (!request.paramBuffer) {
+                    request.paramBuffer = [];
+                }
+                if (content.startsWith('[')) {
+                    request.paramBuffer.push(content.trim());
+                }
+                // End marker
+                else if (request.paramBuffer.length > 0) {
+                    this.pendingRequests.delete(id);
+                    request.resolve(request.paramBuffer.join('\n'));
+                }
+                return;
+            }
+        }
+    }
+
     /**
      * Handle stream message (status updates, etc)
      */
@@ -335,7 +362,9 @@ class FluidNCAPI {
                 accelZ: 80,
                 maxRateX: 3000,
                 maxRateY: 3000,
-                maxRateZ: 2000
+                maxRateZ: 2000,
+                junctionDeviation: 0.01,
+                plannerBlocks: 16
             };
 
             // Get acceleration values
@@ -376,6 +405,19 @@ class FluidNCAPI {
                 if (maxRateZMatch) params.maxRateZ = parseFloat(maxRateZMatch[1].trim()) || 2000;
             } catch (e) { console.warn('Failed to get Z max rate:', e); }
 
+            // Planner look-ahead settings
+            try {
+                const junctionResp = await this.sendCommand('$/junction_deviation_mm');
+                const junctionMatch = junctionResp.match(/=([^\r\n]+)/);
+                if (junctionMatch) params.junctionDeviation = parseFloat(junctionMatch[1].trim()) || 0.01;
+            } catch (e) { console.warn('Failed to get junction deviation:', e); }
+
+            try {
+                const blocksResp = await this.sendCommand('$/planner_blocks');
+                const blocksMatch = blocksResp.match(/=([^\r\n]+)/);
+                if (blocksMatch) params.plannerBlocks = parseInt(blocksMatch[1].trim(), 10) || 16;
+            } catch (e) { console.warn('Failed to get planner blocks:', e); }
+
             console.log('[FluidNC API] Motion parameters:', params);
             return params;
         } catch (error) {
@@ -386,11 +428,57 @@ class FluidNCAPI {
                 accelZ: 80,
                 maxRateX: 3000,
                 maxRateY: 3000,
-                maxRateZ: 2000
+                maxRateZ: 2000,
+                junctionDeviation: 0.01,
+                plannerBlocks: 16
             };
         }
     }
 
+    /**
+     * Get the spindle settings from the Grbl-compatible $30 (max spindle speed) and $32 (laser mode)
+     * @returns {Promise<Object>} { maxSpindleSpeed, laserMode }, null for a setting that can't be read
+     */
+    async getSpindleParameters() {
+        const params = { maxSpindleSpeed: null, laserMode: null };
+        try {
+            const speedResp = await this.sendCommand('$30');
+            const speedMatch = speedResp.match(/=([^\r\n]+)/);
+            if (speedMatch && parseFloat(speedMatch[1]) > 0) params.maxSpindleSpeed = parseFloat(speedMatch[1]);
+        } catch (e) { console.warn('Failed to get max spindle speed:', e); }
+
+        try {
+            const laserResp = await this.sendCommand('$32');
+            const laserMatch = laserResp.match(/=([^\r\n]+)/);
+            if (laserMatch) params.laserMode = /^(1|true|on)$/i.test(laserMatch[1].trim());
+        } catch (e) { console.warn('Failed to get laser mode:', e); }
+
+        console.log('[FluidNC API] Spindle parameters:', params);
+        return params;
+    }
+
+    /**
+     * Get the stored work offsets (G54-G59; FluidNC has no G59.1-G59.3) and G28/G30 positions from $#
+     * @returns {Promise<Object>} { workOffsets: [{x, y, z}, ...], g28Position, g30Position } in mm; missing if they can't be read
+     */
+    async getCoordinateParameters() {
+        const params = { workOffsets: [], g28Position: null, g30Position: null };
+        try {
+            const response = await this.sendCommand('$#');
+            for (const match of response.matchAll(/\[(G\d+):([^\]]+)\]/g)) {
+                const [x, y, z] = match[2].split(',').map(parseFloat);
+                const position = { x: x || 0, y: y || 0, z: z || 0 };
+                const code = parseInt(match[1].slice(1), 10);
+                if (code >= 54 && code <= 59) params.workOffsets[code - 54] = position;
+                if (code === 28 || code === 30) params[`g${code}Position`] = position;
+            }
+            console.log('[FluidNC API] Coordinate parameters:', params);
+        } catch (error) {
+            console.error('[FluidNC API] Failed to get coordinate parameters:', error);
+        }
+        return params;
+    }
+
     /**
      * List files on SD card
      */
@@ -20,9 +20,13 @@ class FluidNCController extends Controller {
         this.lastStatusTool = -1; // Track last tool displayed in status panel
         this.runningFilePath = null; // Track the file path currently running
         this.currentFilePath = null; // Track current loaded file path
+        this.stockEnabled = false; // Simulate material removal in the 3D view
+        this.stock = null; // Stock box for the simulation (display coordinates, mm)
         this.setupFluidNCListeners();
         this.loadSDFiles();
-        this.syncGridFromFluidNC(); // Auto-sync grid dimensions on load
+        this.setupMachineProfiles();
+        this.setupStockSimulation();
+        this.syncProfileFromFluidNC(); // Auto-sync the machine profile on load
         this.setupStatusMonitoring(); // Monitor FluidNC status messages
         this.restoreViewerState(); // Restore previous state if available
     }
@@ -58,6 +62,11 @@ class FluidNCController extends Controller {
                 this.togglePauseResume();
             });
         }
+        
+        // Job report export (CSV, JSON or printable job sheet)
+        document.querySelectorAll('[data-report-format]').forEach((button) => {
+            button.addEventListener('click', () => this.exportReport(button.dataset.reportFormat));
+        });
     }
     
     /**
@@ -251,33 +260,340 @@ class FluidNCController extends Controller {
     }
 
     /**
-     * Sync grid dimensions from FluidNC settings (runs automatically on load)
+     * Download a time and distance report for the loaded job
+     * @param {string} format - 'csv', 'json' or 'html' (job sheet with a toolpath snapshot)
+     */
+    exportReport(format) {
+        if (this.segments.length === 0) return;
+        
+        const report = new JobReport(this.segments, this.animator, { fileName: this.fileName, units: this.displayUnits });
+        const baseName = (this.fileName || 'program').replace(/\.[^.]*$/, '');
+        if (format === 'csv') {
+            this.downloadFile(report.toCSV(), `${baseName}-report.csv`, 'text/csv');
+        } else if (format === 'json') {
+            this.downloadFile(JSON.stringify(report.toJSON(), null, 2), `${baseName}-report.json`, 'application/json');
+        } else {
+            this.downloadFile(report.toHTML(this.snapshotView()), `${baseName}-job-sheet.html`, 'text/html');
+        }
+    }
+
+    /**
+     * Capture the current view as a PNG data URL (null if the canvas can't be read)
+     */
+    snapshotView() {
+        try {
+            if (this.currentView === '2d') {
+                this.renderer2d.render();
+                return this.canvas2d.toDataURL('image/png');
+            }
+            this.renderer3d.render();
+            return this.canvas3d.toDataURL('image/png');
+        } catch (error) {
+            console.error('Failed to capture toolpath snapshot:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save text as a file through a temporary link
+     */
+    downloadFile(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load GCode file, then fit the stock box to it
+     */
+    async loadFile(file) {
+        await super.loadFile(file);
+        this.updateStockPanel();
+    }
+
+    /**
+     * Switch between machine and work coordinate display; the stock box is in display coordinates
+     * @param {string} mode - 'machine' or 'work'
+     */
+    setCoordinateMode(mode) {
+        super.setCoordinateMode(mode);
+        if (this.stock) {
+            this.fitStock();
+            this.applyStockSimulation();
+        }
+    }
+
+    /**
+     * Cutter inputs for a tool row; the stock simulation uses the cutter too
+     */
+    createCutterFields(cutter) {
+        const row = super.createCutterFields(cutter);
+        row.querySelectorAll('select, input').forEach((input) => {
+            input.addEventListener('change', () => {
+                if (this.stockEnabled) this.applyStockSimulation();
+            });
+        });
+        return row;
+    }
+
+    /**
+     * Setup the stock simulation panel (stock box and fit button)
+     */
+    setupStockSimulation() {
+        const enabled = document.getElementById('stock-enabled');
+        if (!enabled) return;
+        
+        enabled.addEventListener('change', () => {
+            this.stockEnabled = enabled.checked;
+            this.applyStockSimulation();
+        });
+        
+        document.querySelectorAll('[data-stock]').forEach((input) => {
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (this.stock && Number.isFinite(value)) this.stock[input.dataset.stock] = value;
+                this.updateStockFields();
+                this.applyStockSimulation();
+            });
+        });
+        
+        const fitBtn = document.getElementById('stock-fit');
+        if (fitBtn) {
+            fitBtn.addEventListener('click', () => {
+                this.fitStock();
+                this.applyStockSimulation();
+            });
+        }
+    }
+
+    /**
+     * Show the stock panel for a new file with a stock box fitted to the job
+     */
+    updateStockPanel() {
+        const panel = document.getElementById('stock-panel');
+        if (!panel) return;
+        panel.style.display = 'block';
+        
+        this.fitStock();
+        this.applyStockSimulation();
+    }
+
+    /**
+     * Fit the stock box around the cut moves in the current coordinate mode
+     */
+    fitStock() {
+        this.stock = StockSimulator.fitStock(this.segments, this.coordinateMode === 'work', this.tools);
+        this.updateStockFields();
+    }
+
+    /**
+     * Show the stock box in its inputs
+     */
+    updateStockFields() {
+        document.querySelectorAll('[data-stock]').forEach((input) => {
+            input.value = this.stock ? this.stock[input.dataset.stock] : '';
+        });
+    }
+
+    /**
+     * Send the stock box to the 3D renderer (or turn the simulation off); cutters come from the tool states
+     */
+    applyStockSimulation() {
+        const valid = this.stock && this.stock.maxX > this.stock.minX && this.stock.maxY > this.stock.minY &&
+            this.stock.maxZ > this.stock.minZ;
+        this.renderer3d.setStockSimulation(this.stockEnabled && valid ? { stock: this.stock } : null);
+    }
+
+    /**
+     * Setup the machine profile picker, editor and import/export
+     */
+    setupMachineProfiles() {
+        const select = document.getElementById('machine-profile');
+        if (!select) return;
+
+        this.profiles = new MachineProfiles();
+        this.applyMachineProfile();
+
+        select.addEventListener('change', () => {
+            this.profiles.select(select.value);
+            this.applyMachineProfile();
+        });
+
+        // Profile fields ("group.key" for per-axis values)
+        document.querySelectorAll('[data-profile-field]').forEach((input) => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.profileField;
+                let value = parseFloat(input.value);
+                if (field === 'name') value = input.value;
+                if (input.type === 'checkbox') value = input.checked;
+                this.profiles.update(this.profiles.activeId, MachineProfiles.fieldChanges(this.profiles.active(), field, value));
+                this.applyMachineProfile();
+            });
+        });
+
+        const newBtn = document.getElementById('profile-new');
+        if (newBtn) {
+            newBtn.addEventListener('click', () => {
+                const name = prompt('Name of the new machine profile:', `${this.profiles.active().name} copy`);
+                if (!name || !name.trim()) return;
+                this.profiles.select(this.profiles.create(name.trim()).id);
+                this.applyMachineProfile();
+            });
+        }
+
+        const deleteBtn = document.getElementById('profile-delete');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                const profile = this.profiles.active();
+                if (this.profiles.profiles.length <= 1) {
+                    alert('The last machine profile can\'t be deleted.');
+                    return;
+                }
+                if (!confirm(`Delete machine profile "${profile.name}"?`)) return;
+                this.profiles.remove(profile.id);
+                this.applyMachineProfile();
+            });
+        }
+
+        const exportBtn = document.getElementById('profile-export');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.downloadFile(this.profiles.exportJSON(), 'machine-profiles.json', 'application/json');
+            });
+        }
+
+        const importBtn = document.getElementById('profile-import');
+        const importFile = document.getElementById('profile-import-file');
+        if (importBtn && importFile) {
+            importBtn.addEventListener('click', () => importFile.click());
+            importFile.addEventListener('change', async () => {
+                const file = importFile.files[0];
+                importFile.value = '';
+                if (!file) return;
+                try {
+                    const imported = this.profiles.importJSON(await file.text());
+                    this.profiles.select(imported[0].id);
+                    this.applyMachineProfile();
+                } catch (error) {
+                    console.error('Failed to import machine profiles:', error);
+                    alert(`Could not import machine profiles: ${error.message}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Apply the selected machine profile to the time estimates, grid, limit checks and profile form
      */
-    async syncGridFromFluidNC() {
+    applyMachineProfile() {
+        const profile = this.profiles.active();
+        this.updateProfileForm(profile);
+
+        // Time estimates
+        this.animator.setEventDurations(profile.eventDurations);
+        this.animator.setMotionParameters(MachineProfiles.plannerParameters(profile));
+        document.querySelectorAll('[data-event-duration]').forEach((input) => {
+            input.value = this.animator.eventDurations[input.dataset.eventDuration];
+        });
+
+        // Grid extents (the renderers read the inputs each frame)
+        for (const [id, value] of [['grid-width', profile.travel.x], ['grid-height', profile.travel.y]]) {
+            const input = document.getElementById(id);
+            if (input && value > 0) {
+                input.value = value;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        }
+
+        // Travel limits, the starting WCS, the stored offsets and reference positions and the spindle settings
+        // are applied by the parser, so a loaded file is parsed again
+        const parserOptions = JSON.stringify(this.parser.options);
+        this.parser.options.travel = { ...profile.travel };
+        this.parser.options.defaultWcs = profile.defaultWcs;
+        this.parser.options.laserMode = profile.laserMode;
+        this.parser.options.maxSpindleSpeed = profile.maxSpindleSpeed;
+        this.parser.options.workOffsets = profile.workOffsets.map((offset) => ({ ...offset }));
+        this.parser.options.g28Position = { ...profile.g28Position };
+        this.parser.options.g30Position = { ...profile.g30Position };
+        const parserChanged = JSON.stringify(this.parser.options) !== parserOptions;
+
+        if (this.segments.length === 0) return;
+        if (parserChanged) {
+            this.reloadGCode();
+        } else {
+            this.refreshTimeEstimates();
+        }
+    }
+
+    /**
+     * Show the profile list and the selected profile's settings
+     */
+    updateProfileForm(profile) {
+        const select = document.getElementById('machine-profile');
+        if (select) {
+            select.innerHTML = '';
+            for (const item of this.profiles.profiles) {
+                const option = document.createElement('option');
+                option.value = item.id;
+                option.textContent = item.name;
+                select.appendChild(option);
+            }
+            select.value = profile.id;
+        }
+
+        document.querySelectorAll('[data-profile-field]').forEach((input) => {
+            const value = MachineProfiles.fieldValue(profile, input.dataset.profileField);
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    /**
+     * Sync the "FluidNC machine" profile from FluidNC settings, stored offsets, G28/G30 positions and spindle settings (runs automatically on load)
+     * The profile is selected the first time it is created; after that the user's choice of profile is kept.
+     */
+    async syncProfileFromFluidNC() {
         try {
-            const [width, height, motionParams] = await Promise.all([
+            const [width, height, motionParams, coordinateParams, spindleParams] = await Promise.all([
                 this.fluidAPI.getMaxTravelX(),
                 this.fluidAPI.getMaxTravelY(),
-                this.fluidAPI.getMotionParameters()
+                this.fluidAPI.getMotionParameters(),
+                this.fluidAPI.getCoordinateParameters(),
+                this.fluidAPI.getSpindleParameters()
             ]);
 
-            const widthInput = document.getElementById('grid-width');
-            const heightInput = document.getElementById('grid-height');
-            
-            widthInput.value = Math.round(width);
-            heightInput.value = Math.round(height);
-            
-            // Trigger input events so the renderers pick up the change
-            widthInput.dispatchEvent(new Event('input', { bubbles: true }));
-            heightInput.dispatchEvent(new Event('input', { bubbles: true }));
-
-            // Apply motion parameters to animator
-            this.animator.setMotionParameters(motionParams);
+            const settings = {
+                travel: { x: Math.round(width), y: Math.round(height) },
+                accel: { x: motionParams.accelX, y: motionParams.accelY, z: motionParams.accelZ },
+                maxRate: { x: motionParams.maxRateX, y: motionParams.maxRateY, z: motionParams.maxRateZ },
+                junctionDeviation: motionParams.junctionDeviation,
+                plannerBlocks: motionParams.plannerBlocks
+            };
+            if (coordinateParams.workOffsets.length > 0) {
+                // G59.1-G59.3 aren't reported, so they keep the profile's values
+                const workOffsets = (this.profiles.get('fluidnc') || this.profiles.active()).workOffsets;
+                settings.workOffsets = workOffsets.map((offset, i) => coordinateParams.workOffsets[i] || offset);
+            }
+            if (coordinateParams.g28Position) settings.g28Position = coordinateParams.g28Position;
+            if (coordinateParams.g30Position) settings.g30Position = coordinateParams.g30Position;
+            if (spindleParams.maxSpindleSpeed !== null) settings.maxSpindleSpeed = spindleParams.maxSpindleSpeed;
+            if (spindleParams.laserMode !== null) settings.laserMode = spindleParams.laserMode;
+            if (this.profiles.get('fluidnc')) {
+                this.profiles.update('fluidnc', settings);
+            } else {
+                this.profiles.select(this.profiles.create('FluidNC machine', settings, 'fluidnc').id);
+            }
+            this.applyMachineProfile();
 
-            console.log('Grid dimensions synced from FluidNC:', width, 'x', height);
-            console.log('Motion parameters synced from FluidNC:', motionParams);
+            console.log('Machine profile synced from FluidNC:', this.profiles.get('fluidnc'));
         } catch (error) {
-            console.error('Failed to sync grid dimensions:', error);
+            console.error('Failed to sync machine profile:', error);
         }
     }
 
@@ -440,12 +756,21 @@ class FluidNCController extends Controller {
             }, 500);
 
         } catch (error) {
+            progressBar.classList.add('hidden');
+            if (error.name === 'AbortError') return; // Parsing cancelled
             console.error('Failed to load SD file:', error);
             alert('Failed to load file from SD card: ' + error.message);
-            progressBar.classList.add('hidden');
         }
     }
 
+    /**
+     * Parse the loaded GCode again with the current parser options
+     */
+    reloadGCode() {
+        if (!this.gcodeText) return;
+        this.processGCode(this.gcodeText, this.fileName || 'program.nc');
+    }
+
     /**
      * Process GCode content (reusing existing logic)
      */
@@ -455,27 +780,28 @@ class FluidNCController extends Controller {
         const progressFill = document.getElementById('progress-fill');
 
         try {
-            // Create a Blob from the text to use parseFile
+            // Create a Blob from the text so the parser worker can stream it
             const blob = new Blob([text], { type: 'text/plain' });
             const file = new File([blob], filename, { type: 'text/plain' });
             
-            // Parse GCode using the parser's parseFile method
-            const segments = await this.parser.parseFile(file, (percent) => {
+            // Parse GCode off the main thread
+            this.showParseCancel(true);
+            const segments = await this.parserWorker.parse(file, (percent) => {
                 progressFill.style.width = percent + '%';
             });
+            this.showParseCancel(false);
 
-            const bounds = this.parser.getBounds();
+            const bounds = this.parser.getBounds(this.coordinateMode);
 
             this.segments = segments;
             this.bounds = bounds;
             this.gcodeText = text;
+            this.fileName = filename;
+            this.segmentBytePositions = null; // Rebuilt for the new file on first lookup
             this.hasRefittedCamera = false; // Reset flag for new file
 
             // Detect tools used in the file
             this.detectTools(segments);
-            
-            // Calculate segment execution times for predictive animation
-            this.calculateSegmentExecutionTimes();
 
             // Update renderers
             this.renderer2d.setSegments(segments, bounds);
@@ -489,8 +815,10 @@ class FluidNCController extends Controller {
 
             // Update UI first to ensure canvas is visible
             this.updateStatistics();
+            this.updateDiagnostics();
             this.displayGCode(text);
             this.updateToolPanel();
+            this.updateStockPanel();
             document.getElementById('animation-panel').style.display = 'block';
             const gcodePanel = document.getElementById('gcode-panel');
             gcodePanel.style.display = 'block';
@@ -505,10 +833,8 @@ class FluidNCController extends Controller {
             const welcomePanel = document.getElementById('gcode-welcome');
             if (welcomePanel) welcomePanel.style.display = 'none';
             
-            // Setup line slider
-            const lineSlider = document.getElementById('line-slider');
-            lineSlider.max = segments.length;
-            lineSlider.value = 0;
+            // Setup timeline slider and event markers
+            this.updateTimeline();
 
             // Fit camera to bounds - use requestAnimationFrame to wait for layout
             const fitCamera = () => {
@@ -542,7 +868,7 @@ class FluidNCController extends Controller {
                 }
                 
                 console.log('FluidNC: Fitting to bounds with canvas size:', width, 'x', height);
-                this.camera.fitToBounds(bounds, 0.1, width, height);
+                this.camera.fitToBounds(this.cameraBounds(), 0.1, width, height);
                 this.updateZoomSlider();
             };
             
@@ -554,7 +880,8 @@ class FluidNCController extends Controller {
             });
 
         } catch (error) {
-            console.error('Error processing GCode:', error);
+            if (!this.parserWorker.isParsing) this.showParseCancel(false);
+            if (error.name !== 'AbortError') console.error('Error processing GCode:', error);
             throw error;
         }
     }
@@ -594,11 +921,12 @@ class FluidNCController extends Controller {
                 const now = Date.now();
                 const elapsedSeconds = (now - executionStartTime) / 1000 + timeOffset;
                 
-                // Predict current segment based on elapsed time
-                const predictedIndex = this.findSegmentByElapsedTime(elapsedSeconds);
+                // Predict current segment based on elapsed time, using the animator's time table
+                const predicted = this.animator.indexAtTime(elapsedSeconds);
+                const predictedIndex = predicted.index + predicted.progress;
                 
                 // Smooth interpolation towards predicted position
-                const currentIndex = this.animator.currentIndex;
+                const currentIndex = this.animator.currentIndex + this.animator.segmentProgress;
                 const diff = predictedIndex - currentIndex;
                 
                 // Move smoothly (15% per frame), but never backward
@@ -607,6 +935,7 @@ class FluidNCController extends Controller {
                 
                 this.animator.currentIndex = Math.floor(newIndex);
                 this.animator.segmentProgress = newIndex % 1;
+                this.animator.currentTime = this.animator.timeAtIndex(this.animator.currentIndex, this.animator.segmentProgress);
                 
                 // Update UI and renderers
                 if (this.animator.onUpdate) {
@@ -640,7 +969,7 @@ class FluidNCController extends Controller {
                 const width = canvas.clientWidth || canvas.width;
                 const height = canvas.clientHeight || canvas.height;
                 console.log('Refitting camera with canvas size:', width, 'x', height);
-                this.camera.fitToBounds(this.bounds, 0.1, width, height);
+                this.camera.fitToBounds(this.cameraBounds(), 0.1, width, height);
             }, 100);
             
             // Set total time estimate
@@ -651,8 +980,8 @@ class FluidNCController extends Controller {
             
             // Set initial tool
             this.lastStatusTool = -1;
-            if (this.segments && this.segments[0]) {
-                const initialTool = this.segments[0].tool || 0;
+            if (this.segments && this.segments.length > 0) {
+                const initialTool = this.segments.tool(0);
                 this.lastStatusTool = initialTool;
                 document.getElementById('status-current-tool').textContent = `T${initialTool}`;
             }
@@ -687,15 +1016,15 @@ class FluidNCController extends Controller {
                 if (actualIndex >= 0) {
                     // IMPORTANT: Adjust timeOffset to align prediction with reality
                     // Don't directly set animator position - let prediction handle it
-                    const actualTime = this.segmentExecutionTimes[actualIndex] || 0;
+                    const actualTime = this.animator.timeAtIndex(actualIndex);
                     const elapsedSeconds = (now - executionStartTime) / 1000;
                     const newTimeOffset = actualTime - elapsedSeconds;
                     
                     timeOffset = newTimeOffset;
                     
                     // Update current tool display if changed
-                    if (this.segments[actualIndex]) {
-                        const currentTool = this.segments[actualIndex].tool || 0;
+                    if (actualIndex < this.segments.length) {
+                        const currentTool = this.segments.tool(actualIndex);
                         if (this.lastStatusTool !== currentTool) {
                             this.lastStatusTool = currentTool;
                             document.getElementById('status-current-tool').textContent = `T${currentTool}`;
@@ -762,31 +1091,31 @@ class FluidNCController extends Controller {
         const startTime = performance.now();
         
         const lines = this.gcodeText.split('\n');
-        this.segmentBytePositions = [];
+        const lineNums = this.segments.lineNums;
+        this.segmentBytePositions = new Float64Array(this.segments.length);
         
         // Use TextEncoder for fast byte length calculation (much faster than Blob)
         const encoder = new TextEncoder();
         
         // Pre-calculate byte length of each line (including newline)
-        const lineByteLengths = [];
+        const lineByteLengths = new Float64Array(lines.length);
         let cumulativeBytes = 0;
         
         for (let i = 0; i < lines.length; i++) {
             // TextEncoder.encode() is 100x faster than new Blob()
             const lineBytes = encoder.encode(lines[i] + '\n').length;
             cumulativeBytes += lineBytes;
-            lineByteLengths.push(cumulativeBytes);
+            lineByteLengths[i] = cumulativeBytes;
         }
         
-        // Map segment line numbers to byte positions
+        // Map segment line numbers to byte positions (read straight from the line number column)
         for (let i = 0; i < this.segments.length; i++) {
-            const seg = this.segments[i];
-            const lineNum = seg.lineNum || 0;
+            const lineNum = lineNums[i];
             
             if (lineNum > 0 && lineNum <= lineByteLengths.length) {
-                this.segmentBytePositions.push(lineByteLengths[lineNum - 1]);
+                this.segmentBytePositions[i] = lineByteLengths[lineNum - 1];
             } else {
-                this.segmentBytePositions.push(cumulativeBytes);
+                this.segmentBytePositions[i] = cumulativeBytes;
             }
         }
         
@@ -796,79 +1125,6 @@ class FluidNCController extends Controller {
         console.log(`[PERF] Processed ${this.segments.length} segments, ${lines.length} lines`);
     }
 
-    /**
-     * Calculate execution time for each segment based on feed rate and distance
-     */
-    calculateSegmentExecutionTimes() {
-        if (!this.segments || this.segments.length === 0) return;
-        
-        const startTime = performance.now();
-        
-        this.segmentExecutionTimes = [];
-        let cumulativeTime = 0;
-        
-        for (let i = 0; i < this.segments.length; i++) {
-            const seg = this.segments[i];
-            let segmentTime = 0;
-            
-            // Skip segments without start/end properties
-            if (!seg.start || !seg.end) {
-                this.segmentExecutionTimes.push(cumulativeTime);
-                continue;
-            }
-            
-            // Calculate distance - segments use start/end objects
-            const dx = seg.end.x - seg.start.x;
-            const dy = seg.end.y - seg.start.y;
-            const dz = seg.end.z - seg.start.z;
-            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-            
-            // Get feed rate (units per minute)
-            const feedRate = seg.feedRate || 1000; // Default 1000 mm/min if not specified
-            
-            if (seg.type === 'rapid' || seg.type === 'G0') {
-                // Rapid moves - assume fixed rapid rate (most machines ~5000-10000 mm/min)
-                const rapidRate = 6000; // Conservative estimate
-                segmentTime = distance > 0 ? (distance / rapidRate) * 60 : 0; // Convert to seconds
-            } else if (seg.type === 'cut' || seg.type === 'G1' || seg.type === 'G2' || seg.type === 'G3') {
-                // Feed moves - use actual feed rate
-                segmentTime = distance > 0 ? (distance / feedRate) * 60 : 0; // Convert to seconds
-            }
-            
-            cumulativeTime += segmentTime;
-            this.segmentExecutionTimes.push(cumulativeTime);
-        }
-        
-        const endTime = performance.now();
-        console.log(`[PERF] Total estimated execution time: ${(cumulativeTime / 60).toFixed(2)} minutes (calculated in ${(endTime - startTime).toFixed(2)}ms)`);
-    }
-
-    /**
-     * Find segment index based on elapsed time using predictive estimation
-     */
-    findSegmentByElapsedTime(elapsedSeconds) {
-        if (!this.segments || this.segments.length === 0) return 0;
-        if (!this.segmentExecutionTimes || this.segmentExecutionTimes.length === 0) {
-            console.warn('segmentExecutionTimes not calculated');
-            return 0;
-        }
-        
-        // Binary search for segment at this time
-        let left = 0;
-        let right = this.segmentExecutionTimes.length - 1;
-        
-        while (left <= right) {
-            const mid = Math.floor((left + right) / 2);
-            if (this.segmentExecutionTimes[mid] <= elapsedSeconds) {
-                left = mid + 1;
-            } else {
-                right = mid - 1;
-            }
-        }
-        
-        return Math.min(Math.max(0, right), this.segments.length - 1);
-    }
-
     /**
      * Override switchMobileTab to refit camera when switching to display
      */
@@ -883,7 +1139,7 @@ class FluidNCController extends Controller {
                 const width = this.canvas2d.width || this.canvas2d.clientWidth;
                 const height = this.canvas2d.height || this.canvas2d.clientHeight;
                 console.log('FluidNC: Refitting on tab switch with canvas size:', width, 'x', height);
-                this.camera.fitToBounds(this.bounds, 0.1, width, height);
+                this.camera.fitToBounds(this.cameraBounds(), 0.1, width, height);
                 this.updateZoomSlider();
             }, 100);
         }
@@ -1065,7 +1321,7 @@ class FluidNCController extends Controller {
             
             // Restore viewer settings
             this.currentFilePath = state.filePath;
-            this.animator.currentIndex = state.animationIndex || 0;
+            this.animator.seekTime(this.animator.timeAtIndex(state.animationIndex || 0)); // Keeps time and progress in step
             this.layerMin = state.layerMin;
             this.layerMax = state.layerMax;
             this.currentView = state.currentView || '2d';
@@ -1076,7 +1332,8 @@ class FluidNCController extends Controller {
             if (state.toolStates && Array.isArray(state.toolStates)) {
                 state.toolStates.forEach(([toolNum, toolState]) => {
                     if (this.tools.has(toolNum)) {
-                        this.tools.set(toolNum, toolState);
+                        // States saved before cutters existed keep the guessed one
+                        this.tools.set(toolNum, { cutter: this.tools.get(toolNum).cutter, ...toolState });
                     }
                 });
             }
@@ -0,0 +1,272 @@
+/**
+ * Job Report Module
+ * Time and distance breakdown of a parsed job (per tool, per Z layer, cutting vs rapid vs events)
+ * from the Animator time model, exported as CSV, JSON or a printable HTML job sheet
+ */
+
+class JobReport {
+    /**
+     * @param {SegmentStore} segments - Parsed segments
+     * @param {Animator} animator - Animator holding the time table for these segments
+     * @param {Object} options - { fileName, units: 'mm' | 'inches', layerStep: Z rounding in mm (0.01) }
+     */
+    constructor(segments, animator, options = {}) {
+        this.fileName = options.fileName || 'program.nc';
+        this.units = options.units === 'inches' ? 'inches' : 'mm';
+        this.layerStep = options.layerStep || 0.01;
+        this.createdAt = new Date();
+
+        this.summary = JobReport.createGroup('Total');
+        this.summary.totalTime = animator.estimatedTotalTime;
+        this.tools = new Map(); // Tool number -> group
+        this.layers = new Map(); // Work Z (rounded) -> group
+        this.events = new Map(); // Event type -> { type, count, time }
+
+        this.collect(segments, animator);
+    }
+
+    /**
+     * Empty accumulator for a row of the report (times in seconds, distances in mm, feeds in mm/min)
+     */
+    static createGroup(name) {
+        return {
+            name,
+            moves: 0,
+            cutTime: 0,
+            cutDistance: 0,
+            rapidTime: 0,
+            rapidDistance: 0,
+            eventTime: 0,
+            minFeed: Infinity,
+            maxFeed: 0,
+            feedDistance: 0 // Sum of feed × distance, for the distance-weighted average feed
+        };
+    }
+
+    /**
+     * Walk the segments and events once, adding each to its tool, layer and the totals
+     */
+    collect(segments, animator) {
+        const events = segments.events;
+        const count = segments.length;
+        let eventIndex = 0;
+
+        const toolGroup = (i) => {
+            const tool = segments.tool(i) || 1;
+            if (!this.tools.has(tool)) this.tools.set(tool, JobReport.createGroup(`T${tool}`));
+            return this.tools.get(tool);
+        };
+        const layerGroup = (i) => {
+            const z = Math.round((segments.endZ(i) - segments.offset(i).z) / this.layerStep) * this.layerStep + 0; // + 0 turns -0 into 0
+            if (!this.layers.has(z)) this.layers.set(z, { ...JobReport.createGroup(`Z${z.toFixed(3)}`), z });
+            return this.layers.get(z);
+        };
+
+        for (let i = 0; i <= count; i++) {
+            // Events belong to the tool and layer of the move that follows them (the last move for trailing events)
+            const owner = Math.min(i, count - 1);
+            while (eventIndex < events.length && events[eventIndex].index <= i) {
+                const event = events[eventIndex++];
+                const time = animator.eventDuration(event);
+                const type = event.type === 'tool-change' && event.manual ? 'manual-tool-change' : event.type;
+                if (!this.events.has(type)) this.events.set(type, { type, count: 0, time: 0 });
+                const entry = this.events.get(type);
+                entry.count++;
+                entry.time += time;
+
+                this.summary.eventTime += time;
+                if (owner >= 0) {
+                    toolGroup(owner).eventTime += time;
+                    layerGroup(owner).eventTime += time;
+                }
+            }
+            if (i === count) break;
+
+            const time = animator.segmentTimes[i] || 0;
+            const distance = segments.distance(i);
+            const feed = segments.isCut(i) ? segments.feedRate(i) : 0;
+            for (const group of [this.summary, toolGroup(i), layerGroup(i)]) {
+                JobReport.addMove(group, segments.isCut(i), time, distance, feed);
+            }
+        }
+    }
+
+    /**
+     * Add one move to a group
+     */
+    static addMove(group, isCut, time, distance, feed) {
+        group.moves++;
+        if (isCut) {
+            group.cutTime += time;
+            group.cutDistance += distance;
+            if (feed > 0 && distance > 0) {
+                group.minFeed = Math.min(group.minFeed, feed);
+                group.maxFeed = Math.max(group.maxFeed, feed);
+                group.feedDistance += feed * distance;
+            }
+        } else {
+            group.rapidTime += time;
+            group.rapidDistance += distance;
+        }
+    }
+
+    /**
+     * Convert a group to display units
+     * @returns {Object} Row with distances in mm or in, feeds per minute and times in seconds
+     */
+    row(group) {
+        const scale = this.units === 'inches' ? 1 / 25.4 : 1;
+        const hasFeed = group.feedDistance > 0;
+        return {
+            name: group.name,
+            moves: group.moves,
+            time: group.cutTime + group.rapidTime + group.eventTime,
+            cutTime: group.cutTime,
+            rapidTime: group.rapidTime,
+            eventTime: group.eventTime,
+            cutDistance: group.cutDistance * scale,
+            rapidDistance: group.rapidDistance * scale,
+            minFeed: hasFeed ? group.minFeed * scale : null,
+            avgFeed: hasFeed ? (group.feedDistance / group.cutDistance) * scale : null,
+            maxFeed: hasFeed ? group.maxFeed * scale : null
+        };
+    }
+
+    /**
+     * Report as plain data (tools by number, layers from the top down)
+     */
+    toJSON() {
+        const total = this.row(this.summary);
+        total.time = this.summary.totalTime;
+        return {
+            file: this.fileName,
+            created: this.createdAt.toISOString(),
+            units: { distance: this.units === 'inches' ? 'in' : 'mm', feed: this.units === 'inches' ? 'in/min' : 'mm/min', time: 's' },
+            total,
+            tools: [...this.tools.entries()].sort((a, b) => a[0] - b[0]).map(([, group]) => this.row(group)),
+            layers: [...this.layers.values()].sort((a, b) => b.z - a.z).map((group) => this.row(group)),
+            events: [...this.events.values()].map(({ type, count, time }) => ({ type, count, time }))
+        };
+    }
+
+    /**
+     * Report as one CSV table (a section column separates totals, tools, layers and events)
+     */
+    toCSV() {
+        const data = this.toJSON();
+        const unit = data.units.distance;
+        const feedUnit = data.units.feed;
+        const header = ['Section', 'Name', 'Count', 'Time (s)', 'Cut time (s)', 'Rapid time (s)', 'Event time (s)',
+            `Cut distance (${unit})`, `Rapid distance (${unit})`, `Min feed (${feedUnit})`, `Avg feed (${feedUnit})`, `Max feed (${feedUnit})`];
+        const number = (value, digits) => value === null || value === undefined ? '' : value.toFixed(digits);
+        const line = (section, row) => [section, row.name, row.moves, number(row.time, 1), number(row.cutTime, 1),
+            number(row.rapidTime, 1), number(row.eventTime, 1), number(row.cutDistance, 3), number(row.rapidDistance, 3),
+            number(row.minFeed, 1), number(row.avgFeed, 1), number(row.maxFeed, 1)];
+
+        const rows = [header, line('Total', data.total)];
+        for (const row of data.tools) rows.push(line('Tool', row));
+        for (const row of data.layers) rows.push(line('Layer', row));
+        for (const event of data.events) {
+            rows.push(['Event', JobReport.eventName(event.type), event.count, number(event.time, 1), '', '', number(event.time, 1), '', '', '', '', '']);
+        }
+        return rows.map((cells) => cells.map(JobReport.csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV cell when needed
+     */
+    static csvCell(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Readable name for an event type
+     */
+    static eventName(type) {
+        const names = {
+            'dwell': 'Dwell',
+            'pause': 'Pause (M0)',
+            'optional-stop': 'Optional stop (M1)',
+            'manual-tool-change': 'Manual tool change',
+            'tool-change': 'Tool change (M6)',
+            'spindle-start': 'Spindle start',
+            'program-end': 'Program end'
+        };
+        return names[type] || type;
+    }
+
+    /**
+     * Escape text for HTML
+     */
+    static escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    /**
+     * Report as a standalone, printable HTML job sheet
+     * @param {string} snapshot - Optional image data URL of the toolpath
+     */
+    toHTML(snapshot = null) {
+        const data = this.toJSON();
+        const esc = JobReport.escapeHTML;
+        const clock = (seconds) => Animator.formatClock(seconds);
+        const number = (value, digits) => value === null ? '-' : value.toFixed(digits);
+        const unit = data.units.distance;
+        const feedUnit = data.units.feed;
+
+        const table = (title, rows) => `
+    <h2>${title}</h2>
+    <table>
+        <tr><th>Name</th><th>Moves</th><th>Time</th><th>Cutting</th><th>Rapid</th><th>Events</th><th>Cut (${unit})</th><th>Rapid (${unit})</th><th>Feed min / avg / max (${feedUnit})</th></tr>
+${rows.map((row) => `        <tr><td>${esc(row.name)}</td><td>${row.moves}</td><td>${clock(row.time)}</td><td>${clock(row.cutTime)}</td><td>${clock(row.rapidTime)}</td><td>${clock(row.eventTime)}</td><td>${number(row.cutDistance, 1)}</td><td>${number(row.rapidDistance, 1)}</td><td>${number(row.minFeed, 0)} / ${number(row.avgFeed, 0)} / ${number(row.maxFeed, 0)}</td></tr>`).join('\n')}
+    </table>`;
+
+        const events = data.events.length === 0 ? '' : `
+    <h2>Events</h2>
+    <table>
+        <tr><th>Event</th><th>Count</th><th>Time</th></tr>
+${data.events.map((event) => `        <tr><td>${esc(JobReport.eventName(event.type))}</td><td>${event.count}</td><td>${clock(event.time)}</td></tr>`).join('\n')}
+    </table>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Job sheet - ${esc(data.file)}</title>
+<style>
+    body { font-family: sans-serif; font-size: 12px; color: #222; margin: 20px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    h2 { font-size: 14px; margin: 18px 0 6px; }
+    .meta { color: #666; margin-bottom: 12px; }
+    .summary { display: flex; gap: 24px; flex-wrap: wrap; margin-bottom: 12px; }
+    .summary div { font-size: 11px; color: #666; }
+    .summary strong { display: block; font-size: 16px; color: #222; }
+    img { max-width: 100%; max-height: 360px; border: 1px solid #ccc; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    th { background: #f0f0f0; }
+    @media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+    <h1>${esc(data.file)}</h1>
+    <div class="meta">Job sheet created ${esc(this.createdAt.toLocaleString())}</div>
+    <div class="summary">
+        <div>Estimated time<strong>${clock(data.total.time)}</strong></div>
+        <div>Cutting<strong>${clock(data.total.cutTime)}</strong></div>
+        <div>Rapid<strong>${clock(data.total.rapidTime)}</strong></div>
+        <div>Dwells, stops &amp; tool changes<strong>${clock(data.total.eventTime)}</strong></div>
+        <div>Cut distance<strong>${number(data.total.cutDistance, 1)} ${unit}</strong></div>
+        <div>Tools<strong>${data.tools.length}</strong></div>
+    </div>
+    ${snapshot ? `<img src="${snapshot}" alt="Toolpath">` : ''}
+${table('Tools', data.tools)}
+${events}
+${table('Z layers', data.layers)}
+</body>
+</html>
+`;
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * Machine Profiles Module
+ * Named machine settings (travel, acceleration, max rates, planner, event times and default WCS)
+ * kept in localStorage and shared as JSON files
+ */
+
+class MachineProfiles {
+    /**
+     * @param {Storage} storage - Where profiles are kept (default localStorage, or memory when it is blocked)
+     */
+    constructor(storage = MachineProfiles.defaultStorage()) {
+        this.storage = storage;
+        this.profiles = [];
+        this.activeId = null;
+        this.load();
+    }
+
+    /**
+     * localStorage, or an in-memory stand-in when it is blocked (file:// with some privacy settings)
+     */
+    static defaultStorage() {
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) return localStorage;
+        } catch (error) {
+            console.error('localStorage unavailable, machine profiles will not be saved:', error);
+        }
+        const items = new Map();
+        return {
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value))
+        };
+    }
+
+    /**
+     * localStorage key holding { activeId, profiles }
+     */
+    static storageKey() {
+        return 'machineProfiles';
+    }
+
+    /**
+     * Per-axis and per-event settings (merged key by key on update)
+     */
+    static groups() {
+        return ['travel', 'accel', 'maxRate', 'eventDurations', 'g28Position', 'g30Position'];
+    }
+
+    /**
+     * Settings of the built-in profile (the viewer's defaults before profiles existed)
+     */
+    static defaultProfile() {
+        return {
+            id: 'default',
+            name: 'Default machine',
+            travel: { x: 1200, y: 2400, z: 0 }, // mm, 0 = unknown (no limit check)
+            accel: { x: 200, y: 200, z: 80, a: 200, b: 200, c: 200 }, // mm/s² (deg/s² for rotary)
+            maxRate: { x: 3000, y: 3000, z: 2000, a: 3000, b: 3000, c: 3000 }, // mm/min (deg/min for rotary)
+            junctionDeviation: 0.01, // mm
+            plannerBlocks: 16,
+            eventDurations: Animator.defaultEventDurations(), // Seconds
+            defaultWcs: 0, // Active coordinate system at program start (0 = G54 ... 8 = G59.3)
+            g28Position: { x: 0, y: 0, z: 0 }, // Stored G28/G30 reference positions (machine coordinates, mm)
+            g30Position: { x: 0, y: 0, z: 0 },
+            laserMode: false, // M4 is dynamic laser power and G0 moves are laser off
+            maxSpindleSpeed: 0, // S value for full speed/power (0 = highest S in the file)
+            workOffsets: Array.from({ length: 9 }, () => ({ x: 0, y: 0, z: 0 })) // Stored G54-G59.3 offsets (mm)
+        };
+    }
+
+    /**
+     * Build a complete, valid profile from saved or imported data (bad or missing values use the defaults)
+     * @param {Object} data - Profile fields
+     */
+    static normalize(data) {
+        const profile = MachineProfiles.defaultProfile();
+        if (typeof data.id === 'string' && data.id) profile.id = data.id;
+        if (typeof data.name === 'string' && data.name.trim()) profile.name = data.name.trim();
+
+        for (const group of MachineProfiles.groups()) {
+            const values = data[group] || {};
+            const allowZero = group === 'travel' || group === 'eventDurations';
+            const anySign = group.endsWith('Position'); // Machine coordinates are often negative
+            for (const key of Object.keys(profile[group])) {
+                const value = parseFloat(values[key]);
+                if (Number.isFinite(value) && (anySign || value > 0 || (allowZero && value === 0))) profile[group][key] = value;
+            }
+        }
+
+        const junctionDeviation = parseFloat(data.junctionDeviation);
+        if (Number.isFinite(junctionDeviation) && junctionDeviation >= 0) profile.junctionDeviation = junctionDeviation;
+        const plannerBlocks = parseInt(data.plannerBlocks, 10);
+        if (plannerBlocks >= 2) profile.plannerBlocks = plannerBlocks;
+        const defaultWcs = parseInt(data.defaultWcs, 10);
+        if (defaultWcs >= 0 && defaultWcs <= 8) profile.defaultWcs = defaultWcs;
+        profile.laserMode = data.laserMode === true;
+        const maxSpindleSpeed = parseFloat(data.maxSpindleSpeed);
+        if (Number.isFinite(maxSpindleSpeed) && maxSpindleSpeed >= 0) profile.maxSpindleSpeed = maxSpindleSpeed;
+        if (Array.isArray(data.workOffsets)) {
+            profile.workOffsets.forEach((offset, i) => {
+                for (const axis of Object.keys(offset)) {
+                    const value = parseFloat((data.workOffsets[i] || {})[axis]);
+                    if (Number.isFinite(value)) offset[axis] = value;
+                }
+            });
+        }
+        return profile;
+    }
+
+    /**
+     * Profile with some fields changed (the groups() settings are merged per key)
+     */
+    static merge(profile, changes) {
+        const merged = { ...profile, ...changes };
+        if (typeof merged.name !== 'string' || !merged.name.trim()) merged.name = profile.name; // Keep the name if cleared
+        for (const group of MachineProfiles.groups()) {
+            merged[group] = { ...profile[group], ...changes[group] };
+        }
+        return MachineProfiles.normalize(merged);
+    }
+
+    /**
+     * Value of a profile form field ("group.key" for per-axis values, "workOffsets.x" for the default WCS's offset)
+     */
+    static fieldValue(profile, field) {
+        const [name, key] = field.split('.');
+        if (name === 'workOffsets') return profile.workOffsets[profile.defaultWcs][key];
+        return key ? profile[name][key] : profile[name];
+    }
+
+    /**
+     * Changes to pass to update() when a profile form field is edited
+     */
+    static fieldChanges(profile, field, value) {
+        const [name, key] = field.split('.');
+        if (name === 'workOffsets') {
+            const workOffsets = profile.workOffsets.map((offset) => ({ ...offset }));
+            workOffsets[profile.defaultWcs][key] = value;
+            return { workOffsets };
+        }
+        return key ? { [name]: { [key]: value } } : { [name]: value };
+    }
+
+    /**
+     * Motion planner settings of a profile (see MotionPlanner.setParameters)
+     */
+    static plannerParameters(profile) {
+        const params = {
+            junctionDeviation: profile.junctionDeviation,
+            plannerBlocks: profile.plannerBlocks
+        };
+        for (const axis of MotionPlanner.axes()) {
+            params[`accel${axis.toUpperCase()}`] = profile.accel[axis];
+            params[`maxRate${axis.toUpperCase()}`] = profile.maxRate[axis];
+        }
+        return params;
+    }
+
+    /**
+     * Read saved profiles; the first run starts with the built-in profile and any event times saved before
+     */
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(MachineProfiles.storageKey()));
+            if (saved && Array.isArray(saved.profiles)) {
+                this.profiles = saved.profiles.map((profile) => MachineProfiles.normalize(profile));
+                this.activeId = saved.activeId;
+            }
+        } catch (error) {
+            console.error('Invalid saved machine profiles:', error);
+        }
+
+        if (this.profiles.length === 0) {
+            let eventDurations = {};
+            try {
+                eventDurations = JSON.parse(this.storage.getItem('eventDurations')) || {};
+            } catch (error) {
+                console.error('Invalid saved event durations:', error);
+            }
+            this.profiles.push(MachineProfiles.merge(MachineProfiles.defaultProfile(), { eventDurations }));
+        }
+        if (!this.get(this.activeId)) this.activeId = this.profiles[0].id;
+    }
+
+    /**
+     * Write all profiles and the selection to storage (kept in memory only if that fails)
+     */
+    save() {
+        try {
+            this.storage.setItem(MachineProfiles.storageKey(), JSON.stringify({
+                activeId: this.activeId,
+                profiles: this.profiles
+            }));
+        } catch (error) {
+            // Full or blocked storage: the profiles stay in memory for this session
+            console.error('Failed to save machine profiles:', error);
+        }
+    }
+
+    /**
+     * Get a profile by id
+     */
+    get(id) {
+        return this.profiles.find((profile) => profile.id === id) || null;
+    }
+
+    /**
+     * Get the selected profile
+     */
+    active() {
+        return this.get(this.activeId);
+    }
+
+    /**
+     * Select a profile
+     * @returns {boolean} False if there is no such profile
+     */
+    select(id) {
+        if (!this.get(id)) return false;
+        this.activeId = id;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Add a profile copied from the selected one
+     * @param {string} name - Profile name
+     * @param {Object} changes - Fields that differ from the selected profile
+     * @param {string} id - Fixed id (e.g. 'fluidnc'), generated when omitted
+     * @returns {Object} The new profile
+     */
+    create(name, changes = {}, id = null) {
+        const profile = MachineProfiles.merge(this.active(), { ...changes, name, id: id || this.newId() });
+        this.profiles.push(profile);
+        this.save();
+        return profile;
+    }
+
+    /**
+     * Change some fields of a profile
+     * @returns {Object|null} The updated profile, or null if there is no such profile
+     */
+    update(id, changes) {
+        const index = this.profiles.findIndex((profile) => profile.id === id);
+        if (index < 0) return null;
+
+        this.profiles[index] = MachineProfiles.merge(this.profiles[index], { ...changes, id });
+        this.save();
+        return this.profiles[index];
+    }
+
+    /**
+     * Delete a profile (the last one can't be deleted); the first profile is selected if it was active
+     * @returns {boolean} True if deleted
+     */
+    remove(id) {
+        if (this.profiles.length <= 1 || !this.get(id)) return false;
+
+        this.profiles = this.profiles.filter((profile) => profile.id !== id);
+        if (this.activeId === id) this.activeId = this.profiles[0].id;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Unused id for a new profile
+     */
+    newId() {
+        let id;
+        do {
+            id = `profile-${Date.now().toString(36)}-${Math.floor(Math.random() * 1296).toString(36)}`;
+        } while (this.get(id));
+        return id;
+    }
+
+    /**
+     * All profiles as a JSON file
+     */
+    exportJSON() {
+        return JSON.stringify({
+            type: 'machine-profiles',
+            version: 1,
+            profiles: this.profiles
+        }, null, 2);
+    }
+
+    /**
+     * Add profiles from a JSON file (an export, an array of profiles or a single profile)
+     * Profiles with the same name as an existing one replace it.
+     * @param {string} text - File contents
+     * @returns {Object[]} Imported profiles
+     * @throws {Error} If the file doesn't hold any profiles
+     */
+    importJSON(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : (Array.isArray(data?.profiles) ? data.profiles : [data]);
+        const valid = list.filter((item) => item && typeof item === 'object' && typeof item.name === 'string' && item.name.trim());
+        if (valid.length === 0) throw new Error('No machine profiles found in file');
+
+        const imported = [];
+        for (const item of valid) {
+            const existing = this.profiles.find((profile) => profile.name === item.name.trim());
+            const id = existing ? existing.id : (item.id && !this.get(item.id) ? item.id : this.newId());
+            const profile = MachineProfiles.normalize({ ...item, id });
+            if (existing) {
+                this.profiles[this.profiles.indexOf(existing)] = profile;
+            } else {
+                this.profiles.push(profile);
+            }
+            imported.push(profile);
+        }
+        this.save();
+        return imported;
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * Motion Planner Module
+ * Estimates move times the way grbl/FluidNC execute them: junction deviation cornering,
+ * a look-ahead buffer of limited depth with backward/forward passes, and per-axis limits
+ */
+
+class MotionPlanner {
+    /**
+     * @param {Object} settings - See setParameters
+     */
+    constructor(settings = {}) {
+        this.junctionDeviation = 0.01; // mm ($/junction_deviation_mm)
+        this.bufferSize = 16; // Planner blocks ($/planner_blocks)
+        this.minimumFeedRate = 1; // mm/min, grbl's MINIMUM_FEED_RATE
+        this.feedOverride = 1; // Feed override factor (50-200%, as FluidNC allows)
+        this.rapidOverride = 1; // Rapid override factor (25%, 50% or 100%)
+        this.accel = { x: 200, y: 200, z: 80, a: 200, b: 200, c: 200 }; // mm/s² (deg/s² for rotary)
+        this.maxRate = { x: 3000, y: 3000, z: 2000, a: 3000, b: 3000, c: 3000 }; // mm/min (deg/min for rotary)
+        this.setParameters(settings);
+    }
+
+    /**
+     * Axis order of the unit vectors (rotary degrees are planned like mm, as grbl does)
+     */
+    static axes() {
+        return ['x', 'y', 'z', 'a', 'b', 'c'];
+    }
+
+    /**
+     * Update planner settings; missing values are left unchanged
+     * @param {Object} params - accelX..accelC (mm/s²), maxRateX..maxRateC (mm/min),
+     *                          junctionDeviation (mm), plannerBlocks,
+     *                          feedOverride (0.5-2), rapidOverride (0.25-1)
+     */
+    setParameters(params) {
+        for (const axis of MotionPlanner.axes()) {
+            const suffix = axis.toUpperCase();
+            const accel = params[`accel${suffix}`];
+            const maxRate = params[`maxRate${suffix}`];
+            if (accel > 0) this.accel[axis] = accel;
+            if (maxRate > 0) this.maxRate[axis] = maxRate;
+        }
+        if (params.junctionDeviation >= 0) this.junctionDeviation = params.junctionDeviation;
+        if (params.plannerBlocks >= 2) this.bufferSize = Math.floor(params.plannerBlocks);
+        if (params.feedOverride > 0) this.feedOverride = Math.max(0.5, Math.min(2, params.feedOverride));
+        if (params.rapidOverride > 0) this.rapidOverride = Math.max(0.25, Math.min(1, params.rapidOverride));
+    }
+
+    /**
+     * Scale a per-axis limit to the move direction, so no axis goes over its own limit
+     * (grbl's limit_value_by_axis_maximum)
+     * @param {Object} limits - Limit per axis
+     * @param {Float64Array} unit - Unit vector (x, y, z, a, b, c)
+     */
+    static limitByAxes(limits, unit) {
+        const axes = MotionPlanner.axes();
+        let value = Infinity;
+        for (let k = 0; k < 6; k++) {
+            if (unit[k] !== 0) value = Math.min(value, limits[axes[k]] / Math.abs(unit[k]));
+        }
+        return value;
+    }
+
+    /**
+     * Time to run one block with a trapezoidal velocity profile
+     * @param {number} distance - mm
+     * @param {number} entrySqr - Entry speed squared (mm²/s²)
+     * @param {number} exitSqr - Exit speed squared
+     * @param {number} nominalSqr - Cruise speed squared
+     * @param {number} accel - mm/s²
+     * @returns {number} Seconds
+     */
+    static blockTime(distance, entrySqr, exitSqr, nominalSqr, accel) {
+        const entry = Math.sqrt(entrySqr);
+        const exit = Math.sqrt(exitSqr);
+        const accelDistance = (nominalSqr - entrySqr) / (2 * accel);
+        const decelDistance = (nominalSqr - exitSqr) / (2 * accel);
+
+        if (accelDistance + decelDistance < distance) {
+            const nominal = Math.sqrt(nominalSqr);
+            const cruise = distance - accelDistance - decelDistance;
+            return (nominal - entry) / accel + cruise / nominal + (nominal - exit) / accel;
+        }
+
+        // Triangle profile: accelerate to a peak and straight back down
+        const peak = Math.sqrt(Math.max(entrySqr, exitSqr, (2 * accel * distance + entrySqr + exitSqr) / 2));
+        return (peak - entry) / accel + (peak - exit) / accel;
+    }
+
+    /**
+     * Estimate how long each segment takes to run
+     * The program streams through a buffer of bufferSize blocks, so a block only sees that many moves
+     * ahead and the last one in the buffer must be able to stop.
+     * @param {SegmentStore} segments - Parsed segments (machine coordinates, mm)
+     * @param {number[]} stops - Sorted segment indices the machine comes to a stop before
+     *                           (dwells, pauses, tool changes, spindle changes)
+     * @returns {Float64Array} Seconds per segment
+     */
+    segmentTimes(segments, stops = []) {
+        const count = segments.length;
+        const times = new Float64Array(count);
+        const size = this.bufferSize;
+
+        // Ring buffer of planned blocks
+        const index = new Int32Array(size);
+        const distance = new Float64Array(size);
+        const accel = new Float64Array(size);
+        const nominalSqr = new Float64Array(size);
+        const maxEntrySqr = new Float64Array(size);
+        const entrySqr = new Float64Array(size);
+        let tail = 0; // Oldest block (next to run)
+        let length = 0;
+        let planned = 0; // Blocks up to here (from the tail) have optimal entry speeds and aren't replanned
+
+        const unit = new Float64Array(6);
+        const prevUnit = new Float64Array(6);
+        const junctionUnit = new Float64Array(6);
+        let prevNominalSqr = 0;
+        let stopped = true; // Machine is at rest (start, after a stop, or after a skipped move)
+        let stopIndex = 0;
+
+        // Run the oldest block: it leaves at the entry speed planned for the block after it
+        const runTail = () => {
+            const next = length > 1 ? (tail + 1) % size : -1;
+            const exitSqr = next >= 0 ? entrySqr[next] : 0;
+            times[index[tail]] = MotionPlanner.blockTime(distance[tail], entrySqr[tail], exitSqr, nominalSqr[tail], accel[tail]);
+            tail = (tail + 1) % size;
+            length--;
+            planned = Math.max(0, planned - 1);
+        };
+
+        // Backward pass from the newest block (which must be able to stop), then forward pass
+        // (grbl's planner_recalculate)
+        const recalculate = () => {
+            let pos = length - 1;
+            let current = (tail + pos) % size;
+            entrySqr[current] = Math.min(maxEntrySqr[current], 2 * accel[current] * distance[current]);
+
+            while (--pos > planned) {
+                const next = current;
+                current = (tail + pos) % size;
+                if (entrySqr[current] !== maxEntrySqr[current]) {
+                    entrySqr[current] = Math.min(maxEntrySqr[current], entrySqr[next] + 2 * accel[current] * distance[current]);
+                }
+            }
+
+            let next = (tail + planned) % size;
+            for (pos = planned + 1; pos < length; pos++) {
+                current = next;
+                next = (tail + pos) % size;
+                if (entrySqr[current] < entrySqr[next]) {
+                    const reachable = entrySqr[current] + 2 * accel[current] * distance[current];
+                    if (reachable < entrySqr[next]) {
+                        entrySqr[next] = reachable;
+                        planned = pos; // Accelerating as hard as possible: can't improve later
+                    }
+                }
+                if (entrySqr[next] === maxEntrySqr[next]) planned = pos;
+            }
+        };
+
+        for (let i = 0; i < count; i++) {
+            // Come to a stop before events that wait for the buffer to empty
+            if (stopIndex < stops.length && stops[stopIndex] <= i) {
+                while (stopIndex < stops.length && stops[stopIndex] <= i) stopIndex++;
+                while (length > 0) runTail();
+                stopped = true;
+            }
+
+            const rapid = segments.isRapid(i);
+            const feedRate = segments.feedRate(i);
+            if (!rapid && !(feedRate > 0)) continue; // grbl rejects feed moves without F
+
+            // Direction over all six axes
+            let lengthSq = 0;
+            for (let k = 0; k < 3; k++) {
+                unit[k] = segments.coords[i * 6 + 3 + k] - segments.coords[i * 6 + k];
+                unit[k + 3] = segments.rotary[i * 6 + 3 + k] - segments.rotary[i * 6 + k];
+                lengthSq += unit[k] * unit[k] + unit[k + 3] * unit[k + 3];
+            }
+            if (lengthSq < 1e-12) continue; // No steps, grbl drops the block
+
+            const millimeters = Math.sqrt(lengthSq);
+            for (let k = 0; k < 6; k++) unit[k] /= millimeters;
+
+            const blockAccel = MotionPlanner.limitByAxes(this.accel, unit);
+            const rapidRate = MotionPlanner.limitByAxes(this.maxRate, unit);
+            // Overrides scale the programmed rate but never beyond the axis max rates
+            // (grbl's plan_compute_profile_nominal_speed)
+            const rate = rapid
+                ? rapidRate * this.rapidOverride
+                : Math.max(this.minimumFeedRate, Math.min(feedRate * this.feedOverride, rapidRate));
+            const blockNominalSqr = (rate / 60) * (rate / 60);
+
+            // Junction speed from the deviation allowed at the corner (grbl's plan_buffer_line)
+            let junctionSqr = 0;
+            if (!stopped) {
+                let cosTheta = 0;
+                for (let k = 0; k < 6; k++) cosTheta -= prevUnit[k] * unit[k];
+
+                if (cosTheta > 0.999999) {
+                    junctionSqr = 0; // Full reversal
+                } else if (cosTheta < -0.999999) {
+                    junctionSqr = Infinity; // Straight on
+                } else {
+                    let junctionLengthSq = 0;
+                    for (let k = 0; k < 6; k++) {
+                        junctionUnit[k] = unit[k] - prevUnit[k];
+                        junctionLengthSq += junctionUnit[k] * junctionUnit[k];
+                    }
+                    const junctionLength = Math.sqrt(junctionLengthSq);
+                    for (let k = 0; k < 6; k++) junctionUnit[k] /= junctionLength;
+
+                    const junctionAccel = MotionPlanner.limitByAxes(this.accel, junctionUnit);
+                    const sinThetaD2 = Math.sqrt(0.5 * (1 - cosTheta));
+                    junctionSqr = (junctionAccel * this.junctionDeviation * sinThetaD2) / (1 - sinThetaD2);
+                }
+            }
+
+            // Buffer full: the oldest block runs to make room
+            if (length === size) runTail();
+
+            const slot = (tail + length) % size;
+            index[slot] = i;
+            distance[slot] = millimeters;
+            accel[slot] = blockAccel;
+            nominalSqr[slot] = blockNominalSqr;
+            maxEntrySqr[slot] = stopped ? 0 : Math.min(junctionSqr, prevNominalSqr, blockNominalSqr);
+            entrySqr[slot] = 0;
+            length++;
+            if (length === 1) planned = 0;
+            recalculate();
+
+            prevUnit.set(unit);
+            prevNominalSqr = blockNominalSqr;
+            stopped = false;
+        }
+
+        while (length > 0) runTail();
+        return times;
+    }
+}
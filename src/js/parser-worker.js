@@ -0,0 +1,178 @@
+/**
+ * Parser Worker Module
+ * Runs GCodeParser in a Web Worker so large files stream in without freezing the UI
+ */
+
+class ParserWorker {
+    /**
+     * @param {GCodeParser} parser - Main-thread parser that receives the results (bounds, tools, segments)
+     */
+    constructor(parser) {
+        this.parser = parser;
+        this.worker = null;
+        this.workerUrl = null;
+        this.job = null; // { reject, abort } for the parse in progress
+    }
+
+    /**
+     * Check whether workers can be created from a Blob URL in this environment
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined';
+    }
+
+    /**
+     * Build the worker script from the class sources already loaded on the page,
+     * so the single-file builds don't need a separate worker file
+     */
+    static workerSource() {
+        return [
+            SegmentStore.toString(),
+            typeof FlowControl !== 'undefined' ? FlowControl.toString() : '', // Optional module
+            GCodeParser.toString(),
+            ParserWorker.toString(),
+            'self.onmessage = (e) => ParserWorker.handleMessage(e.data);'
+        ].join('\n');
+    }
+
+    /**
+     * Parse a File or Blob, streaming it in chunks
+     * Starting a new parse cancels the previous one.
+     * @param {File|Blob} file - GCode file
+     * @param {Function} onProgress - Progress callback (percent)
+     * @returns {Promise<SegmentStore>} Parsed segments (rejects with an AbortError when cancelled)
+     */
+    parse(file, onProgress) {
+        this.cancel();
+
+        let worker = null;
+        if (ParserWorker.isSupported()) {
+            try {
+                worker = this.getWorker();
+            } catch (error) {
+                console.error('Parser worker unavailable, parsing on main thread:', error);
+            }
+        }
+
+        return worker ? this.parseInWorker(worker, file, onProgress) : this.parseOnMainThread(file, onProgress);
+    }
+
+    /**
+     * Cancel the parse in progress, if any
+     */
+    cancel() {
+        if (!this.job) return;
+
+        const job = this.job;
+        this.job = null;
+        if (job.abort) {
+            job.abort.abort();
+        } else {
+            // A terminated worker can't finish its current chunk, so start fresh next time
+            this.terminate();
+            job.reject(new DOMException('Parsing cancelled', 'AbortError'));
+        }
+    }
+
+    /**
+     * Check whether a parse is running
+     */
+    get isParsing() {
+        return this.job !== null;
+    }
+
+    /**
+     * Stop the worker and release its script URL
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.workerUrl) {
+            URL.revokeObjectURL(this.workerUrl);
+            this.workerUrl = null;
+        }
+    }
+
+    /**
+     * Get the worker, creating it on first use
+     */
+    getWorker() {
+        if (!this.worker) {
+            const blob = new Blob([ParserWorker.workerSource()], { type: 'application/javascript' });
+            this.workerUrl = URL.createObjectURL(blob);
+            this.worker = new Worker(this.workerUrl);
+        }
+        return this.worker;
+    }
+
+    /**
+     * Parse in the worker and rebuild the segment store from the transferred columns
+     */
+    parseInWorker(worker, file, onProgress) {
+        return new Promise((resolve, reject) => {
+            const job = { reject };
+            this.job = job;
+
+            worker.onmessage = (e) => {
+                if (this.job !== job) return; // Cancelled
+
+                const message = e.data;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.percent);
+                } else if (message.type === 'done') {
+                    this.job = null;
+                    const segments = SegmentStore.fromTransferable(message.data);
+                    this.parser.applySummary(message.summary, segments);
+                    resolve(segments);
+                } else if (message.type === 'error') {
+                    this.job = null;
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = (e) => {
+                if (this.job !== job) return;
+                this.job = null;
+                this.terminate();
+                reject(new Error(e.message || 'Parser worker failed'));
+            };
+
+            worker.postMessage({ type: 'parse', file, options: this.parser.options });
+        });
+    }
+
+    /**
+     * Fallback when workers are unavailable: stream on the main thread, cancellable between chunks
+     */
+    async parseOnMainThread(file, onProgress) {
+        const job = { abort: new AbortController() };
+        this.job = job;
+
+        try {
+            return await this.parser.parseFile(file, onProgress, job.abort.signal);
+        } finally {
+            if (this.job === job) this.job = null;
+        }
+    }
+
+    /**
+     * Worker entry point: parse the file and post progress and the segment columns
+     */
+    static async handleMessage(message) {
+        if (message.type !== 'parse') return;
+
+        try {
+            const parser = new GCodeParser(message.options);
+            const segments = await parser.parseFile(message.file, (percent) => {
+                self.postMessage({ type: 'progress', percent });
+            });
+
+            const { transfer, ...data } = segments.toTransferable();
+            self.postMessage({ type: 'done', data, summary: parser.getSummary() }, [...transfer, parser.lineStarts.buffer]);
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    }
+}
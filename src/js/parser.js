@@ -1,22 +1,91 @@
 /**
  * GCode Parser Module
- * Streams and parses GCode files with modal state tracking and adaptive arc tessellation
+ * Streams and parses GCode files with modal state tracking and tolerance-based arc tessellation
  */
 
 class GCodeParser {
-    constructor() {
+    /**
+     * @param {Object} options - Parser options
+     * @param {Array<Object>} options.workOffsets - Stored G54-G59.3 offsets ({x, y, z}) at program start
+     * @param {number} options.arcTolerance - Maximum chord error in mm when tessellating arcs (default 0.01)
+     * @param {number} options.chunkSize - Bytes read per chunk by parseFile (default 50KB)
+     * @param {number} options.maxDiagnostics - Maximum diagnostics kept per file (default 5000)
+     * @param {number} options.maxSpindleSpeed - S value for full spindle speed/laser power (default: highest S in the file)
+     * @param {boolean} options.laserMode - Machine is in laser mode (M4 = dynamic power, laser off during G0)
+     * @param {boolean} options.lathe - Lathe profile: G18 (ZX) is the default plane and G7/G8 diameter mode applies
+     * @param {Object} options.g28Position - Stored G28 reference position ({x, y, z} machine coordinates, mm; default 0,0,0)
+     * @param {Object} options.g30Position - Stored G30 reference position (default 0,0,0)
+     * @param {Object} options.travel - Machine travel ({x, y, z} in mm, 0 = unknown) for limit warnings
+     * @param {number} options.defaultWcs - Coordinate system active at program start (0 = G54 ... 8 = G59.3)
+     * @param {number} options.maxLoopIterations - Loop iterations and subroutine calls allowed per file (default 1000000)
+     */
+    constructor(options = {}) {
+        this.options = options;
         this.reset();
     }
 
+    /**
+     * Get display name for a work coordinate system index (0 = G54 ... 8 = G59.3)
+     * @param {number} index - WCS index
+     * @returns {string} GCode name of the coordinate system
+     */
+    static wcsName(index) {
+        return index < 6 ? `G${54 + index}` : `G59.${index - 5}`;
+    }
+
+    /**
+     * Check whether a G-code is a canned drilling cycle (G73, G81-G89)
+     */
+    static isCannedCycle(code) {
+        return code === 73 || (code >= 81 && code <= 89);
+    }
+
+    /**
+     * Check whether a G-code is valid but has no effect on the preview, so it needs no diagnostic
+     * (cutter/length compensation cancel, path control, feed per minute, incremental arc centres)
+     */
+    static isIgnoredGCode(code) {
+        return [40, 49, 61, 61.1, 64, 91.1, 94].includes(code);
+    }
+
     reset() {
-        // Modal state
-        this.position = { x: 0, y: 0, z: 0 };
-        this.units = 'mm'; // mm or inches
+        // Modal state (position is in machine coordinates; A/B/C rotary axes in degrees)
+        this.position = { x: 0, y: 0, z: 0, a: 0, b: 0, c: 0 };
+        this.units = 'mm'; // mm or inches (as programmed)
+        this.unitScale = 1; // Multiplier from program units to mm (geometry is always stored in mm)
         this.absolute = true; // G90/G91
-        this.plane = 'XY'; // G17/G18/G19
+        this.plane = this.options.lathe ? 'ZX' : 'XY'; // G17/G18/G19 (lathes start in G18)
+        this.diameterMode = false; // G7 (X words are diameters) / G8 (radius)
         this.feedRate = 0;
         this.currentTool = 1; // Start at Tool 1
-        this.motionMode = null; // G0, G1, G2, or G3 - modal command
+        this.spindleSpeed = 0; // S word (spindle RPM or laser power)
+        this.spindle = 'off'; // M3 (cw), M4 (ccw) or M5 (off)
+        this.coolant = { mist: false, flood: false }; // M7, M8, M9 - replaced (not mutated) so segments keep their state
+        this.spindleOffReported = false; // Feed moves with the spindle off are reported once per M5
+        this.motionMode = null; // G0, G1, G2, G3 or canned cycle (G73, G81-G89) - modal command
+        this.retractMode = 'initial'; // G98 (initial Z) or G99 (R plane) canned cycle retract
+        this.cycle = null; // Sticky canned cycle parameters (R, Z, Q, P and initial Z level)
+        this.unitsSet = false; // G20/G21 seen (for diagnostics)
+        this.distanceModeSet = false; // G90/G91 seen (for diagnostics)
+        this.modalStateChecked = false; // Missing units/distance mode is reported on the first move only
+        
+        // Work coordinate systems (G54-G59.3) and G92 offset
+        const stored = this.options.workOffsets || [];
+        this.wcsOffsets = [];
+        for (let i = 0; i < 9; i++) {
+            this.wcsOffsets.push({ x: 0, y: 0, z: 0, ...stored[i] });
+        }
+        this.wcs = this.options.defaultWcs || 0; // Active coordinate system index (0 = G54)
+        this.g92Offset = { x: 0, y: 0, z: 0 };
+        this.suspendedG92Offset = null; // Saved by G92.2, restored by G92.3
+        this.updateOffset();
+        
+        // G53 one-shot machine coordinates and G28/G30 stored reference positions (machine coordinates)
+        this.machineCoordinates = false;
+        this.referencePositions = {
+            28: { x: 0, y: 0, z: 0, ...this.options.g28Position },
+            30: { x: 0, y: 0, z: 0, ...this.options.g30Position }
+        };
         
         // Tool names extracted from comments
         this.toolNames = [];
@@ -24,22 +93,52 @@ class GCodeParser {
         this.parsingToolList = false;
         this.inlineToolMap = new Map(); // Maps tool number to array of sequential indices for inline format
         this.inlineToolOccurrence = new Map(); // Tracks which occurrence of each tool number we're on
-        this.lastToolChangeType = null; // 'M0' for manual, 'M6' for automatic, null for none
+        this.manualToolChange = false; // Current line is an M0 tool change (no separate pause event)
         
         // Output
-        this.segments = [];
-        this.bounds = {
+        this.segments = new SegmentStore();
+        this.segments.maxSpindleSpeed = this.options.maxSpindleSpeed || 0;
+        this.bounds = this.emptyBounds(); // Machine coordinates
+        this.workBounds = this.emptyBounds(); // Work coordinates
+        this.lineStarts = null; // Byte offset of each line (set by parseFile, so lines can be read back from the file)
+        this.diagnostics = []; // { line, severity: 'error'|'warning', code, message }
+        this.diagnosticKeys = new Set(); // Lines run more than once (loops, subroutines) report each problem once
+        this.diagnosticsOmitted = 0; // Diagnostics dropped after reaching options.maxDiagnostics
+        this.travelExceeded = {}; // Axes already reported as spanning more than options.travel
+        
+        // O-word subroutines and loops, #parameters (feeds expanded lines to parseLine); an optional module
+        this.flow = typeof FlowControl !== 'undefined' ? new FlowControl(this) : null;
+    }
+
+    /**
+     * Create an empty bounding box
+     */
+    emptyBounds() {
+        return {
             minX: Infinity, maxX: -Infinity,
             minY: Infinity, maxY: -Infinity,
             minZ: Infinity, maxZ: -Infinity
         };
     }
 
+    /**
+     * Recalculate the combined work offset (active WCS + G92)
+     * A new object is created so segments keep the offset that was active when they were added
+     */
+    updateOffset() {
+        const wcs = this.wcsOffsets[this.wcs];
+        this.offset = {
+            x: wcs.x + this.g92Offset.x,
+            y: wcs.y + this.g92Offset.y,
+            z: wcs.z + this.g92Offset.z
+        };
+    }
+
     /**
      * Parse GCode file with progress callbacks
      * @param {File} file - File object from input
      * @param {Function} onProgress - Callback (percent)
-     * @returns {Promise<Array>} Array of segments
+     * @returns {Promise<SegmentStore>} Parsed segments
      */
     async parseString(gcodeString, onProgress) {
         this.reset();
@@ -48,7 +147,7 @@ class GCodeParser {
         const totalLines = lines.length;
         
         for (let i = 0; i < totalLines; i++) {
-            this.parseLine(lines[i].trim(), i + 1);
+            this.feedLine(lines[i].trim(), i + 1);
             
             // Report progress periodically
             if (onProgress && i % 1000 === 0) {
@@ -56,6 +155,8 @@ class GCodeParser {
             }
         }
         
+        if (this.flow) this.flow.finish();
+        
         // Final progress update
         if (onProgress) {
             onProgress(100);
@@ -65,24 +166,69 @@ class GCodeParser {
     }
 
     /**
-     * Parse GCode file
-     * @param {File} file - File object to parse
-     * @param {Function} onProgress - Progress callback
-     * @returns {Promise<Array>} Array of segments
+     * Parse GCode file in chunks so the whole file never has to be held as one string
+     * @param {File|Blob} file - File object to parse
+     * @param {Function} onProgress - Progress callback (percent of bytes read)
+     * @param {AbortSignal} signal - Optional signal to cancel between chunks
+     * @returns {Promise<SegmentStore>} Parsed segments
      */
-    async parseFile(file, onProgress) {
+    async parseFile(file, onProgress, signal) {
         this.reset();
         
-        // Read entire file as text to avoid chunking issues
-        // Modern browsers can handle files up to 10MB+ easily
-        const text = await file.text();
+        const chunkSize = this.options.chunkSize || 50 * 1024; // 50KB chunks
+        const decoder = new TextDecoder(); // Streaming decode keeps multi-byte characters split across chunks intact
+        let buffer = '';
+        let lineNum = 0;
+        let offset = 0;
+        let lineStarts = new Float64Array(4096);
+        let lineCount = 1; // Line 1 starts at byte 0
+        
+        while (offset < file.size) {
+            if (signal && signal.aborted) {
+                throw new DOMException('Parsing cancelled', 'AbortError');
+            }
+            
+            const chunk = await this.readChunk(file, offset, chunkSize);
+            
+            // Index the line starts from the raw bytes (the decoded text has no byte positions)
+            const bytes = new Uint8Array(chunk);
+            for (let i = bytes.indexOf(10); i !== -1; i = bytes.indexOf(10, i + 1)) {
+                if (lineCount === lineStarts.length) {
+                    const grown = new Float64Array(lineCount * 2);
+                    grown.set(lineStarts);
+                    lineStarts = grown;
+                }
+                lineStarts[lineCount++] = offset + i + 1;
+            }
+            
+            offset += chunk.byteLength;
+            buffer += decoder.decode(chunk, { stream: offset < file.size });
+            
+            const lines = buffer.split('\n');
+            buffer = lines.pop(); // Keep incomplete line for the next chunk
+            for (const line of lines) {
+                this.feedLine(line.trim(), ++lineNum);
+            }
+            
+            if (onProgress) {
+                onProgress(Math.min(100, (offset / file.size) * 100));
+            }
+        }
+        
+        // Last line has no trailing newline
+        this.feedLine(buffer.trim(), ++lineNum);
+        if (this.flow) this.flow.finish();
+        this.lineStarts = lineStarts.slice(0, lineCount);
+        
+        if (onProgress) {
+            onProgress(100);
+        }
         
-        // Use the string parser which is more reliable
-        return this.parseString(text, onProgress);
+        return this.segments;
     }
 
     /**
-     * Read chunk from file
+     * Read chunk from file as raw bytes
      */
     readChunk(file, offset, length) {
         return new Promise((resolve, reject) => {
@@ -91,7 +237,7 @@ class GCodeParser {
             
             reader.onload = (e) => resolve(e.target.result);
             reader.onerror = reject;
-            reader.readAsText(blob);
+            reader.readAsArrayBuffer(blob);
         });
     }
 
@@ -183,34 +329,70 @@ class GCodeParser {
         const commentMatch = originalLine.match(/[;(](.*)$/);
         const comment = commentMatch ? commentMatch[1].toLowerCase() : '';
         
-        if (hasM0 && comment.includes('tool')) {
+        this.manualToolChange = hasM0 && comment.includes('tool');
+        if (this.manualToolChange) {
             // Manual tool change detected - increment tool number (Estlcam format)
             // This happens BEFORE any segments on this line, so next segments use new tool
             this.currentTool++;
-            this.lastToolChangeType = 'M0';
+            this.addEvent('tool-change', lineNum, { manual: true });
         }
         
         // Remove inline comments
         line = line.replace(/\(.*?\)/g, '').replace(/;.*$/, '').trim();
         if (!line) return;
         
-        // Extract words (letter + number pairs)
-        const words = this.extractWords(line);
+        // Extract words (letter + number pairs, evaluating #parameters and [expressions])
+        let words = this.extractWords(line, lineNum);
         if (words.length === 0) return;
+        this.checkWords(words, lineNum);
+
+        // Units and diameter mode apply to the whole line, so handle G20/G21 and G7/G8 before converting lengths
+        for (const [letter, value] of words) {
+            if (letter === 'G' && (value === 20 || value === 21 || value === 7 || value === 8)) {
+                this.processGCode(value, words, lineNum);
+            }
+        }
+
+        // Normalize lengths and feeds to millimetres so everything downstream works in one unit
+        // (X/Y/Z positions, I/J/K arc offsets, R radius/retract plane, Q peck depth, F feed per minute)
+        if (this.unitScale !== 1) {
+            words = words.map(([letter, value]) =>
+                'XYZIJKRQF'.includes(letter) ? [letter, value * this.unitScale] : [letter, value]
+            );
+        }
         
-        // Process commands
-        let motionProcessed = false;
+        // Lathe diameter mode: X words (absolute or incremental) are diameters, geometry uses the radius
+        if (this.diameterMode) {
+            words = words.map(([letter, value]) => letter === 'X' ? [letter, value / 2] : [letter, value]);
+        }
+
+        // Process modal state first so motion on the same line uses it regardless of word order
+        // (e.g. "G1 X10 F500" or "G0 X0 Y0 G55")
+        let motionCode = null;
+        let referenceCode = null; // G28/G30 move after modal state too (e.g. "G28 G91 Z0")
+        let axisWordsConsumed = false; // Non-motion commands like G10/G92 use X/Y/Z as data
+        this.machineCoordinates = false; // G53 only applies to its own line
         
         for (const [letter, value] of words) {
             switch (letter) {
                 case 'G':
-                    const gcode = Math.floor(value);
-                    // Check if this is a motion command (G0/G1/G2/G3)
-                    const isMotionCommand = gcode === 0 || gcode === 1 || gcode === 2 || gcode === 3;
-                    if (isMotionCommand) {
-                        motionProcessed = true; // Motion command found, don't apply modal later
+                    const gcode = Math.round(value * 10) / 10; // Keep decimals (G59.1, G92.1)
+                    // Motion commands (G0/G1/G2/G3 and canned cycles) run after all other words on the line
+                    if (gcode === 0 || gcode === 1 || gcode === 2 || gcode === 3 || GCodeParser.isCannedCycle(gcode)) {
+                        if (motionCode !== null) {
+                            this.addDiagnostic(lineNum, 'warning', 'modal-conflict',
+                                `Multiple motion commands on one line, only G${gcode} is used`);
+                        }
+                        motionCode = gcode;
+                    } else if (gcode === 28 || gcode === 30) {
+                        referenceCode = gcode;
+                        axisWordsConsumed = true;
+                    } else {
+                        if (gcode === 10 || gcode === 92) {
+                            axisWordsConsumed = true;
+                        }
+                        this.processGCode(gcode, words, lineNum);
                     }
-                    this.processGCode(gcode, words, lineNum);
                     break;
                 case 'M':
                     this.processMCode(Math.floor(value), words, lineNum);
@@ -236,38 +418,76 @@ class GCodeParser {
                 case 'F':
                     this.feedRate = value;
                     break;
+                case 'S':
+                    this.spindleSpeed = value;
+                    break;
             }
         }
         
+        if (referenceCode !== null) {
+            this.processGCode(referenceCode, words, lineNum);
+        }
+        
+        if (motionCode !== null) {
+            this.processGCode(motionCode, words, lineNum);
+            return;
+        }
+        
         // If no motion was processed but we have a modal motion mode, apply it to any coordinates
-        if (!motionProcessed && this.motionMode !== null) {
-            // Check if position coordinates are present (X/Y/Z)
-            const hasPositionCoords = words.some(([letter]) => 
-                letter === 'X' || letter === 'Y' || letter === 'Z'
-            );
+        if (!axisWordsConsumed && this.motionMode !== null) {
+            // Check if position coordinates are present (X/Y/Z or rotary A/B/C)
+            const hasPositionCoords = words.some(([letter]) => 'XYZABC'.includes(letter));
             
             if (hasPositionCoords) {
                 // Only apply modal motion for linear moves (G0/G1)
-                // Arc moves (G2/G3) require explicit I/J/K parameters each time
+                // Arc moves (G2/G3) require explicit I/J/K or R parameters each time
                 if (this.motionMode === 0 || this.motionMode === 1) {
                     this.processGCode(this.motionMode, words, lineNum);
                 } else if (this.motionMode === 2 || this.motionMode === 3) {
-                    // For arcs, check if I/J/K parameters are present
+                    // For arcs, check if I/J/K or R parameters are present
                     const hasArcParams = words.some(([letter]) => 
-                        letter === 'I' || letter === 'J' || letter === 'K'
+                        letter === 'I' || letter === 'J' || letter === 'K' || letter === 'R'
                     );
                     if (hasArcParams) {
                         this.processGCode(this.motionMode, words, lineNum);
                     }
+                } else if (GCodeParser.isCannedCycle(this.motionMode)) {
+                    // Canned cycles repeat at each new position until G80
+                    this.processGCode(this.motionMode, words, lineNum);
                 }
             }
         }
     }
 
+    /**
+     * Pass a file line to flow control, or straight to parseLine in builds without it
+     */
+    feedLine(line, lineNum) {
+        if (this.flow) {
+            this.flow.feed(line, lineNum);
+        } else {
+            this.parseLine(line, lineNum);
+        }
+    }
+
+    /**
+     * Report a line that needs FlowControl in a build that leaves it out
+     */
+    flowUnavailable(lineNum) {
+        this.addDiagnostic(lineNum, 'warning', 'unsupported-code', 'Subprograms, #parameters and [expressions] need flow control, which this build leaves out; ignored');
+    }
+
     /**
      * Extract word pairs from line
+     * Lines with #parameters or [expressions] are evaluated by FlowControl, which also applies their assignments
      */
-    extractWords(line) {
+    extractWords(line, lineNum) {
+        if (line.includes('#') || line.includes('[')) {
+            if (this.flow) return this.flow.evaluateWords(line, lineNum);
+            this.flowUnavailable(lineNum);
+            return [];
+        }
+        
         const words = [];
         const regex = /([A-Z])([+-]?\d+\.?\d*)/gi;
         let match;
@@ -279,15 +499,86 @@ class GCodeParser {
         return words;
     }
 
+    /**
+     * Report duplicate and unsupported words on a line
+     * G and M may appear more than once; any other letter repeated is ambiguous
+     */
+    checkWords(words, lineNum) {
+        const seen = new Set();
+        for (const [letter, value] of words) {
+            if (!'GMTFSXYZABCIJKRPQLN'.includes(letter)) {
+                this.addDiagnostic(lineNum, 'warning', 'unsupported-word', `Unsupported word ${letter}${value} ignored`);
+            } else if (letter !== 'G' && letter !== 'M') {
+                if (seen.has(letter)) {
+                    this.addDiagnostic(lineNum, 'warning', 'duplicate-word', `Duplicate ${letter} word, the last value is used`);
+                }
+                seen.add(letter);
+            }
+        }
+    }
+
     /**
      * Process M-code command
      */
     processMCode(code, words, lineNum) {
         switch (code) {
+            case 0: // Program pause (an M0 tool change already has its own event)
+                if (!this.manualToolChange) this.addEvent('pause', lineNum);
+                break;
+            case 1: // Optional stop
+                this.addEvent('optional-stop', lineNum);
+                break;
+            case 2: // Program end
+            case 30: // Program end and rewind
+                this.addEvent('program-end', lineNum);
+                break;
             case 6: // Tool change
                 // Tool number is typically set by T command before M6
                 // currentTool is already updated by T command
-                this.lastToolChangeType = 'M6';
+                this.addEvent('tool-change', lineNum, { manual: false });
+                break;
+            case 3: // Spindle on clockwise (laser: constant power)
+            case 4: // Spindle on counter-clockwise (laser: dynamic power)
+            case 5: { // Spindle stop
+                const spindle = code === 3 ? 'cw' : code === 4 ? 'ccw' : 'off';
+                // The spindle needs time to reach speed when it starts or reverses; a laser doesn't
+                if (spindle !== 'off' && spindle !== this.spindle && !this.options.laserMode) {
+                    this.addEvent('spindle-start', lineNum);
+                }
+                this.spindle = spindle;
+                this.spindleOffReported = false;
+                break;
+            }
+            case 7: // Mist coolant on
+                this.coolant = { ...this.coolant, mist: true };
+                break;
+            case 8: // Flood coolant on
+                this.coolant = { ...this.coolant, flood: true };
+                break;
+            case 9: // All coolant off
+                this.coolant = { mist: false, flood: false };
+                break;
+            case 98: { // Call subprogram P, L times
+                const p = words.find(([letter]) => letter === 'P');
+                const l = words.find(([letter]) => letter === 'L');
+                if (!this.flow) {
+                    this.flowUnavailable(lineNum);
+                } else if (p) {
+                    this.flow.call(String(Math.round(p[1])), [], lineNum, l ? Math.round(l[1]) : 1);
+                } else {
+                    this.addDiagnostic(lineNum, 'error', 'unknown-subroutine', 'M98 needs a P word with the subprogram number');
+                }
+                break;
+            }
+            case 99: // Return from subprogram
+                if (this.flow) {
+                    this.flow.returnFromSubprogram();
+                } else {
+                    this.flowUnavailable(lineNum);
+                }
+                break;
+            default:
+                this.addDiagnostic(lineNum, 'warning', 'unsupported-code', `Unsupported command M${code} ignored`);
                 break;
         }
     }
@@ -309,6 +600,33 @@ class GCodeParser {
             case 3: // Counter-clockwise arc
                 this.motionMode = 3;
                 return this.arcMove(words, 'ccw', lineNum);
+            case 73: case 81: case 82: case 83: case 84: case 85: case 86: case 87: case 88: case 89: // Canned cycles
+                if (!GCodeParser.isCannedCycle(this.motionMode)) {
+                    this.cycle = null; // New cycle block: initial Z is the current height
+                }
+                this.motionMode = code;
+                return this.cannedCycle(code, words, lineNum);
+            case 80: // Cancel canned cycle
+                this.motionMode = null;
+                this.cycle = null;
+                return false;
+            case 98: // Canned cycle retract to initial Z
+                this.retractMode = 'initial';
+                return false;
+            case 99: // Canned cycle retract to R plane
+                this.retractMode = 'r';
+                return false;
+            case 4: { // Dwell for P seconds
+                const p = words.find(([letter]) => letter === 'P');
+                if (p && p[1] > 0) this.addDwell(p[1], lineNum);
+                return false;
+            }
+            case 7: // Lathe diameter mode
+                this.diameterMode = true;
+                return false;
+            case 8: // Lathe radius mode
+                this.diameterMode = false;
+                return false;
             case 17: // XY plane
                 this.plane = 'XY';
                 return false;
@@ -320,107 +638,420 @@ class GCodeParser {
                 return false;
             case 20: // Inches
                 this.units = 'inches';
+                this.unitScale = 25.4;
+                this.unitsSet = true;
                 return false;
             case 21: // Millimeters
                 this.units = 'mm';
+                this.unitScale = 1;
+                this.unitsSet = true;
+                return false;
+            case 10: // Set coordinate system data
+                return this.setCoordinateData(words);
+            case 28: // Return to G28 reference position (through any given intermediate point)
+            case 30: // Return to G30 reference position
+                return this.returnToReference(code, words, lineNum);
+            case 28.1: // Store current position as the G28 reference
+            case 30.1: // Store current position as the G30 reference
+                this.referencePositions[Math.floor(code)] = { x: this.position.x, y: this.position.y, z: this.position.z };
+                return false;
+            case 53: // Move in machine coordinates (this line only)
+                this.machineCoordinates = true;
+                return false;
+            case 54: case 55: case 56: case 57: case 58: case 59: // Work coordinate systems
+                this.wcs = code - 54;
+                this.updateOffset();
+                return false;
+            case 59.1: case 59.2: case 59.3:
+                this.wcs = Math.round((code - 59) * 10) + 5;
+                this.updateOffset();
                 return false;
             case 90: // Absolute positioning
                 this.absolute = true;
+                this.distanceModeSet = true;
                 return false;
             case 91: // Relative positioning
                 this.absolute = false;
+                this.distanceModeSet = true;
+                return false;
+            case 92: // Set G92 offset so the current position reads as the given values
+                for (const [letter, value] of words) {
+                    const axis = letter.toLowerCase();
+                    if (axis === 'x' || axis === 'y' || axis === 'z') {
+                        this.g92Offset[axis] = this.position[axis] - this.wcsOffsets[this.wcs][axis] - value;
+                    }
+                }
+                this.suspendedG92Offset = null;
+                this.updateOffset();
+                return false;
+            case 92.1: // Reset G92 offset
+            case 92.2: // Suspend G92 offset
+                this.suspendedG92Offset = code === 92.2 ? this.g92Offset : null;
+                this.g92Offset = { x: 0, y: 0, z: 0 };
+                this.updateOffset();
+                return false;
+            case 92.3: // Restore suspended G92 offset
+                if (this.suspendedG92Offset) {
+                    this.g92Offset = this.suspendedG92Offset;
+                    this.suspendedG92Offset = null;
+                    this.updateOffset();
+                }
                 return false;
             default:
+                if (!GCodeParser.isIgnoredGCode(code)) {
+                    this.addDiagnostic(lineNum, 'warning', 'unsupported-code', `Unsupported command G${code} ignored`);
+                }
                 return false;
         }
     }
 
+    /**
+     * Process G10 L2 (set offset) and G10 L20 (set offset so current position reads as given)
+     */
+    setCoordinateData(words) {
+        let l = null;
+        let p = 0;
+        for (const [letter, value] of words) {
+            if (letter === 'L') l = Math.round(value);
+            if (letter === 'P') p = Math.round(value);
+        }
+        if (l !== 2 && l !== 20) return false; // Tool table (L1/L10/L11) is not tracked
+        
+        // P0 = active system, P1-P9 = G54-G59.3
+        const index = p === 0 ? this.wcs : p - 1;
+        if (index < 0 || index > 8) return false;
+        
+        const wcs = { ...this.wcsOffsets[index] };
+        for (const [letter, value] of words) {
+            const axis = letter.toLowerCase();
+            if (axis === 'x' || axis === 'y' || axis === 'z') {
+                wcs[axis] = l === 2 ? value : this.position[axis] - this.g92Offset[axis] - value;
+            }
+        }
+        this.wcsOffsets[index] = wcs;
+        this.updateOffset();
+        return false;
+    }
+
+    /**
+     * G28/G30: rapid to the intermediate point given by any axis words (in the active coordinate
+     * system, G90/G91 as usual), then to the stored reference position, like grbl/FluidNC
+     * With axis words only those axes go on to the reference (G28 G91 Z0 homes Z alone);
+     * without them every axis does. Both moves are tagged as machine-space.
+     */
+    returnToReference(code, words, lineNum) {
+        const axes = words.map(([letter]) => letter.toLowerCase()).filter((axis) => 'xyzabc'.includes(axis));
+        const intermediate = axes.length > 0 ? this.extractTarget(words) : null;
+        const reference = this.referencePositions[code];
+        
+        this.machineCoordinates = true;
+        if (intermediate) this.moveTo(intermediate, 'rapid', lineNum);
+        const target = { ...this.position };
+        for (const axis of axes.length > 0 ? axes : Object.keys(reference)) {
+            if (axis in reference) target[axis] = reference[axis];
+        }
+        this.moveTo(target, 'rapid', lineNum);
+        this.machineCoordinates = false;
+        return true;
+    }
+
     /**
      * Process linear move (G0/G1)
      */
     linearMove(words, type, lineNum) {
-        const target = this.extractTarget(words);
-        
+        return this.moveTo(this.extractTarget(words), type, lineNum);
+    }
+
+    /**
+     * Add a straight move from the current position to a machine-coordinate target
+     */
+    moveTo(target, type, lineNum) {
         if (target.x === this.position.x && 
             target.y === this.position.y && 
-            target.z === this.position.z) {
+            target.z === this.position.z &&
+            target.a === this.position.a &&
+            target.b === this.position.b &&
+            target.c === this.position.c) {
             return false; // No movement
         }
         
+        this.checkMotion(type, lineNum);
         this.addSegment({
             type,
             start: { ...this.position },
             end: { ...target },
-            feedRate: this.feedRate,
-            tool: this.currentTool,
-            toolChangeType: this.lastToolChangeType,
-            lineNum
+            lineNum,
+            ...this.modalAttributes()
         });
         
-        // Clear tool change type after adding segment
-        this.lastToolChangeType = null;
-        
         this.position = target;
         this.updateBounds(target);
+        this.checkTravel(lineNum);
         return true;
     }
 
+    /**
+     * Modal state recorded on every segment
+     */
+    modalAttributes() {
+        return {
+            feedRate: this.feedRate,
+            tool: this.currentTool,
+            wcs: this.wcs,
+            offset: this.offset,
+            units: this.units,
+            spindleSpeed: this.spindleSpeed,
+            spindle: this.spindle,
+            coolant: this.coolant,
+            laser: !!this.options.laserMode,
+            machine: this.machineCoordinates
+        };
+    }
+
+    /**
+     * Expand a canned drilling cycle (G73, G81-G89) into rapid/feed/retract moves
+     * R, Z, Q and P are sticky between repeats; L repeats the hole (useful with G91 for rows of holes)
+     */
+    cannedCycle(code, words, lineNum) {
+        const word = (name) => {
+            const found = words.find(([letter]) => letter === name);
+            return found ? found[1] : null;
+        };
+        
+        if (!this.cycle) {
+            this.cycle = { initialZ: this.position.z, r: null, z: null, q: 0, p: 0 };
+        }
+        const cycle = this.cycle;
+        for (const name of ['R', 'Z', 'Q', 'P']) {
+            const value = word(name);
+            if (value !== null) cycle[name.toLowerCase()] = value;
+        }
+        
+        if (cycle.r === null || cycle.z === null) {
+            this.addDiagnostic(lineNum, 'error', 'cycle-parameters', 'Canned cycle missing R or Z parameter, hole skipped');
+            return false;
+        }
+        
+        // In G91 the R plane is relative to the current Z and the hole depth is relative to the R plane
+        const rPlane = this.absolute ? cycle.r + this.offset.z : this.position.z + cycle.r;
+        const bottom = this.absolute ? cycle.z + this.offset.z : rPlane + cycle.z;
+        const retractZ = this.retractMode === 'initial' ? Math.max(cycle.initialZ, rPlane) : rPlane;
+        const repeats = word('L') !== null ? Math.max(0, Math.round(word('L'))) : 1;
+        const x = word('X');
+        const y = word('Y');
+        
+        // Climb to the R plane first if starting below it
+        if (this.position.z < rPlane) {
+            this.moveTo({ ...this.position, z: rPlane }, 'rapid', lineNum);
+        }
+        
+        for (let n = 0; n < repeats; n++) {
+            const hole = { ...this.position };
+            if (x !== null) hole.x = this.absolute ? x + this.offset.x : this.position.x + x;
+            if (y !== null) hole.y = this.absolute ? y + this.offset.y : this.position.y + y;
+            
+            this.moveTo(hole, 'rapid', lineNum);
+            this.moveTo({ ...hole, z: rPlane }, 'rapid', lineNum);
+            this.drillHole(code, rPlane, bottom, lineNum);
+            this.moveTo({ ...this.position, z: retractZ }, 'rapid', lineNum);
+        }
+        
+        return repeats > 0;
+    }
+
+    /**
+     * Generate the in-hole motion of a canned cycle, starting and ending at the R plane or bottom
+     */
+    drillHole(code, rPlane, bottom, lineNum) {
+        const plunge = (z) => this.moveTo({ ...this.position, z }, 'cut', lineNum);
+        const rapid = (z) => this.moveTo({ ...this.position, z }, 'rapid', lineNum);
+        const clearance = 0.254; // Chip-break retract and peck re-entry gap (0.010")
+        const peck = this.cycle.q > 0 ? this.cycle.q : 0;
+        
+        if ((code === 73 || code === 83) && peck > 0) {
+            // Peck drilling: G83 retracts fully to the R plane, G73 only backs off to break the chip
+            let depth = rPlane;
+            while (depth > bottom) {
+                if (code === 83 && depth < rPlane) rapid(depth + clearance); // Back down to just above the last peck
+                depth = Math.max(bottom, depth - peck);
+                plunge(depth);
+                if (depth > bottom) rapid(code === 83 ? rPlane : depth + clearance);
+            }
+            return;
+        }
+        
+        plunge(bottom);
+        
+        // Dwell at the bottom (G82, G88, G89)
+        if ((code === 82 || code === 88 || code === 89) && this.cycle.p > 0) {
+            this.addDwell(this.cycle.p, lineNum);
+        }
+        
+        // G84 (tapping), G85 and G89 (boring) feed back out; the others retract at rapid
+        if (code === 84 || code === 85 || code === 89) {
+            plunge(rPlane);
+        }
+    }
+
+    /**
+     * Add a dwell (seconds) to the timeline before the next segment
+     */
+    addDwell(seconds, lineNum) {
+        this.addEvent('dwell', lineNum, { seconds });
+    }
+
+    /**
+     * Add a zero-length timeline event (dwell, pause, tool change...) before the next segment
+     */
+    addEvent(type, lineNum, extra = {}) {
+        this.segments.addEvent({ type, lineNum, ...extra });
+    }
+
     /**
      * Process arc move (G2/G3)
      */
     arcMove(words, direction, lineNum) {
         const target = this.extractTarget(words);
-        const offset = this.extractOffset(words);
+        let offset = this.extractOffset(words);
         
         if (!offset) {
-            console.error(`Arc command at line ${lineNum} missing I/J/K parameters`);
-            return false;
+            const radiusWord = words.find(([letter]) => letter === 'R');
+            if (!radiusWord) {
+                this.addDiagnostic(lineNum, 'error', 'arc-parameters', 'Arc missing I/J/K or R parameters, move skipped');
+                return false;
+            }
+            offset = this.radiusToOffset(this.position, target, radiusWord[1], direction === 'cw');
+            if (!offset) {
+                this.addDiagnostic(lineNum, 'error', 'arc-radius', `Arc radius R${radiusWord[1]} cannot reach the end point, move skipped`);
+                return false;
+            }
+        } else {
+            this.checkArcRadius(target, offset, lineNum);
         }
         
+        // P word gives the number of turns for full circles and helices (default 1)
+        const turnsWord = words.find(([letter]) => letter === 'P');
+        const turns = turnsWord ? Math.max(1, Math.round(turnsWord[1])) : 1;
+        
         // Calculate arc segments
         const segments = this.tessellateArc(
             this.position,
             target,
             offset,
-            direction === 'cw'
+            direction === 'cw',
+            turns
         );
         
+        this.checkMotion('cut', lineNum);
+        
         // Add each segment
         for (const seg of segments) {
             this.addSegment({
                 type: 'cut',
                 start: seg.start,
                 end: seg.end,
-                feedRate: this.feedRate,
-                tool: this.currentTool,
-                lineNum
+                arc: seg.arc,
+                lineNum,
+                ...this.modalAttributes()
             });
             this.updateBounds(seg.end);
         }
+        this.checkTravel(lineNum);
         
         this.position = target;
         return segments.length > 0;
     }
 
     /**
-     * Extract target position from words
+     * Warn when an I/J/K arc's centre is not the same distance from both end points
+     * Uses grbl's limits: 0.5 mm, or 0.005 mm and 0.1% of the radius
+     */
+    checkArcRadius(target, offset, lineNum) {
+        const [axis0, axis1] = this.planeAxes();
+        const letter = { x: 'i', y: 'j', z: 'k' };
+        const centre0 = this.position[axis0] + offset[letter[axis0]];
+        const centre1 = this.position[axis1] + offset[letter[axis1]];
+        const startRadius = Math.hypot(offset[letter[axis0]], offset[letter[axis1]]);
+        const endRadius = Math.hypot(target[axis0] - centre0, target[axis1] - centre1);
+        const delta = Math.abs(endRadius - startRadius);
+        
+        if (delta > 0.5 || (delta > 0.005 && delta > 0.001 * startRadius)) {
+            this.addDiagnostic(lineNum, 'warning', 'arc-radius',
+                `Arc radius mismatch: ${startRadius.toFixed(3)} mm at start, ${endRadius.toFixed(3)} mm at end`);
+        }
+    }
+
+    /**
+     * Report modal state problems for a move: feed moves at F0 or with the spindle stopped,
+     * and moves before units or distance mode are set
+     */
+    checkMotion(type, lineNum) {
+        if (type === 'cut' && this.feedRate <= 0) {
+            this.addDiagnostic(lineNum, 'warning', 'zero-feed', 'Feed move with F0 (no feed rate set)');
+        }
+        
+        if (type === 'cut' && this.spindle === 'off' && !this.spindleOffReported) {
+            this.spindleOffReported = true;
+            const what = this.options.laserMode ? 'laser' : 'spindle';
+            this.addDiagnostic(lineNum, 'warning', 'spindle-off', `Feed move with the ${what} stopped (no M3/M4 since start or last M5)`);
+        }
+        
+        if (!this.modalStateChecked) {
+            this.modalStateChecked = true;
+            if (!this.unitsSet) {
+                this.addDiagnostic(lineNum, 'warning', 'modal-state', 'Move before units are set (G20/G21), assuming mm');
+            }
+            if (!this.distanceModeSet) {
+                this.addDiagnostic(lineNum, 'warning', 'modal-state', 'Move before distance mode is set (G90/G91), assuming G90');
+            }
+        }
+    }
+
+    /**
+     * Record a diagnostic for a file line
+     * Repeats of the same code on the same line (e.g. every move of a canned cycle) are only reported once.
+     * @param {number} line - File line number
+     * @param {string} severity - 'error' (move skipped) or 'warning'
+     * @param {string} code - Short identifier for filtering (e.g. 'arc-radius')
+     * @param {string} message - Human-readable description
+     */
+    addDiagnostic(line, severity, code, message) {
+        const key = `${line}|${code}|${message}`;
+        if (this.diagnosticKeys.has(key)) return;
+        
+        if (this.diagnostics.length >= (this.options.maxDiagnostics || 5000)) {
+            this.diagnosticsOmitted++;
+            return;
+        }
+        this.diagnosticKeys.add(key);
+        this.diagnostics.push({ line, severity, code, message });
+    }
+
+    /**
+     * Get the axes of the active arc plane, in the order tessellateArc measures angles
+     */
+    planeAxes() {
+        return this.plane === 'XY' ? ['x', 'y'] : this.plane === 'ZX' ? ['z', 'x'] : ['y', 'z'];
+    }
+
+    /**
+     * Extract target position from words (converted to machine coordinates)
+     * Rotary axes (A/B/C) are in degrees and have no work offset
      */
     extractTarget(words) {
         const target = { ...this.position };
         
         for (const [letter, value] of words) {
-            const actualValue = this.absolute ? value : this.position[letter.toLowerCase()] + value;
-            
-            switch (letter) {
-                case 'X':
-                    target.x = actualValue;
-                    break;
-                case 'Y':
-                    target.y = actualValue;
-                    break;
-                case 'Z':
-                    target.z = actualValue;
-                    break;
+            const axis = letter.toLowerCase();
+            if (axis === 'x' || axis === 'y' || axis === 'z') {
+                if (this.machineCoordinates) {
+                    target[axis] = value; // G53: absolute machine coordinates
+                } else {
+                    // Absolute values are in the active work coordinate system
+                    target[axis] = this.absolute ? value + this.offset[axis] : this.position[axis] + value;
+                }
+            } else if (axis === 'a' || axis === 'b' || axis === 'c') {
+                target[axis] = this.absolute ? value : this.position[axis] + value;
             }
         }
         
@@ -444,9 +1075,46 @@ class GCodeParser {
     }
 
     /**
-     * Tessellate arc into line segments with adaptive quality
+     * Convert a radius-format arc (R word) into an I/J/K centre offset
+     * Positive R takes the short way (<= 180 degrees), negative R the long way (> 180 degrees)
+     * @returns {Object|null} Offset {i, j, k}, or null if no arc with that radius fits
+     */
+    radiusToOffset(start, end, radius, clockwise) {
+        // Plane axes in the same order tessellateArc uses, so CW/CCW match
+        const [axis0, axis1] = this.planeAxes();
+        const dx = end[axis0] - start[axis0];
+        const dy = end[axis1] - start[axis1];
+        const chord = Math.sqrt(dx * dx + dy * dy);
+        
+        // A full circle has no unique centre in radius format
+        if (chord === 0 || radius === 0) return null;
+        
+        let h = 4 * radius * radius - chord * chord;
+        if (h < 0) {
+            // Endpoints slightly further apart than the diameter: treat as a half circle if within rounding
+            if (chord - 2 * Math.abs(radius) > Math.max(0.005, Math.abs(radius) * 0.001)) return null;
+            h = 0;
+        }
+        
+        // Distance from chord midpoint to centre, scaled by 2/chord (grbl's h_x2_div_d)
+        let hx2d = -Math.sqrt(h) / chord;
+        if (!clockwise) hx2d = -hx2d;
+        if (radius < 0) hx2d = -hx2d;
+        
+        const offset = { i: 0, j: 0, k: 0 };
+        const letter = { x: 'i', y: 'j', z: 'k' };
+        offset[letter[axis0]] = 0.5 * (dx - dy * hx2d);
+        offset[letter[axis1]] = 0.5 * (dy + dx * hx2d);
+        return offset;
+    }
+
+    /**
+     * Tessellate arc into line segments whose chord error stays within options.arcTolerance
+     * Start and end at the same in-plane point is a full circle; turns > 1 adds extra revolutions
+     * and the linear (helical) axis is interpolated across all of them.
+     * Each segment carries an `arc` reference to the true arc it approximates.
      */
-    tessellateArc(start, end, offset, clockwise) {
+    tessellateArc(start, end, offset, clockwise, turns = 1) {
         // Calculate center point based on plane
         let centerX, centerY, startX, startY, endX, endY;
         
@@ -482,19 +1150,53 @@ class GCodeParser {
         const startAngle = Math.atan2(startY - centerY, startX - centerX);
         const endAngle = Math.atan2(endY - centerY, endX - centerX);
         
-        // Calculate arc angle
+        // Calculate arc angle (coincident endpoints mean a full circle, not a zero-length arc)
+        const fullCircle = Math.hypot(endX - startX, endY - startY) < 1e-6;
         let arcAngle = endAngle - startAngle;
-        if (clockwise) {
+        if (fullCircle) {
+            arcAngle = clockwise ? -2 * Math.PI : 2 * Math.PI;
+        } else if (clockwise) {
             if (arcAngle >= 0) arcAngle -= 2 * Math.PI;
         } else {
             if (arcAngle <= 0) arcAngle += 2 * Math.PI;
         }
         
-        // Adaptive tessellation: more segments for larger arcs
-        const numSegments = Math.max(8, Math.min(64, 
-            Math.floor(Math.sqrt(radius) * Math.abs(arcAngle) * 4)
+        // Extra full revolutions from the P word
+        arcAngle += (clockwise ? -2 : 2) * Math.PI * (turns - 1);
+        
+        // Largest step angle whose chord stays within tolerance of the true arc
+        const tolerance = this.options.arcTolerance > 0 ? this.options.arcTolerance : 0.01;
+        const stepAngle = tolerance < radius ? 2 * Math.acos(1 - tolerance / radius) : Math.PI / 2;
+        
+        // Segment count follows the total swept angle, capped to keep pathological arcs bounded
+        const revolutions = Math.ceil(Math.abs(arcAngle) / (2 * Math.PI) - 1e-9);
+        const numSegments = Math.max(1, Math.min(2000 * revolutions,
+            Math.ceil(Math.abs(arcAngle) / stepAngle)
         ));
         
+        // Parent arc shared by all sub-segments (center uses the start point for the helical axis)
+        const center = { ...start };
+        if (this.plane === 'XY') {
+            center.x = centerX;
+            center.y = centerY;
+        } else if (this.plane === 'ZX') {
+            center.z = centerX;
+            center.x = centerY;
+        } else {
+            center.y = centerX;
+            center.z = centerY;
+        }
+        const arc = {
+            center,
+            radius,
+            clockwise,
+            plane: this.plane,
+            startAngle,
+            sweepAngle: arcAngle, // Signed, negative for clockwise
+            start: { ...start },
+            end: { ...end }
+        };
+        
         // Generate segments
         const segments = [];
         let prevPoint = { ...start };
@@ -503,25 +1205,35 @@ class GCodeParser {
             const t = i / numSegments;
             const angle = startAngle + arcAngle * t;
             
-            const point = { ...start };
+            let point = { ...start };
             
-            if (this.plane === 'XY') {
-                point.x = centerX + radius * Math.cos(angle);
-                point.y = centerY + radius * Math.sin(angle);
-                point.z = start.z + (end.z - start.z) * t;
-            } else if (this.plane === 'ZX') {
-                point.z = centerX + radius * Math.cos(angle);
-                point.x = centerY + radius * Math.sin(angle);
-                point.y = start.y + (end.y - start.y) * t;
-            } else { // YZ
-                point.y = centerX + radius * Math.cos(angle);
-                point.z = centerY + radius * Math.sin(angle);
-                point.x = start.x + (end.x - start.x) * t;
+            if (i === numSegments) {
+                point = { ...end }; // Land exactly on the programmed end point
+            } else {
+                if (this.plane === 'XY') {
+                    point.x = centerX + radius * Math.cos(angle);
+                    point.y = centerY + radius * Math.sin(angle);
+                    point.z = start.z + (end.z - start.z) * t;
+                } else if (this.plane === 'ZX') {
+                    point.z = centerX + radius * Math.cos(angle);
+                    point.x = centerY + radius * Math.sin(angle);
+                    point.y = start.y + (end.y - start.y) * t;
+                } else { // YZ
+                    point.y = centerX + radius * Math.cos(angle);
+                    point.z = centerY + radius * Math.sin(angle);
+                    point.x = start.x + (end.x - start.x) * t;
+                }
+                
+                // Rotary axes programmed on the arc move linearly with it
+                point.a = start.a + (end.a - start.a) * t;
+                point.b = start.b + (end.b - start.b) * t;
+                point.c = start.c + (end.c - start.c) * t;
             }
             
             segments.push({
                 start: prevPoint,
-                end: point
+                end: point,
+                arc
             });
             
             prevPoint = point;
@@ -534,11 +1246,11 @@ class GCodeParser {
      * Add segment to list
      */
     addSegment(segment) {
-        this.segments.push(segment);
+        this.segments.add(segment);
     }
 
     /**
-     * Update bounding box
+     * Update bounding boxes (machine and work coordinates)
      */
     updateBounds(point) {
         // Check for invalid coordinates
@@ -553,13 +1265,41 @@ class GCodeParser {
         this.bounds.maxY = Math.max(this.bounds.maxY, point.y);
         this.bounds.minZ = Math.min(this.bounds.minZ, point.z);
         this.bounds.maxZ = Math.max(this.bounds.maxZ, point.z);
+        
+        const work = this.workBounds;
+        const o = this.offset;
+        work.minX = Math.min(work.minX, point.x - o.x);
+        work.maxX = Math.max(work.maxX, point.x - o.x);
+        work.minY = Math.min(work.minY, point.y - o.y);
+        work.maxY = Math.max(work.maxY, point.y - o.y);
+        work.minZ = Math.min(work.minZ, point.z - o.z);
+        work.maxZ = Math.max(work.maxZ, point.z - o.z);
+    }
+
+    /**
+     * Warn the first time the moves on an axis span more than the machine can travel (options.travel)
+     */
+    checkTravel(lineNum) {
+        const travel = this.options.travel;
+        if (!travel) return;
+        
+        for (const axis of ['x', 'y', 'z']) {
+            const name = axis.toUpperCase();
+            const span = this.bounds[`max${name}`] - this.bounds[`min${name}`];
+            if (travel[axis] > 0 && span > travel[axis] + 1e-6 && !this.travelExceeded[axis]) {
+                this.travelExceeded[axis] = true;
+                this.addDiagnostic(lineNum, 'warning', 'travel-limit',
+                    `${name} moves span ${span.toFixed(1)} mm, more than the machine's ${travel[axis]} mm of travel`);
+            }
+        }
     }
 
     /**
      * Get bounds
+     * @param {string} coordinates - 'machine' (default) or 'work'
      */
-    getBounds() {
-        return this.bounds;
+    getBounds(coordinates = 'machine') {
+        return coordinates === 'work' ? this.workBounds : this.bounds;
     }
 
     /**
@@ -583,6 +1323,46 @@ class GCodeParser {
         return this.toolColors;
     }
     
+    /**
+     * Get diagnostics collected while parsing, in file order
+     * @returns {Array<Object>} { line, severity, code, message }
+     */
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+
+    /**
+     * Get everything besides segments that the viewer reads after parsing
+     * (used to hand results back from the parser worker)
+     */
+    getSummary() {
+        return {
+            bounds: this.bounds,
+            workBounds: this.workBounds,
+            toolNames: this.toolNames,
+            toolColors: this.toolColors,
+            inlineToolMap: this.inlineToolMap,
+            diagnostics: this.diagnostics,
+            diagnosticsOmitted: this.diagnosticsOmitted,
+            lineStarts: this.lineStarts
+        };
+    }
+
+    /**
+     * Load results produced by another parser instance (e.g. in the parser worker)
+     */
+    applySummary(summary, segments) {
+        this.segments = segments;
+        this.bounds = summary.bounds;
+        this.workBounds = summary.workBounds;
+        this.toolNames = summary.toolNames;
+        this.toolColors = summary.toolColors;
+        this.inlineToolMap = summary.inlineToolMap;
+        this.diagnostics = summary.diagnostics;
+        this.diagnosticsOmitted = summary.diagnosticsOmitted;
+        this.lineStarts = summary.lineStarts;
+    }
+
     /**
      * Check if using inline tool format
      */
@@ -8,7 +8,7 @@ class Renderer2D {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.camera = camera;
-        this.segments = [];
+        this.segments = new SegmentStore(1);
         this.bounds = null;
         this.layerFilter = { min: -Infinity, max: Infinity };
         this.hoveredPoint = null;
@@ -16,6 +16,11 @@ class Renderer2D {
         this.toolStates = new Map(); // { toolNum: { visible, color } }
         this.rapidMovesVisible = true; // Show rapid moves by default
         this.rapidMoveColor = '#999999'; // Default gray color
+        this.workCoordinates = false; // Draw in machine coordinates by default
+        this.colorMap = new ColorMap(this.segments); // Cut move colors, shared with the 3D renderer
+        this.lathe = false; // Lathe profile: Z drawn horizontally, X (radius) vertically
+        this.toolWidthVisible = false; // Draw cut moves as wide as their cutter sweeps
+        this.zeroOffset = { x: 0, y: 0, z: 0 };
         
         this.resizeCanvas();
     }
@@ -31,11 +36,13 @@ class Renderer2D {
 
     /**
      * Set segments to render
+     * @param {SegmentStore} segments - Parsed segments
      */
     setSegments(segments, bounds) {
         this.segments = segments;
         this.bounds = bounds;
         this.maxSegmentIndex = segments.length;
+        this.colorMap = new ColorMap(segments, 'tool', { toolStates: this.toolStates });
     }
 
     /**
@@ -53,6 +60,66 @@ class Renderer2D {
         this.rapidMoveColor = color;
     }
 
+    /**
+     * Set how cut moves are colored
+     * @param {ColorMap} colorMap - Colors for these segments (the same one as the 3D renderer's)
+     */
+    setColorMap(colorMap) {
+        this.colorMap = colorMap;
+    }
+
+    /**
+     * Draw the width each cut move sweeps under the hairlines (plan view only)
+     * @param {boolean} visible - Show swept widths
+     */
+    setToolWidthVisible(visible) {
+        this.toolWidthVisible = visible;
+    }
+
+    /**
+     * Width a cut move sweeps: its tool's cutter at the move's average depth below work Z0
+     * @param {number} index - Segment index
+     * @returns {number} mm (0 when a ball or V-bit stays above Z0)
+     */
+    sweptWidth(index) {
+        const segments = this.segments;
+        const cutter = this.toolStates.get(segments.tool(index))?.cutter || Cutter.defaults();
+        const z = (segments.startZ(index) + segments.endZ(index)) / 2 - segments.offset(index).z;
+        return Cutter.swathWidth(cutter, -z);
+    }
+
+    /**
+     * Set coordinate display mode
+     * @param {string} mode - 'machine' or 'work'
+     */
+    setCoordinateMode(mode) {
+        this.workCoordinates = mode === 'work';
+    }
+
+    /**
+     * Draw the XZ lathe profile instead of the XY plan view
+     * @param {boolean} enabled - Lathe mode
+     */
+    setLatheMode(enabled) {
+        this.lathe = enabled;
+    }
+
+    /**
+     * Machine axes drawn horizontally and vertically
+     * @returns {Array<string>} ['x', 'y'], or ['z', 'x'] in lathe mode
+     */
+    planeAxes() {
+        return this.lathe ? ['z', 'x'] : ['x', 'y'];
+    }
+
+    /**
+     * Offset subtracted from a segment's machine coordinates for display
+     * @param {number} index - Segment index
+     */
+    displayOffset(index) {
+        return this.workCoordinates ? this.segments.offset(index) : this.zeroOffset;
+    }
+
     /**
      * Update buffers (for compatibility with 3D renderer)
      */
@@ -201,62 +268,53 @@ class Renderer2D {
      */
     drawSegments() {
         const theme = document.documentElement.getAttribute('data-theme');
-        
-        // Tool colors - matching 3D renderer
-        const toolColors = [
-            theme === 'dark' ? '#00ccff' : '#0066cc',   // Tool 0: Cyan/Blue
-            theme === 'dark' ? '#00ff88' : '#00cc66',   // Tool 1: Green
-            theme === 'dark' ? '#ff4dff' : '#cc00cc',   // Tool 2: Magenta
-            theme === 'dark' ? '#ffff00' : '#cccc00',   // Tool 3: Yellow
-            theme === 'dark' ? '#ff8800' : '#ff6600',   // Tool 4: Orange
-            theme === 'dark' ? '#8888ff' : '#4d4dff',   // Tool 5: Blue
-            theme === 'dark' ? '#ff0088' : '#ff0066',   // Tool 6: Red-Pink
-            theme === 'dark' ? '#00ffff' : '#00b3b3',   // Tool 7: Cyan
-        ];
-        
         const zoom = this.camera.zoom2d;
         const lineWidth = Math.max(0.5, 1.5 / zoom);
         
-        // Group segments by type and tool for batched rendering
+        // Group segment indices by type and color key (tool or ramp step) for batched rendering
+        const segments = this.segments;
+        const colorMap = this.colorMap;
         const rapidSegments = [];
-        const cutSegmentsByTool = {}; // { toolNum: [segments] }
+        const cutSegmentsByTool = {}; // { color key: [segment indices] }
         let partialSegment = null;
         
-        for (let i = 0; i < Math.min(this.segments.length, this.maxSegmentIndex); i++) {
-            const seg = this.segments[i];
+        for (let i = 0; i < Math.min(segments.length, this.maxSegmentIndex); i++) {
+            const z = segments.startZ(i) - this.displayOffset(i).z;
             
             // Apply layer filter
-            if (seg.start.z < this.layerFilter.min || seg.start.z > this.layerFilter.max) {
+            if (z < this.layerFilter.min || z > this.layerFilter.max) {
                 continue;
             }
             
-            if (seg.type === 'rapid') {
+            if (segments.isRapid(i)) {
                 // Only add rapid moves if they're visible
                 if (this.rapidMovesVisible) {
-                    rapidSegments.push(seg);
+                    rapidSegments.push(i);
                 }
             } else {
-                const tool = seg.tool || 0;
+                const tool = segments.tool(i);
                 
                 // Skip if tool is hidden
                 if (this.toolStates.has(tool) && !this.toolStates.get(tool).visible) {
                     continue;
                 }
                 
-                if (!cutSegmentsByTool[tool]) {
-                    cutSegmentsByTool[tool] = [];
+                const key = colorMap.key(i);
+                if (!cutSegmentsByTool[key]) {
+                    cutSegmentsByTool[key] = [];
                 }
-                cutSegmentsByTool[tool].push(seg);
+                cutSegmentsByTool[key].push(i);
             }
         }
         
         // Handle partial segment (current segment being animated)
-        if (this.maxSegmentIndex < this.segments.length && this.segmentProgress > 0 && this.segmentProgress < 1) {
-            const seg = this.segments[this.maxSegmentIndex];
-            if (seg.type === 'cut' && seg.start.z >= this.layerFilter.min && seg.start.z <= this.layerFilter.max) {
-                const tool = seg.tool || 0;
+        if (this.maxSegmentIndex < segments.length && this.segmentProgress > 0 && this.segmentProgress < 1) {
+            const index = this.maxSegmentIndex;
+            const z = segments.startZ(index) - this.displayOffset(index).z;
+            if (segments.isCut(index) && z >= this.layerFilter.min && z <= this.layerFilter.max) {
+                const tool = segments.tool(index);
                 if (!this.toolStates.has(tool) || this.toolStates.get(tool).visible) {
-                    partialSegment = { seg, tool };
+                    partialSegment = { index, tool };
                 }
             }
         }
@@ -269,80 +327,157 @@ class Renderer2D {
             this.drawSegmentBatch(rapidSegments);
         }
         
-        // Draw cut moves by tool
-        this.ctx.lineWidth = lineWidth;
-        this.ctx.setLineDash([]);
+        const batchColor = (key) => colorMap.cssColor(parseInt(key), theme);
         
-        for (const tool in cutSegmentsByTool) {
-            const toolNum = parseInt(tool);
+        // Partial segment path, with the end point interpolated based on progress
+        const partialPath = () => {
+            const [h, v] = this.planeAxes();
+            const o = this.displayOffset(partialSegment.index);
+            const start = segments.getStart(partialSegment.index);
+            const end = segments.pointAt(partialSegment.index, this.segmentProgress);
             
-            // Use custom color if tool state exists, otherwise use default
-            if (this.toolStates.has(toolNum)) {
-                this.ctx.strokeStyle = this.toolStates.get(toolNum).color;
-            } else {
-                const toolIndex = toolNum % toolColors.length;
-                this.ctx.strokeStyle = toolColors[toolIndex];
+            this.ctx.beginPath();
+            this.ctx.moveTo(start[h] - o[h], start[v] - o[v]);
+            this.ctx.lineTo(end[h] - o[h], end[v] - o[v]);
+        };
+        
+        // Draw swept widths under the cut moves, translucent so overlaps and uncut gaps show
+        if (this.toolWidthVisible && !this.lathe) {
+            this.ctx.save();
+            this.ctx.globalAlpha = 0.35;
+            this.ctx.lineCap = 'round';
+            this.ctx.setLineDash([]);
+            
+            for (const key in cutSegmentsByTool) {
+                // Ball and V-bit widths change with depth, so batch by width (0.01 mm steps)
+                const byWidth = new Map();
+                for (const i of cutSegmentsByTool[key]) {
+                    const width = Math.round(this.sweptWidth(i) * 100);
+                    if (width <= 0) continue;
+                    if (!byWidth.has(width)) byWidth.set(width, []);
+                    byWidth.get(width).push(i);
+                }
+                
+                this.ctx.strokeStyle = batchColor(key);
+                for (const [width, indices] of byWidth) {
+                    this.ctx.lineWidth = width / 100;
+                    this.drawSegmentBatch(indices);
+                }
             }
             
-            this.drawSegmentBatch(cutSegmentsByTool[tool]);
+            const partialWidth = partialSegment ? this.sweptWidth(partialSegment.index) : 0;
+            if (partialWidth > 0) {
+                this.ctx.strokeStyle = colorMap.cssColor(colorMap.key(partialSegment.index), theme);
+                this.ctx.lineWidth = partialWidth;
+                partialPath();
+                this.ctx.stroke();
+            }
+            this.ctx.restore();
+        }
+        
+        // Draw cut moves by tool
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.setLineDash([]);
+        
+        for (const key in cutSegmentsByTool) {
+            this.ctx.strokeStyle = batchColor(key);
+            this.drawSegmentBatch(cutSegmentsByTool[key]);
         }
         
         // Draw partial segment
         if (partialSegment) {
-            const { seg, tool } = partialSegment;
-            
-            // Set color for partial segment
-            if (this.toolStates.has(tool)) {
-                this.ctx.strokeStyle = this.toolStates.get(tool).color;
-            } else {
-                const toolIndex = tool % toolColors.length;
-                this.ctx.strokeStyle = toolColors[toolIndex];
-            }
-            
-            // Interpolate end point based on progress
-            const endX = seg.start.x + (seg.end.x - seg.start.x) * this.segmentProgress;
-            const endY = seg.start.y + (seg.end.y - seg.start.y) * this.segmentProgress;
-            const endZ = seg.start.z + (seg.end.z - seg.start.z) * this.segmentProgress;
-            
-            this.ctx.beginPath();
-            this.ctx.moveTo(seg.start.x, seg.start.y);
-            this.ctx.lineTo(endX, endY);
+            this.ctx.strokeStyle = colorMap.cssColor(colorMap.key(partialSegment.index), theme);
+            partialPath();
             this.ctx.stroke();
         }
     }
 
     /**
      * Draw batch of segments efficiently
+     * Runs of consecutive pieces of one arc in the view plane are drawn as a single canvas arc;
+     * helices and arcs in other planes keep their tessellated lines.
+     * @param {Array<number>} indices - Segment indices to draw in one path (ascending)
      */
-    drawSegmentBatch(segments) {
-        if (segments.length === 0) return;
-        
+    drawSegmentBatch(indices) {
+        if (indices.length === 0) return;
+        
+        const segments = this.segments;
+        const [h, v] = this.planeAxes();
+        const kh = 'xyz'.indexOf(h);
+        const kv = 'xyz'.indexOf(v);
+        const arcPlane = this.lathe ? 'ZX' : 'XY';
         this.ctx.beginPath();
         
-        for (const seg of segments) {
-            this.ctx.moveTo(seg.start.x, seg.start.y);
-            this.ctx.lineTo(seg.end.x, seg.end.y);
+        for (let n = 0; n < indices.length; n++) {
+            const i = indices[n];
+            const o = this.displayOffset(i);
+            const x0 = segments.coord(i, kh) - o[h];
+            const y0 = segments.coord(i, kv) - o[v];
+            this.ctx.moveTo(x0, y0);
+            
+            const arc = segments.arc(i);
+            if (arc && arc.plane === arcPlane && this.isPlanarArc(arc)) {
+                // Extend over the following pieces of the same arc, summing their signed sweeps
+                const cx = arc.center[h] - o[h];
+                const cy = arc.center[v] - o[v];
+                const startAngle = Math.atan2(y0 - cy, x0 - cx);
+                let sweep = 0;
+                let last = n;
+                for (;;) {
+                    sweep += this.arcPieceSweep(indices[last], arc, kh, kv);
+                    const next = indices[last + 1];
+                    if (next !== indices[last] + 1 || segments.arcIndex[next] !== segments.arcIndex[i]) break;
+                    last++;
+                }
+                this.ctx.arc(cx, cy, arc.radius, startAngle, startAngle + sweep, sweep < 0);
+                n = last;
+                continue;
+            }
+            
+            this.ctx.lineTo(segments.coord(i, kh + 3) - o[h], segments.coord(i, kv + 3) - o[v]);
         }
         
         this.ctx.stroke();
     }
 
+    /**
+     * Whether an arc stays in its plane (not a helix), so it can be drawn with canvas arc()
+     * @param {Object} arc - Parent arc from SegmentStore.arc
+     */
+    isPlanarArc(arc) {
+        const axis = arc.plane === 'XY' ? 'z' : arc.plane === 'ZX' ? 'y' : 'x';
+        return Math.abs(arc.end[axis] - arc.start[axis]) < 1e-9;
+    }
+
+    /**
+     * Signed angle one tessellated piece of an arc turns through (negative for clockwise)
+     * @param {number} index - Segment index
+     * @param {Object} arc - Its parent arc
+     * @param {number} kh - Coordinate index drawn horizontally
+     * @param {number} kv - Coordinate index drawn vertically
+     */
+    arcPieceSweep(index, arc, kh, kv) {
+        const segments = this.segments;
+        const [h, v] = this.planeAxes();
+        const a0 = Math.atan2(segments.coord(index, kv) - arc.center[v], segments.coord(index, kh) - arc.center[h]);
+        const a1 = Math.atan2(segments.coord(index, kv + 3) - arc.center[v], segments.coord(index, kh + 3) - arc.center[h]);
+        let sweep = a1 - a0;
+        if (arc.clockwise && sweep > 0) sweep -= 2 * Math.PI;
+        if (!arc.clockwise && sweep < 0) sweep += 2 * Math.PI;
+        return sweep;
+    }
+
     /**
      * Draw current position marker
      */
     drawCurrentPositionMarker() {
         if (this.maxSegmentIndex >= this.segments.length || this.maxSegmentIndex === Infinity) return;
         
-        const currentSeg = this.segments[this.maxSegmentIndex];
-        if (!currentSeg) return;
-        
         // Interpolate position based on segment progress
-        const progress = this.segmentProgress;
-        const pos = {
-            x: currentSeg.start.x + (currentSeg.end.x - currentSeg.start.x) * progress,
-            y: currentSeg.start.y + (currentSeg.end.y - currentSeg.start.y) * progress,
-            z: currentSeg.start.z + (currentSeg.end.z - currentSeg.start.z) * progress
-        };
+        const point = this.segments.pointAt(this.maxSegmentIndex, this.segmentProgress);
+        const o = this.displayOffset(this.maxSegmentIndex);
+        const [h, v] = this.planeAxes();
+        const pos = { x: point[h] - o[h], y: point[v] - o[v] };
         const zoom = this.camera.zoom2d;
         const radius = 5 / zoom;
         
@@ -495,29 +630,33 @@ class Renderer2D {
         let nearest = null;
         let minDist = thresholdWorld;
         
-        for (let i = 0; i < Math.min(this.segments.length, this.maxSegmentIndex); i++) {
-            const seg = this.segments[i];
+        const segments = this.segments;
+        const [h, v] = this.planeAxes();
+        const kh = 'xyz'.indexOf(h);
+        const kv = 'xyz'.indexOf(v);
+        for (let i = 0; i < Math.min(segments.length, this.maxSegmentIndex); i++) {
+            const o = this.displayOffset(i);
             
             // Check start point
             const distStart = Math.sqrt(
-                Math.pow(seg.start.x - world.x, 2) + 
-                Math.pow(seg.start.y - world.y, 2)
+                Math.pow(segments.coord(i, kh) - o[h] - world.x, 2) + 
+                Math.pow(segments.coord(i, kv) - o[v] - world.y, 2)
             );
             
             if (distStart < minDist) {
                 minDist = distStart;
-                nearest = { ...seg.start, lineNum: seg.lineNum };
+                nearest = { x: segments.startX(i) - o.x, y: segments.startY(i) - o.y, z: segments.startZ(i) - o.z, lineNum: segments.lineNum(i) };
             }
             
             // Check end point
             const distEnd = Math.sqrt(
-                Math.pow(seg.end.x - world.x, 2) + 
-                Math.pow(seg.end.y - world.y, 2)
+                Math.pow(segments.coord(i, kh + 3) - o[h] - world.x, 2) + 
+                Math.pow(segments.coord(i, kv + 3) - o[v] - world.y, 2)
             );
             
             if (distEnd < minDist) {
                 minDist = distEnd;
-                nearest = { ...seg.end, lineNum: seg.lineNum };
+                nearest = { x: segments.endX(i) - o.x, y: segments.endY(i) - o.y, z: segments.endZ(i) - o.z, lineNum: segments.lineNum(i) };
             }
         }
         
@@ -12,16 +12,45 @@ class Renderer3D {
         this.gl = null;
         this.program = null;
         this.buffers = {};
-        this.segments = [];
+        this.segments = new SegmentStore(1);
         this.bounds = null;
         this.layerFilter = { min: -Infinity, max: Infinity };
         this.maxSegmentIndex = Infinity;
         this.toolStates = new Map(); // { toolNum: { visible, color } }
         this.rapidMovesVisible = true; // Show rapid moves by default
         this.rapidMoveColor = '#999999'; // Default gray color
+        this.colorMap = new ColorMap(this.segments); // Cut move colors, shared with the 2D renderer
+        this.workCoordinates = false; // Draw in machine coordinates by default
+        this.zeroOffset = { x: 0, y: 0, z: 0 };
+        this.rotaryWrap = null; // { axis: 'a'|'b'|'c', radius } to wrap rotary moves around X/Y/Z
+        this.lathe = false; // Lathe view: spindle axis (machine Z) drawn along X
+        this.toolWidthVisible = false; // Draw cut moves as ribbons as wide as their cutter sweeps
+        this.chunks = []; // Toolpath geometry on the GPU: { start, end, levels: [lines per detail level], ribbons }
+        this.chunkKey = null; // Settings the chunks were built with (see geometryKey)
+        this.partial = null; // Geometry of the partly animated segment, rebuilt every animation step
+        this.toolSlots = new Map(); // Tool number -> shader slot (0-31) for color and visibility
+        this.slotTools = []; // Slot -> first tool number using it
+        this.lodScale = 1; // Largest toolpath dimension, the base of the detail level tolerances
         
         this.initWebGL();
         this.resizeCanvas();
+        
+        // Revolved lathe part and simulated stock; an optional module
+        this.surfaces = this.gl && typeof SurfaceRenderer !== 'undefined' ? new SurfaceRenderer(this) : null;
+    }
+
+    /**
+     * Segments per uploaded toolpath chunk
+     */
+    static chunkSize() {
+        return 65536;
+    }
+
+    /**
+     * Number of coarser detail levels above full detail
+     */
+    static lodLevels() {
+        return 3;
     }
 
     /**
@@ -90,13 +119,59 @@ class Renderer3D {
             uMVP: gl.getUniformLocation(this.program, 'uMVP')
         };
         
+        // Toolpath shader: geometry stays on the GPU and is filtered per vertex, so settings and
+        // animation steps only change uniforms. Hidden vertices are moved outside the clip volume.
+        const pathVertexShaderSource = `
+            attribute vec3 aPosition;
+            attribute vec2 aInfo; // Segment index (last one of a merged line), layer Z
+            attribute vec2 aSlots; // Color slot, visibility slot (32 = rapid)
+            uniform mat4 uMVP;
+            uniform vec3 uPalette[33];
+            uniform float uVisible[33];
+            uniform float uMaxIndex;
+            uniform vec2 uLayer;
+            uniform vec4 uFade; // Background color and how far to fade toward it
+            varying vec3 vColor;
+            
+            void main() {
+                if (aInfo.x >= uMaxIndex || aInfo.y < uLayer.x || aInfo.y > uLayer.y || uVisible[int(aSlots.y + 0.5)] < 0.5) {
+                    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+                    vColor = vec3(0.0);
+                    return;
+                }
+                gl_Position = uMVP * vec4(aPosition, 1.0);
+                vColor = mix(uPalette[int(aSlots.x + 0.5)], uFade.rgb, uFade.a);
+            }
+        `;
+        
+        this.pathProgram = gl.createProgram();
+        gl.attachShader(this.pathProgram, this.compileShader(gl.VERTEX_SHADER, pathVertexShaderSource));
+        gl.attachShader(this.pathProgram, this.compileShader(gl.FRAGMENT_SHADER, fragmentShaderSource));
+        gl.bindAttribLocation(this.pathProgram, 0, 'aPosition');
+        gl.bindAttribLocation(this.pathProgram, 1, 'aInfo');
+        gl.bindAttribLocation(this.pathProgram, 2, 'aSlots');
+        gl.linkProgram(this.pathProgram);
+        
+        if (!gl.getProgramParameter(this.pathProgram, gl.LINK_STATUS)) {
+            console.error('Toolpath program link error:', gl.getProgramInfoLog(this.pathProgram));
+            return;
+        }
+        
+        this.pathLocations = {
+            aPosition: 0,
+            aInfo: 1,
+            aSlots: 2,
+            uMVP: gl.getUniformLocation(this.pathProgram, 'uMVP'),
+            uPalette: gl.getUniformLocation(this.pathProgram, 'uPalette'),
+            uVisible: gl.getUniformLocation(this.pathProgram, 'uVisible'),
+            uMaxIndex: gl.getUniformLocation(this.pathProgram, 'uMaxIndex'),
+            uLayer: gl.getUniformLocation(this.pathProgram, 'uLayer'),
+            uFade: gl.getUniformLocation(this.pathProgram, 'uFade')
+        };
+        
         // Enable depth testing
         gl.enable(gl.DEPTH_TEST);
         gl.depthFunc(gl.LEQUAL);
-        
-        // Create buffers
-        this.buffers.position = gl.createBuffer();
-        this.buffers.color = gl.createBuffer();
     }
 
     /**
@@ -138,11 +213,16 @@ class Renderer3D {
 
     /**
      * Set segments to render
+     * @param {SegmentStore} segments - Parsed segments
      */
     setSegments(segments, bounds) {
         this.segments = segments;
         this.bounds = bounds;
         this.maxSegmentIndex = segments.length;
+        this.colorMap = new ColorMap(segments, 'tool', { toolStates: this.toolStates });
+        if (this.surfaces) this.surfaces.setStockSimulation(null); // Stock of the previous file, set again later
+        this.deleteChunks(); // Uploaded again for the new segments
+        this.chunkKey = null;
         this.updateBuffers();
     }
 
@@ -161,6 +241,135 @@ class Renderer3D {
         this.rapidMoveColor = color;
     }
 
+    /**
+     * Set how cut moves are colored
+     * @param {ColorMap} colorMap - Colors for these segments (the same one as the 2D renderer's)
+     */
+    setColorMap(colorMap) {
+        this.colorMap = colorMap;
+    }
+
+    /**
+     * Draw cut moves as flat ribbons as wide as their cutter sweeps (not in lathe mode or with rotary wrapping)
+     * @param {boolean} visible - Show swept widths
+     */
+    setToolWidthVisible(visible) {
+        this.toolWidthVisible = visible;
+    }
+
+    /**
+     * Set coordinate display mode
+     * @param {string} mode - 'machine' or 'work'
+     */
+    setCoordinateMode(mode) {
+        this.workCoordinates = mode === 'work';
+    }
+
+    /**
+     * Wrap moves around a rotary axis: A turns about X, B about Y, C about Z
+     * Wrapped paths are drawn in work coordinates with the rotary axis at Y0 Z0 (A), X0 Z0 (B) or X0 Y0 (C).
+     * @param {Object|null} wrap - { axis: 'a'|'b'|'c', radius } or null for flat display;
+     *                             radius is added to Z (stock radius when Z0 is the stock surface, 0 when Z0 is the axis)
+     */
+    setRotaryWrap(wrap) {
+        this.rotaryWrap = wrap;
+    }
+
+    /**
+     * Draw lathe programs turned on their side, with a surface revolved from the cut profile (SurfaceRenderer)
+     * Machine Z is drawn along X and machine X (radius) about it; rotary wrapping is ignored.
+     * @param {boolean} enabled - Lathe mode
+     */
+    setLatheMode(enabled) {
+        this.lathe = enabled;
+    }
+
+    /**
+     * Position of a point on the wrapped stock
+     * The stock turns by +angle to bring a point under the tool, so the cut lies at -angle on the stock.
+     * @param {Object} point - Machine coordinates with a/b/c
+     * @param {Object} offset - Work offset to subtract
+     * @returns {Array<number>} [x, y, z]
+     */
+    wrapPoint(point, offset) {
+        const { axis, radius } = this.rotaryWrap;
+        const x = point.x - offset.x;
+        const y = point.y - offset.y;
+        const z = point.z - offset.z;
+        const theta = -point[axis] * Math.PI / 180;
+        const cos = Math.cos(theta);
+        const sin = Math.sin(theta);
+        
+        if (axis === 'a') {
+            const r = z + radius;
+            return [x, y * cos - r * sin, y * sin + r * cos];
+        } else if (axis === 'b') {
+            const r = z + radius;
+            return [x * cos + r * sin, y, -x * sin + r * cos];
+        }
+        return [x * cos - y * sin, x * sin + y * cos, z];
+    }
+
+    /**
+     * Bounds to fit the camera to: the parser bounds, grown to cover the wrapped stock when wrapping
+     * @param {Object} bounds - Parser bounds
+     */
+    getDisplayBounds(bounds) {
+        if (!bounds || this.segments.length === 0) return bounds;
+        if (this.lathe) {
+            // Z runs along X and the part turns about it out to its largest radius
+            const r = Math.max(Math.abs(bounds.minX), Math.abs(bounds.maxX));
+            return { minX: bounds.minZ, maxX: bounds.maxZ, minY: -r, maxY: r, minZ: -r, maxZ: r };
+        }
+        if (!this.rotaryWrap) return bounds;
+        
+        // Distance from the rotary axis is unchanged by wrapping, so the largest one bounds the stock
+        const { axis, radius } = this.rotaryWrap;
+        const segments = this.segments;
+        let maxRadius = 0;
+        for (let i = 0; i < segments.length; i++) {
+            const o = segments.offset(i);
+            for (const point of [segments.getStart(i), segments.getEnd(i)]) {
+                const x = point.x - o.x;
+                const y = point.y - o.y;
+                const z = point.z - o.z;
+                const r = axis === 'a' ? Math.hypot(y, z + radius) : axis === 'b' ? Math.hypot(x, z + radius) : Math.hypot(x, y);
+                maxRadius = Math.max(maxRadius, r);
+            }
+        }
+        
+        const wrapped = { ...bounds };
+        const grow = (min, max) => {
+            wrapped[min] = Math.min(wrapped[min], -maxRadius);
+            wrapped[max] = Math.max(wrapped[max], maxRadius);
+        };
+        if (axis !== 'a') grow('minX', 'maxX');
+        if (axis !== 'b') grow('minY', 'maxY');
+        if (axis !== 'c') grow('minZ', 'maxZ');
+        return wrapped;
+    }
+
+    /**
+     * Simulate material removal: cut moves sweep their tool's cutter through a stock box, drawn as a
+     * shaded surface that follows the animation (ignored in lathe mode, when rotary moves are wrapped and
+     * without the SurfaceRenderer module)
+     * @param {Object|null} settings - { stock: box in display coordinates (mm) } (cutters come from the tool
+     *                                 states), or null to turn the simulation off
+     */
+    setStockSimulation(settings) {
+        if (!this.surfaces) return;
+        this.surfaces.setStockSimulation(settings);
+        this.updateBuffers();
+    }
+
+    /**
+     * Offset subtracted from a segment's machine coordinates for display
+     * @param {number} index - Segment index
+     */
+    displayOffset(index) {
+        return this.workCoordinates ? this.segments.offset(index) : this.zeroOffset;
+    }
+
     /**
      * Set layer filter
      */
@@ -179,148 +388,432 @@ class Renderer3D {
         this.updateBuffers();
     }
 
+    /**
+     * Settings baked into the uploaded toolpath geometry; anything else is applied in the shader
+     */
+    geometryKey() {
+        const wrap = this.lathe ? null : this.rotaryWrap;
+        const ribbons = this.toolWidthVisible && !this.lathe && !wrap;
+        const cutters = ribbons
+            ? [...this.toolStates].map(([tool, state]) => `${tool}:${state.cutter?.type}:${state.cutter?.diameter}:${state.cutter?.angle}`).join()
+            : '';
+        const colorMap = this.colorMap;
+        return [
+            this.workCoordinates, this.lathe, wrap ? `${wrap.axis}:${wrap.radius}` : '', ribbons, cutters,
+            colorMap.mode, colorMap.min, colorMap.max, colorMap.workCoordinates
+        ].join('|');
+    }
+
     /**
      * Update vertex buffers
+     * The toolpath is only uploaded again when the geometry key changes; animation steps rebuild
+     * the partly drawn segment and the lathe and stock surfaces.
      */
     updateBuffers() {
-        if (!this.gl || this.segments.length === 0) return;
+        if (!this.gl || !this.pathLocations || this.segments.length === 0) return;
         
-        const gl = this.gl;
-        const theme = document.documentElement.getAttribute('data-theme');
+        const key = this.geometryKey();
+        if (key !== this.chunkKey) {
+            this.buildChunks();
+            this.chunkKey = key;
+        }
         
-        // Convert custom rapid move color to RGB
-        const rapidColor = this.hexToRgb(this.rapidMoveColor);
-        
-        // Tool colors - each tool gets a distinct color
-        const toolColors = [
-            theme === 'dark' ? [0.0, 0.8, 1.0] : [0.0, 0.4, 0.8],   // Tool 0: Cyan/Blue
-            theme === 'dark' ? [0.0, 1.0, 0.5] : [0.0, 0.8, 0.4],   // Tool 1: Green
-            theme === 'dark' ? [1.0, 0.3, 1.0] : [0.8, 0.0, 0.8],   // Tool 2: Magenta
-            theme === 'dark' ? [1.0, 1.0, 0.0] : [0.8, 0.8, 0.0],   // Tool 3: Yellow
-            theme === 'dark' ? [1.0, 0.5, 0.0] : [1.0, 0.4, 0.0],   // Tool 4: Orange
-            theme === 'dark' ? [0.5, 0.5, 1.0] : [0.3, 0.3, 1.0],   // Tool 5: Blue
-            theme === 'dark' ? [1.0, 0.0, 0.5] : [1.0, 0.0, 0.4],   // Tool 6: Red-Pink
-            theme === 'dark' ? [0.0, 1.0, 1.0] : [0.0, 0.7, 0.7],   // Tool 7: Cyan
-        ];
+        const segments = this.segments;
+        const visibleCount = Math.min(segments.length, this.maxSegmentIndex);
+        this.updatePartialSegment(visibleCount);
         
-        const positions = [];
-        const colors = [];
+        if (this.surfaces) this.surfaces.update(visibleCount, this.segmentProgress);
+    }
+
+    /**
+     * Upload the whole toolpath in chunks of full-detail lines (and ribbons when tool width is shown)
+     * Coarser detail levels are built later, when the view is zoomed out far enough to use them.
+     */
+    buildChunks() {
+        this.deleteChunks();
+        
+        const segments = this.segments;
+        const bounds = this.bounds;
+        this.lodScale = bounds
+            ? Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, bounds.maxZ - bounds.minZ) || 1
+            : 1;
+        
+        // Slots by first appearance; past 32 tools, slots are shared (with the first tool's color and visibility)
+        this.toolSlots = new Map();
+        this.slotTools = [];
+        for (let i = 0; i < segments.length; i++) {
+            const tool = segments.tool(i);
+            if (this.toolSlots.has(tool)) continue;
+            const slot = this.slotTools.length < 32 ? this.slotTools.length : tool % 32;
+            this.toolSlots.set(tool, slot);
+            if (this.slotTools[slot] === undefined) this.slotTools[slot] = tool;
+        }
         
-        for (let i = 0; i < Math.min(this.segments.length, this.maxSegmentIndex); i++) {
-            const seg = this.segments[i];
+        const wrap = this.lathe ? null : this.rotaryWrap;
+        const withRibbons = this.toolWidthVisible && !this.lathe && !wrap;
+        const size = Renderer3D.chunkSize();
+        for (let start = 0; start < segments.length; start += size) {
+            const end = Math.min(start + size, segments.length);
+            const lines = this.createPathWriter((end - start) * 2);
+            const ribbons = withRibbons ? this.createPathWriter(1024) : null;
+            for (let i = start; i < end; i++) this.pushSegment(lines, ribbons, i, 1);
             
-            // Apply layer filter
-            if (seg.start.z < this.layerFilter.min || seg.start.z > this.layerFilter.max) {
-                continue;
-            }
+            this.chunks.push({
+                start,
+                end,
+                levels: [this.uploadGeometry(lines.finish())],
+                ribbons: ribbons ? this.uploadGeometry(ribbons.finish()) : null,
+                twoPerSegment: !wrap // Exactly two vertices per segment, so a range of segments is a range of vertices
+            });
+        }
+    }
+
+    /**
+     * Rebuild the geometry of the partly animated segment
+     * @param {number} index - Segment being animated
+     */
+    updatePartialSegment(index) {
+        const lines = this.createPathWriter(2);
+        const ribbons = this.createPathWriter(6);
+        if (index < this.segments.length && this.segmentProgress > 0 && this.segmentProgress < 1) {
+            const wrap = this.lathe ? null : this.rotaryWrap;
+            this.pushSegment(lines, this.toolWidthVisible && !this.lathe && !wrap ? ribbons : null, index, this.segmentProgress);
+        }
+        
+        if (!this.partial) this.partial = { lines: null, ribbons: null };
+        this.partial.lines = this.uploadGeometry(lines.finish(), this.partial.lines, this.gl.DYNAMIC_DRAW);
+        this.partial.ribbons = this.uploadGeometry(ribbons.finish(), this.partial.ribbons, this.gl.DYNAMIC_DRAW);
+    }
+
+    /**
+     * Growable vertex arrays in the toolpath shader's layout
+     * @param {number} capacity - Initial number of vertices
+     * @returns {Object} { push(x, y, z, index, layer, colorSlot, visibleSlot), finish() -> { positions, info, slots, count } }
+     */
+    createPathWriter(capacity) {
+        let positions = new Float32Array(Math.max(capacity, 1) * 3);
+        let info = new Float32Array(Math.max(capacity, 1) * 2);
+        let slots = new Uint8Array(Math.max(capacity, 1) * 2);
+        let n = 0;
+        
+        return {
+            push: (x, y, z, index, layer, colorSlot, visibleSlot) => {
+                if (n * 3 >= positions.length) {
+                    // Wrapped rotary moves are split into several lines, so the arrays can run out
+                    const grown = [new Float32Array(positions.length * 2), new Float32Array(info.length * 2), new Uint8Array(slots.length * 2)];
+                    grown[0].set(positions);
+                    grown[1].set(info);
+                    grown[2].set(slots);
+                    [positions, info, slots] = grown;
+                }
+                positions[n * 3] = x;
+                positions[n * 3 + 1] = y;
+                positions[n * 3 + 2] = z;
+                info[n * 2] = index;
+                info[n * 2 + 1] = layer;
+                slots[n * 2] = colorSlot;
+                slots[n * 2 + 1] = visibleSlot;
+                n++;
+            },
+            finish: () => ({
+                positions: positions.subarray(0, n * 3),
+                info: info.subarray(0, n * 2),
+                slots: slots.subarray(0, n * 2),
+                count: n
+            })
+        };
+    }
+
+    /**
+     * Shader slot deciding whether a segment is shown: its tool's slot, or 32 for rapids
+     */
+    visibleSlot(index) {
+        return this.segments.isRapid(index) ? 32 : this.toolSlots.get(this.segments.tool(index)) || 0;
+    }
+
+    /**
+     * Shader slot of a segment's color: its tool's slot, its step on the color ramp, or 32 for rapids
+     */
+    colorSlot(index) {
+        if (this.segments.isRapid(index) || !this.colorMap.attribute.value) return this.visibleSlot(index);
+        return this.colorMap.key(index);
+    }
+
+    /**
+     * Add the lines of segment `index` up to fraction `t` of the move, and its ribbon
+     * Without rotary wrapping every segment gets exactly two vertices, hidden or not.
+     * @param {Object} lines - Path writer for the lines
+     * @param {Object|null} ribbons - Path writer for swept width ribbons (cut moves only)
+     */
+    pushSegment(lines, ribbons, index, t) {
+        const segments = this.segments;
+        const o = this.displayOffset(index);
+        const layer = segments.startZ(index) - o.z;
+        const colorSlot = this.colorSlot(index);
+        const visibleSlot = this.visibleSlot(index);
+        
+        if (!this.lathe && this.rotaryWrap) {
+            // Split so rotary moves follow the stock
+            const offset = segments.offset(index);
+            const start = segments.getStart(index);
+            const sweep = Math.abs(segments.getEnd(index)[this.rotaryWrap.axis] - start[this.rotaryWrap.axis]) * t;
+            const steps = Math.max(1, Math.ceil(sweep / 2)); // At most 2 degrees per line
             
-            // Skip rapid moves if not visible
-            if (seg.type === 'rapid' && !this.rapidMovesVisible) {
-                continue;
+            let prev = this.wrapPoint(start, offset);
+            for (let s = 1; s <= steps; s++) {
+                const next = this.wrapPoint(segments.pointAt(index, t * s / steps), offset);
+                lines.push(prev[0], prev[1], prev[2], index, layer, colorSlot, visibleSlot);
+                lines.push(next[0], next[1], next[2], index, layer, colorSlot, visibleSlot);
+                prev = next;
             }
-            
-            // Skip if tool is hidden
-            const toolNum = seg.tool || 0;
-            if (seg.type !== 'rapid' && this.toolStates.has(toolNum)) {
-                const toolState = this.toolStates.get(toolNum);
-                if (!toolState.visible) {
-                    continue;
-                }
+            return;
+        }
+        
+        const end = t < 1 ? segments.pointAt(index, t) : { x: segments.endX(index), y: segments.endY(index), z: segments.endZ(index) };
+        const x0 = segments.startX(index) - o.x, y0 = segments.startY(index) - o.y;
+        const x1 = end.x - o.x, y1 = end.y - o.y, z1 = end.z - o.z;
+        if (this.lathe) {
+            // Lathe view turns the part on its side: machine (x, y, z) is drawn at (z, x, y)
+            lines.push(layer, x0, y0, index, layer, colorSlot, visibleSlot);
+            lines.push(z1, x1, y1, index, layer, colorSlot, visibleSlot);
+        } else {
+            lines.push(x0, y0, layer, index, layer, colorSlot, visibleSlot);
+            lines.push(x1, y1, z1, index, layer, colorSlot, visibleSlot);
+        }
+        if (ribbons && segments.isCut(index)) this.pushRibbon(ribbons, index, t, colorSlot, visibleSlot);
+    }
+
+    /**
+     * Add one flat ribbon (two triangles) for a cut move, as wide as the move's cutter at its depth
+     * below work Z0 at each end; square ends half a width long fill the corners between moves
+     * @param {Object} ribbons - Path writer
+     * @param {number} index - Segment index
+     * @param {number} t - Fraction of the move drawn
+     */
+    pushRibbon(ribbons, index, t, colorSlot, visibleSlot) {
+        const segments = this.segments;
+        const o = this.displayOffset(index);
+        const zero = segments.offset(index).z; // Work Z0 in machine coordinates
+        const end = segments.pointAt(index, t);
+        const x0 = segments.startX(index) - o.x, y0 = segments.startY(index) - o.y, z0 = segments.startZ(index);
+        const x1 = end.x - o.x, y1 = end.y - o.y, z1 = end.z;
+        const length = Math.hypot(x1 - x0, y1 - y0);
+        if (length < 1e-9) return; // Plunges and retracts have no width in plan
+        
+        const cutter = this.toolStates.get(segments.tool(index))?.cutter || Cutter.defaults();
+        const r0 = Cutter.swathWidth(cutter, zero - z0) / 2;
+        const r1 = Cutter.swathWidth(cutter, zero - z1) / 2;
+        if (r0 <= 0 && r1 <= 0) return;
+        
+        const ux = (x1 - x0) / length, uy = (y1 - y0) / length;
+        const ax = x0 - ux * r0, ay = y0 - uy * r0, bx = x1 + ux * r1, by = y1 + uy * r1;
+        const az = z0 - o.z, bz = z1 - o.z;
+        const push = (x, y, z) => ribbons.push(x, y, z, index, az, colorSlot, visibleSlot);
+        push(ax - uy * r0, ay + ux * r0, az);
+        push(ax + uy * r0, ay - ux * r0, az);
+        push(bx - uy * r1, by + ux * r1, bz);
+        push(bx - uy * r1, by + ux * r1, bz);
+        push(ax + uy * r0, ay - ux * r0, az);
+        push(bx + uy * r1, by - ux * r1, bz);
+    }
+
+    /**
+     * Chord tolerance of a detail level (level 0 is every segment)
+     * @returns {number} mm
+     */
+    lodTolerance(level) {
+        return level > 0 ? this.lodScale / 2048 * Math.pow(4, level - 1) : 0;
+    }
+
+    /**
+     * Coarsest detail level whose tolerance stays under half a pixel at the current zoom
+     * Wrapped rotary moves are always drawn in full detail.
+     */
+    lodLevel() {
+        if (!this.lathe && this.rotaryWrap) return 0;
+        
+        const pixel = 2 * this.camera.orthoScale / Math.max(this.canvas.height, 1);
+        let level = 0;
+        while (level < Renderer3D.lodLevels() && this.lodTolerance(level + 1) <= pixel / 2) level++;
+        return level;
+    }
+
+    /**
+     * Build a coarser detail level of a chunk: runs of connected moves with the same color and visibility are
+     * merged into one line while the run is no longer than the tolerance, so no joint strays further from it.
+     * @returns {Object} Uploaded geometry
+     */
+    buildDetailLevel(chunk, level) {
+        const segments = this.segments;
+        const tolerance = this.lodTolerance(level);
+        const lines = this.createPathWriter((chunk.end - chunk.start) / 4);
+        
+        // Display coordinates of a segment's start or end
+        const point = (i, end) => {
+            const o = this.displayOffset(i);
+            return end
+                ? [segments.endX(i) - o.x, segments.endY(i) - o.y, segments.endZ(i) - o.z]
+                : [segments.startX(i) - o.x, segments.startY(i) - o.y, segments.startZ(i) - o.z];
+        };
+        const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+        
+        for (let first = chunk.start; first < chunk.end;) {
+            const colorSlot = this.colorSlot(first), visibleSlot = this.visibleSlot(first);
+            const start = point(first, false);
+            let end = point(first, true);
+            let length = distance(start, end);
+            let last = first;
+            while (last + 1 < chunk.end && this.colorSlot(last + 1) === colorSlot && this.visibleSlot(last + 1) === visibleSlot) {
+                const next = [point(last + 1, false), point(last + 1, true)];
+                length += distance(next[0], next[1]);
+                if (length > tolerance || distance(end, next[0]) > 1e-6) break;
+                end = next[1];
+                last++;
             }
             
-            // Choose color based on segment type and tool
-            let color;
-            if (seg.type === 'rapid') {
-                color = rapidColor;
-            } else {
-                // Use custom color if tool state exists, otherwise use default
-                if (this.toolStates.has(toolNum)) {
-                    const hexColor = this.toolStates.get(toolNum).color;
-                    color = this.hexToRgb(hexColor);
-                } else {
-                    const toolIndex = toolNum % toolColors.length;
-                    color = toolColors[toolIndex];
-                }
+            // Lathe view turns the part on its side, as in pushSegment
+            for (const p of [start, end]) {
+                const [x, y, z] = this.lathe ? [p[2], p[0], p[1]] : p;
+                lines.push(x, y, z, last, start[2], colorSlot, visibleSlot);
             }
-            
-            // Start vertex
-            positions.push(seg.start.x, seg.start.y, seg.start.z);
-            colors.push(...color);
-            
-            // End vertex
-            positions.push(seg.end.x, seg.end.y, seg.end.z);
-            colors.push(...color);
+            first = last + 1;
         }
-        
-        // Handle partial segment (current segment being animated)
-        if (this.maxSegmentIndex < this.segments.length && this.segmentProgress > 0 && this.segmentProgress < 1) {
-            const seg = this.segments[this.maxSegmentIndex];
+        return this.uploadGeometry(lines.finish());
+    }
+
+    /**
+     * Upload path writer output into a geometry's buffers (new buffers when no geometry is given)
+     * @param {Object} data - From a path writer's finish()
+     * @param {Object|null} geometry - Geometry to reuse
+     * @param {number} usage - gl.STATIC_DRAW or gl.DYNAMIC_DRAW
+     * @returns {Object} { position, info, slots, count }
+     */
+    uploadGeometry(data, geometry = null, usage = this.gl.STATIC_DRAW) {
+        const gl = this.gl;
+        if (!geometry) {
+            geometry = { position: gl.createBuffer(), info: gl.createBuffer(), slots: gl.createBuffer(), count: 0 };
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, geometry.position);
+        gl.bufferData(gl.ARRAY_BUFFER, data.positions, usage);
+        gl.bindBuffer(gl.ARRAY_BUFFER, geometry.info);
+        gl.bufferData(gl.ARRAY_BUFFER, data.info, usage);
+        gl.bindBuffer(gl.ARRAY_BUFFER, geometry.slots);
+        gl.bufferData(gl.ARRAY_BUFFER, data.slots, usage);
+        geometry.count = data.count;
+        return geometry;
+    }
+
+    /**
+     * Delete a geometry's buffers
+     */
+    deleteGeometry(geometry) {
+        if (!geometry) return;
+        this.gl.deleteBuffer(geometry.position);
+        this.gl.deleteBuffer(geometry.info);
+        this.gl.deleteBuffer(geometry.slots);
+    }
+
+    /**
+     * Delete all toolpath chunks
+     */
+    deleteChunks() {
+        for (const chunk of this.chunks) {
+            chunk.levels.forEach((geometry) => this.deleteGeometry(geometry));
+            this.deleteGeometry(chunk.ribbons);
+        }
+        this.chunks = [];
+    }
+
+    /**
+     * Draw the toolpath chunks: colors, tool and rapid visibility, the layer filter and the animation
+     * cut-off are all uniforms, and zoomed-out views use a coarser detail level where one is built
+     */
+    drawToolpath(mvp, theme) {
+        const gl = this.gl;
+        const locations = this.pathLocations;
+        const segments = this.segments;
+        gl.useProgram(this.pathProgram);
+        gl.uniformMatrix4fv(locations.uMVP, false, mvp);
+        
+        // Slot colors and visibility: ramp steps or tools, with rapids in slot 32
+        const palette = new Float32Array(33 * 3);
+        const visible = new Float32Array(33);
+        const ramp = !!this.colorMap.attribute.value;
+        for (let slot = 0; slot < 32; slot++) {
+            const tool = this.slotTools[slot];
+            const color = ramp ? this.colorMap.color(slot, theme) : tool === undefined ? [1, 1, 1] : this.colorMap.color(tool, theme);
+            palette.set(color, slot * 3);
+            visible[slot] = tool === undefined || this.toolStates.get(tool)?.visible !== false ? 1 : 0;
+        }
+        palette.set(ColorMap.hexToRgb(this.rapidMoveColor), 32 * 3);
+        visible[32] = this.rapidMovesVisible ? 1 : 0;
+        gl.uniform3fv(locations.uPalette, palette);
+        gl.uniform1fv(locations.uVisible, visible);
+        
+        // Float32 range instead of Infinity for an open filter
+        const limit = 3e38;
+        gl.uniform2f(locations.uLayer, Math.max(this.layerFilter.min, -limit), Math.min(this.layerFilter.max, limit));
+        gl.uniform4f(locations.uFade, 0, 0, 0, 0);
+        gl.enableVertexAttribArray(locations.aPosition);
+        gl.enableVertexAttribArray(locations.aInfo);
+        gl.enableVertexAttribArray(locations.aSlots);
+        
+        const count = Math.min(segments.length, this.maxSegmentIndex);
+        const level = this.lodLevel();
+        let built = false; // At most one detail level is built per frame
+        gl.uniform1f(locations.uMaxIndex, count);
+        
+        for (const chunk of this.chunks) {
+            if (chunk.start >= count) break;
             
-            // Check if segment should be rendered
-            if (seg.start.z >= this.layerFilter.min && seg.start.z <= this.layerFilter.max) {
-                // Skip rapid moves if not visible
-                if (seg.type !== 'rapid' || this.rapidMovesVisible) {
-                    const toolNum = seg.tool || 0;
-                    let shouldRender = true;
-                    
-                    // Skip if tool is hidden
-                    if (seg.type !== 'rapid' && this.toolStates.has(toolNum)) {
-                        shouldRender = this.toolStates.get(toolNum).visible;
-                    }
-                    
-                    if (shouldRender) {
-                        // Choose color
-                        let color;
-                        if (seg.type === 'rapid') {
-                            color = rapidColor;
-                        } else {
-                            if (this.toolStates.has(toolNum)) {
-                                const hexColor = this.toolStates.get(toolNum).color;
-                                color = this.hexToRgb(hexColor);
-                            } else {
-                                const toolIndex = toolNum % toolColors.length;
-                                color = toolColors[toolIndex];
-                            }
-                        }
-                        
-                        // Interpolate end point based on progress
-                        const endX = seg.start.x + (seg.end.x - seg.start.x) * this.segmentProgress;
-                        const endY = seg.start.y + (seg.end.y - seg.start.y) * this.segmentProgress;
-                        const endZ = seg.start.z + (seg.end.z - seg.start.z) * this.segmentProgress;
-                        
-                        // Start vertex
-                        positions.push(seg.start.x, seg.start.y, seg.start.z);
-                        colors.push(...color);
-                        
-                        // Partial end vertex
-                        positions.push(endX, endY, endZ);
-                        colors.push(...color);
-                    }
-                }
+            // The chunk being animated is drawn in full detail
+            let chunkLevel = chunk.end <= count ? level : 0;
+            if (chunkLevel > 0 && !chunk.levels[chunkLevel] && !built) {
+                chunk.levels[chunkLevel] = this.buildDetailLevel(chunk, chunkLevel);
+                built = true;
             }
+            while (!chunk.levels[chunkLevel]) chunkLevel--;
+            const lines = chunk.levels[chunkLevel];
+            const drawn = chunkLevel === 0 && chunk.twoPerSegment ? (Math.min(chunk.end, count) - chunk.start) * 2 : lines.count;
+            this.drawGeometry(lines, gl.LINES, 0, drawn);
         }
         
-        this.vertexCount = positions.length / 3;
-        
-        // Update position buffer
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.position);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+        // The partial segment has index `count`
+        gl.uniform1f(locations.uMaxIndex, count + 1);
+        if (this.partial) this.drawGeometry(this.partial.lines, gl.LINES, 0, this.partial.lines.count);
+        
+        // Swept widths, faded toward the background and pushed back so the lines stay on top
+        const background = theme === 'dark' ? 0.15 : 0.98;
+        gl.uniform4f(locations.uFade, background, background, background, 0.45);
+        gl.enable(gl.POLYGON_OFFSET_FILL);
+        gl.polygonOffset(1, 1);
+        gl.uniform1f(locations.uMaxIndex, count);
+        for (const chunk of this.chunks) {
+            if (chunk.start >= count) break;
+            if (chunk.ribbons) this.drawGeometry(chunk.ribbons, gl.TRIANGLES, 0, chunk.ribbons.count);
+        }
+        gl.uniform1f(locations.uMaxIndex, count + 1);
+        if (this.partial) this.drawGeometry(this.partial.ribbons, gl.TRIANGLES, 0, this.partial.ribbons.count);
+        gl.disable(gl.POLYGON_OFFSET_FILL);
         
-        // Update color buffer
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.color);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(colors), gl.STATIC_DRAW);
+        gl.disableVertexAttribArray(locations.aSlots);
     }
 
     /**
-     * Convert hex color to RGB array
+     * Bind a geometry to the toolpath shader and draw a range of its vertices
      */
-    hexToRgb(hex) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result ? [
-            parseInt(result[1], 16) / 255,
-            parseInt(result[2], 16) / 255,
-            parseInt(result[3], 16) / 255
-        ] : [1, 1, 1];
+    drawGeometry(geometry, mode, first, count) {
+        if (count <= 0) return;
+        
+        const gl = this.gl;
+        const locations = this.pathLocations;
+        gl.bindBuffer(gl.ARRAY_BUFFER, geometry.position);
+        gl.vertexAttribPointer(locations.aPosition, 3, gl.FLOAT, false, 0, 0);
+        gl.bindBuffer(gl.ARRAY_BUFFER, geometry.info);
+        gl.vertexAttribPointer(locations.aInfo, 2, gl.FLOAT, false, 0, 0);
+        gl.bindBuffer(gl.ARRAY_BUFFER, geometry.slots);
+        gl.vertexAttribPointer(locations.aSlots, 2, gl.UNSIGNED_BYTE, false, 0, 0);
+        gl.drawArrays(mode, first, count);
     }
 
     /**
@@ -346,30 +839,25 @@ class Renderer3D {
         
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
         
-        if (!this.vertexCount || this.vertexCount === 0) {
+        if (this.chunks.length === 0 || !this.pathLocations) {
             return;
         }
         
-        // Use program
-        gl.useProgram(this.program);
-        
         // Set MVP matrix
         const aspect = this.canvas.width / this.canvas.height;
         const mvp = this.camera.getMVPMatrix(aspect);
-        gl.uniformMatrix4fv(this.locations.uMVP, false, mvp);
         
-        // Bind position buffer
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.position);
-        gl.vertexAttribPointer(this.locations.aPosition, 3, gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(this.locations.aPosition);
+        // Draw toolpath lines and swept widths
+        this.drawToolpath(mvp, theme);
         
-        // Bind color buffer
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.color);
-        gl.vertexAttribPointer(this.locations.aColor, 3, gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(this.locations.aColor);
+        // Draw revolved lathe part and simulated stock
+        if (this.surfaces) this.surfaces.draw(mvp);
         
-        // Draw lines
-        gl.drawArrays(gl.LINES, 0, this.vertexCount);
+        // Grid, axes and marker use the plain line program
+        gl.useProgram(this.program);
+        gl.uniformMatrix4fv(this.locations.uMVP, false, mvp);
+        gl.enableVertexAttribArray(this.locations.aPosition);
+        gl.enableVertexAttribArray(this.locations.aColor);
         
         // Draw grid
         this.drawGrid(mvp);
@@ -518,17 +1006,20 @@ class Renderer3D {
     drawCurrentPositionMarker(mvp) {
         if (this.maxSegmentIndex >= this.segments.length || this.maxSegmentIndex === Infinity) return;
         
-        const currentSeg = this.segments[this.maxSegmentIndex];
-        if (!currentSeg) return;
-        
         const gl = this.gl;
         // Interpolate position based on segment progress
-        const progress = this.segmentProgress;
-        const center = {
-            x: currentSeg.start.x + (currentSeg.end.x - currentSeg.start.x) * progress,
-            y: currentSeg.start.y + (currentSeg.end.y - currentSeg.start.y) * progress,
-            z: currentSeg.start.z + (currentSeg.end.z - currentSeg.start.z) * progress
-        };
+        const point = this.segments.pointAt(this.maxSegmentIndex, this.segmentProgress);
+        let center;
+        if (this.lathe) {
+            const o = this.displayOffset(this.maxSegmentIndex);
+            center = { x: point.z - o.z, y: point.x - o.x, z: point.y - o.y };
+        } else if (this.rotaryWrap) {
+            const [x, y, z] = this.wrapPoint(point, this.segments.offset(this.maxSegmentIndex));
+            center = { x, y, z };
+        } else {
+            const o = this.displayOffset(this.maxSegmentIndex);
+            center = { x: point.x - o.x, y: point.y - o.y, z: point.z - o.z };
+        }
         const radius = 1.5; // Size of the sphere
         
         // Generate sphere geometry with normals for lighting
@@ -720,8 +1211,13 @@ class Renderer3D {
         if (!this.gl) return;
         
         const gl = this.gl;
-        gl.deleteBuffer(this.buffers.position);
-        gl.deleteBuffer(this.buffers.color);
+        this.deleteChunks();
+        if (this.partial) {
+            this.deleteGeometry(this.partial.lines);
+            this.deleteGeometry(this.partial.ribbons);
+        }
+        if (this.surfaces) this.surfaces.destroy();
         gl.deleteProgram(this.program);
+        gl.deleteProgram(this.pathProgram);
     }
 }
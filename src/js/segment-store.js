@@ -0,0 +1,308 @@
+/**
+ * Segment Store Module
+ * Columnar typed-array storage for toolpath segments, so multi-million segment jobs stay compact
+ */
+
+class SegmentStore {
+    /**
+     * @param {number} capacity - Initial number of segments to allocate (grows as needed)
+     */
+    constructor(capacity = 1024) {
+        this.length = 0;
+        this.capacity = 0;
+        this.offsetTable = []; // Shared work offsets ({x, y, z}) referenced by offsetIndex
+        this.arcTable = []; // Shared parent arcs referenced by arcIndex (-1 = not an arc)
+        this.maxSpindleSpeed = 0; // Full-scale S value for power(), at least the highest S used
+        this.rotaryAxes = ''; // Rotary axes that move anywhere in the job (e.g. 'a' or 'ab')
+        this.events = []; // Zero-length timeline events ({ index, type, lineNum, ... }) in program order
+        this.grow(Math.max(1, capacity));
+    }
+
+    /** Segment type codes */
+    static get RAPID() { return 0; }
+    static get CUT() { return 1; }
+
+    /**
+     * Column layout: name -> [typed array constructor, values per segment]
+     */
+    static columnLayout() {
+        return {
+            coords: [Float32Array, 6], // start x/y/z, end x/y/z (machine coordinates, mm)
+            rotary: [Float32Array, 6], // start a/b/c, end a/b/c (degrees)
+            types: [Uint8Array, 1], // SegmentStore.RAPID / SegmentStore.CUT
+            tools: [Uint8Array, 1],
+            wcs: [Uint8Array, 1], // 0 = G54 ... 8 = G59.3
+            units: [Uint8Array, 1], // 0 = mm, 1 = inches (as programmed)
+            feedRates: [Float32Array, 1],
+            spindleSpeeds: [Float32Array, 1], // Modal S value
+            spindleDirs: [Uint8Array, 1], // 0 = off (M5), 1 = CW (M3), 2 = CCW (M4)
+            coolants: [Uint8Array, 1], // Bit flags: 1 = mist (M7), 2 = flood (M8)
+            lasers: [Uint8Array, 1], // 1 = laser mode (M4 is dynamic power, G0 is laser off)
+            machineMoves: [Uint8Array, 1], // 1 = programmed in machine coordinates (G53, G28/G30 return)
+            lineNums: [Uint32Array, 1],
+            offsetIndex: [Uint32Array, 1],
+            arcIndex: [Int32Array, 1]
+        };
+    }
+
+    /**
+     * Reallocate all columns with room for at least `capacity` segments
+     */
+    grow(capacity) {
+        const layout = SegmentStore.columnLayout();
+        for (const name in layout) {
+            const [ArrayType, stride] = layout[name];
+            const column = new ArrayType(capacity * stride);
+            if (this[name]) column.set(this[name].subarray(0, this.length * stride));
+            this[name] = column;
+        }
+        this.capacity = capacity;
+    }
+
+    /**
+     * Shrink columns to the used length (before transferring or long-term storage)
+     */
+    trim() {
+        if (this.capacity > this.length) this.grow(this.length);
+    }
+
+    /**
+     * Append a segment given in the parser's object form
+     * @param {Object} seg - { type, start ({x, y, z, a, b, c}), end, feedRate, tool, wcs, offset, units, lineNum, arc,
+     *                        spindleSpeed, spindle ('off'|'cw'|'ccw'), coolant ({mist, flood}), laser, machine }
+     * @returns {number} Index of the new segment
+     */
+    add(seg) {
+        if (this.length === this.capacity) this.grow(Math.max(1024, this.capacity * 2));
+
+        const i = this.length++;
+        const c = i * 6;
+        this.coords[c] = seg.start.x;
+        this.coords[c + 1] = seg.start.y;
+        this.coords[c + 2] = seg.start.z;
+        this.coords[c + 3] = seg.end.x;
+        this.coords[c + 4] = seg.end.y;
+        this.coords[c + 5] = seg.end.z;
+        this.rotary[c] = seg.start.a || 0;
+        this.rotary[c + 1] = seg.start.b || 0;
+        this.rotary[c + 2] = seg.start.c || 0;
+        this.rotary[c + 3] = seg.end.a || 0;
+        this.rotary[c + 4] = seg.end.b || 0;
+        this.rotary[c + 5] = seg.end.c || 0;
+        for (let k = 0; k < 3; k++) {
+            const axis = 'abc'[k];
+            if (this.rotary[c + k] !== this.rotary[c + 3 + k] && !this.rotaryAxes.includes(axis)) {
+                this.rotaryAxes = (this.rotaryAxes + axis).split('').sort().join('');
+            }
+        }
+        this.types[i] = seg.type === 'cut' ? SegmentStore.CUT : SegmentStore.RAPID;
+        this.tools[i] = seg.tool || 0;
+        this.wcs[i] = seg.wcs || 0;
+        this.units[i] = seg.units === 'inches' ? 1 : 0;
+        this.feedRates[i] = seg.feedRate || 0;
+        this.spindleSpeeds[i] = seg.spindleSpeed || 0;
+        this.spindleDirs[i] = seg.spindle === 'cw' ? 1 : seg.spindle === 'ccw' ? 2 : 0;
+        this.coolants[i] = seg.coolant ? (seg.coolant.mist ? 1 : 0) | (seg.coolant.flood ? 2 : 0) : 0;
+        this.lasers[i] = seg.laser ? 1 : 0;
+        this.machineMoves[i] = seg.machine ? 1 : 0;
+        if (this.spindleDirs[i] !== 0) this.maxSpindleSpeed = Math.max(this.maxSpindleSpeed, this.spindleSpeeds[i]);
+        this.lineNums[i] = seg.lineNum || 0;
+
+        // Offsets and arcs are shared by runs of consecutive segments, so only compare with the last entry
+        const offset = seg.offset || { x: 0, y: 0, z: 0 };
+        if (this.offsetTable[this.offsetTable.length - 1] !== offset) this.offsetTable.push(offset);
+        this.offsetIndex[i] = this.offsetTable.length - 1;
+
+        if (seg.arc) {
+            if (this.arcTable[this.arcTable.length - 1] !== seg.arc) this.arcTable.push(seg.arc);
+            this.arcIndex[i] = this.arcTable.length - 1;
+        } else {
+            this.arcIndex[i] = -1;
+        }
+
+        return i;
+    }
+
+    /**
+     * Record a timeline event before the next segment added
+     * @param {Object} event - { type: 'dwell'|'pause'|'optional-stop'|'tool-change'|'spindle-start'|'program-end',
+     *                         lineNum, seconds (programmed dwell), manual (M0 tool change) }
+     */
+    addEvent(event) {
+        this.events.push({ index: this.length, ...event });
+    }
+
+    // Coordinate accessors (machine coordinates)
+    startX(i) { return this.coords[i * 6]; }
+    startY(i) { return this.coords[i * 6 + 1]; }
+    startZ(i) { return this.coords[i * 6 + 2]; }
+    endX(i) { return this.coords[i * 6 + 3]; }
+    endY(i) { return this.coords[i * 6 + 4]; }
+    endZ(i) { return this.coords[i * 6 + 5]; }
+    coord(i, k) { return this.coords[i * 6 + k]; } // k: 0-2 = start x/y/z, 3-5 = end x/y/z
+
+    /**
+     * Get start point as an object
+     */
+    getStart(i) {
+        const c = i * 6;
+        return {
+            x: this.coords[c], y: this.coords[c + 1], z: this.coords[c + 2],
+            a: this.rotary[c], b: this.rotary[c + 1], c: this.rotary[c + 2]
+        };
+    }
+
+    /**
+     * Get end point as an object
+     */
+    getEnd(i) {
+        const c = i * 6;
+        return {
+            x: this.coords[c + 3], y: this.coords[c + 4], z: this.coords[c + 5],
+            a: this.rotary[c + 3], b: this.rotary[c + 4], c: this.rotary[c + 5]
+        };
+    }
+
+    /**
+     * Get a point part way along a segment
+     * @param {number} t - 0 = start, 1 = end
+     */
+    pointAt(i, t) {
+        const c = i * 6;
+        return {
+            x: this.coords[c] + (this.coords[c + 3] - this.coords[c]) * t,
+            y: this.coords[c + 1] + (this.coords[c + 4] - this.coords[c + 1]) * t,
+            z: this.coords[c + 2] + (this.coords[c + 5] - this.coords[c + 2]) * t,
+            a: this.rotary[c] + (this.rotary[c + 3] - this.rotary[c]) * t,
+            b: this.rotary[c + 1] + (this.rotary[c + 4] - this.rotary[c + 1]) * t,
+            c: this.rotary[c + 2] + (this.rotary[c + 5] - this.rotary[c + 2]) * t
+        };
+    }
+
+    /**
+     * Length of a segment in mm
+     */
+    distance(i) {
+        const c = i * 6;
+        const dx = this.coords[c + 3] - this.coords[c];
+        const dy = this.coords[c + 4] - this.coords[c + 1];
+        const dz = this.coords[c + 5] - this.coords[c + 2];
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    /**
+     * Programmed travel used for feed timing: XYZ in mm and A/B/C in degrees combined,
+     * the way grbl/FluidNC treat rotary axes as linear ones
+     */
+    travel(i) {
+        const c = i * 6;
+        const da = this.rotary[c + 3] - this.rotary[c];
+        const db = this.rotary[c + 4] - this.rotary[c + 1];
+        const dc = this.rotary[c + 5] - this.rotary[c + 2];
+        const d = this.distance(i);
+        return Math.sqrt(d * d + da * da + db * db + dc * dc);
+    }
+
+    // Attribute accessors
+    type(i) { return this.types[i] === SegmentStore.CUT ? 'cut' : 'rapid'; }
+    isCut(i) { return this.types[i] === SegmentStore.CUT; }
+    isRapid(i) { return this.types[i] === SegmentStore.RAPID; }
+    tool(i) { return this.tools[i]; }
+    wcsIndex(i) { return this.wcs[i]; }
+    unitsOf(i) { return this.units[i] === 1 ? 'inches' : 'mm'; }
+    feedRate(i) { return this.feedRates[i]; }
+    spindleSpeed(i) { return this.spindleSpeeds[i]; }
+    spindleDirection(i) { return this.spindleDirs[i] === 1 ? 'cw' : this.spindleDirs[i] === 2 ? 'ccw' : 'off'; }
+    coolant(i) { return { mist: (this.coolants[i] & 1) !== 0, flood: (this.coolants[i] & 2) !== 0 }; }
+    isLaser(i) { return this.lasers[i] === 1; }
+    isMachineMove(i) { return this.machineMoves[i] === 1; }
+    lineNum(i) { return this.lineNums[i]; }
+    offset(i) { return this.offsetTable[this.offsetIndex[i]]; }
+    arc(i) { return this.arcIndex[i] >= 0 ? this.arcTable[this.arcIndex[i]] : null; }
+
+    /**
+     * Spindle speed or laser power as a fraction of maxSpindleSpeed
+     * Zero when the spindle is off, and for laser-mode rapids (the laser is off during G0)
+     * @returns {number} 0-1
+     */
+    power(i) {
+        if (this.spindleDirs[i] === 0 || this.maxSpindleSpeed <= 0) return 0;
+        if (this.lasers[i] === 1 && this.types[i] === SegmentStore.RAPID) return 0;
+        return Math.min(1, this.spindleSpeeds[i] / this.maxSpindleSpeed);
+    }
+
+    /**
+     * Find the first segment generated at or after a file line
+     * @returns {number} Segment index, or -1 if none
+     */
+    findIndexByLine(lineNum) {
+        for (let i = 0; i < this.length; i++) {
+            if (this.lineNums[i] >= lineNum) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Get a segment as a plain object (for occasional lookups, not hot loops)
+     */
+    get(i) {
+        if (i < 0 || i >= this.length) return null;
+        return {
+            type: this.type(i),
+            start: this.getStart(i),
+            end: this.getEnd(i),
+            feedRate: this.feedRates[i],
+            tool: this.tools[i],
+            wcs: this.wcs[i],
+            offset: this.offset(i),
+            units: this.unitsOf(i),
+            lineNum: this.lineNums[i],
+            arc: this.arc(i),
+            spindleSpeed: this.spindleSpeeds[i],
+            spindle: this.spindleDirection(i),
+            coolant: this.coolant(i),
+            laser: this.isLaser(i),
+            machine: this.isMachineMove(i)
+        };
+    }
+
+    /**
+     * Export columns and lookup tables for postMessage; column buffers can be transferred
+     * @returns {Object} { length, columns, offsetTable, arcTable, maxSpindleSpeed, rotaryAxes, events, transfer }
+     */
+    toTransferable() {
+        this.trim();
+        const columns = {};
+        for (const name in SegmentStore.columnLayout()) {
+            columns[name] = this[name];
+        }
+        return {
+            length: this.length,
+            columns,
+            offsetTable: this.offsetTable,
+            arcTable: this.arcTable,
+            maxSpindleSpeed: this.maxSpindleSpeed,
+            rotaryAxes: this.rotaryAxes,
+            events: this.events,
+            transfer: Object.values(columns).map(column => column.buffer)
+        };
+    }
+
+    /**
+     * Rebuild a store from toTransferable() output
+     */
+    static fromTransferable(data) {
+        const store = new SegmentStore(1);
+        for (const name in data.columns) {
+            store[name] = data.columns[name];
+        }
+        store.length = data.length;
+        store.capacity = data.length;
+        store.offsetTable = data.offsetTable;
+        store.arcTable = data.arcTable;
+        store.maxSpindleSpeed = data.maxSpindleSpeed;
+        store.rotaryAxes = data.rotaryAxes;
+        store.events = data.events;
+        return store;
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * Stock Simulator Module
+ * Material removal on a heightmap: each cut move sweeps its cutter (flat, ball or V-bit) through a
+ * stock box, and the result is turned into a triangle mesh for the 3D view
+ */
+
+class StockSimulator {
+    /**
+     * @param {Object} stock - Stock box { minX, maxX, minY, maxY, minZ, maxZ } in display coordinates (mm)
+     * @param {number} maxCells - Heightmap cell budget (limits memory and mesh size)
+     */
+    constructor(stock, maxCells = 50000) {
+        this.stock = { ...stock };
+        const width = Math.max(stock.maxX - stock.minX, 1e-3);
+        const depth = Math.max(stock.maxY - stock.minY, 1e-3);
+        this.cellSize = Math.max(Math.sqrt((width * depth) / maxCells), 0.05);
+        this.nx = Math.max(2, Math.min(Math.ceil(width / this.cellSize) + 1, 1024));
+        this.ny = Math.max(2, Math.min(Math.ceil(depth / this.cellSize) + 1, 1024));
+        this.stepX = width / (this.nx - 1);
+        this.stepY = depth / (this.ny - 1);
+        this.heights = new Float32Array(this.nx * this.ny);
+        this.mesh = null; // Built on the first updateMesh()
+        this.reset();
+    }
+
+    /**
+     * Stock box around the cut moves: XY grown by the cutter radius, the top at work Z0 when the
+     * cuts go below it (otherwise the highest cut) and the bottom 1 mm under the deepest cut
+     * @param {SegmentStore} segments - Parsed segments
+     * @param {boolean} work - Display in work coordinates (otherwise machine coordinates)
+     * @param {Map} toolStates - Tool number -> { cutter, ... }
+     * @returns {Object|null} Stock box, or null without cut moves
+     */
+    static fitStock(segments, work, toolStates = new Map()) {
+        const box = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, minZ: Infinity, maxZ: -Infinity };
+        let zeroZ = null; // Work Z0 in display coordinates
+
+        for (let i = 0; i < segments.length; i++) {
+            if (segments.isRapid(i)) continue;
+            const o = segments.offset(i);
+            const ox = work ? o.x : 0, oy = work ? o.y : 0, oz = work ? o.z : 0;
+            const radius = (toolStates.get(segments.tool(i))?.cutter || Cutter.defaults()).diameter / 2;
+            if (zeroZ === null) zeroZ = o.z - oz;
+
+            for (const [x, y, z] of [
+                [segments.startX(i) - ox, segments.startY(i) - oy, segments.startZ(i) - oz],
+                [segments.endX(i) - ox, segments.endY(i) - oy, segments.endZ(i) - oz]
+            ]) {
+                box.minX = Math.min(box.minX, x - radius);
+                box.maxX = Math.max(box.maxX, x + radius);
+                box.minY = Math.min(box.minY, y - radius);
+                box.maxY = Math.max(box.maxY, y + radius);
+                box.minZ = Math.min(box.minZ, z);
+                box.maxZ = Math.max(box.maxZ, z);
+            }
+        }
+        if (zeroZ === null) return null;
+
+        const top = box.minZ < zeroZ && zeroZ <= box.maxZ + 1e-9 ? zeroZ : box.maxZ;
+        const round = (value) => Math.round(value * 1000) / 1000;
+        return {
+            minX: round(box.minX),
+            maxX: round(box.maxX),
+            minY: round(box.minY),
+            maxY: round(box.maxY),
+            minZ: round(Math.min(box.minZ, top) - 1),
+            maxZ: round(top)
+        };
+    }
+
+    /**
+     * Height of the cutter surface above its tip at a distance from the tool axis
+     * @returns {number} mm above the tip, or Infinity outside the cutter
+     */
+    static profileHeight(cutter, distance) {
+        const radius = cutter.diameter / 2;
+        if (distance > radius) return Infinity;
+        switch (cutter.type) {
+            case 'ball': return radius - Math.sqrt(radius * radius - distance * distance);
+            case 'vbit': return distance / Math.tan(((cutter.angle > 0 ? cutter.angle : 90) * Math.PI) / 360);
+            default: return 0;
+        }
+    }
+
+    /**
+     * Restore uncut stock
+     */
+    reset() {
+        this.heights.fill(this.stock.maxZ);
+        this.dirty = { j0: 0, j1: this.ny - 1 }; // Heightmap rows changed since the mesh was updated
+        this.progress = { count: 0, partial: 0 }; // Animated position cut so far (see advance)
+        this.target = { count: 0, partial: 0 };
+    }
+
+    /**
+     * Set the animated position to cut to; material can't be put back, so moving back past what is
+     * cut starts over from uncut stock
+     * @param {number} count - Segments completed
+     * @param {number} partial - Fraction of the next segment completed (0 if none)
+     */
+    setTarget(count, partial) {
+        const { progress } = this;
+        if (count < progress.count || (count === progress.count && partial < progress.partial)) this.reset();
+        this.target = { count, partial };
+    }
+
+    /**
+     * Cut towards the target until the deadline; a long catch-up (a jump ahead, or starting over after
+     * scrubbing back) finishes over the next calls instead of blocking the UI
+     * @param {Function} cutSegment - (index, t) => cut segment `index` up to fraction t of its length
+     * @param {number} deadline - performance.now() time to stop at
+     */
+    advance(cutSegment, deadline) {
+        const { progress } = this;
+        const { count, partial } = this.target;
+        while (progress.count < count && performance.now() < deadline) {
+            const batchEnd = Math.min(count, progress.count + 64);
+            for (let i = progress.count; i < batchEnd; i++) cutSegment(i, 1);
+            progress.count = batchEnd;
+            progress.partial = 0;
+        }
+        if (progress.count === count && partial > progress.partial) {
+            cutSegment(count, partial);
+            progress.partial = partial;
+        }
+    }
+
+    /**
+     * Sweep a cutter along a straight move (tip positions in display coordinates)
+     * @returns {boolean} True if any material was removed
+     */
+    cut(x0, y0, z0, x1, y1, z1, cutter) {
+        const radius = cutter.diameter / 2;
+        if (!(radius > 0) || Math.min(z0, z1) >= this.stock.maxZ) return false;
+
+        const { minX, minY } = this.stock;
+        const i0 = Math.max(0, Math.ceil((Math.min(x0, x1) - radius - minX) / this.stepX));
+        const i1 = Math.min(this.nx - 1, Math.floor((Math.max(x0, x1) + radius - minX) / this.stepX));
+        const j0 = Math.max(0, Math.ceil((Math.min(y0, y1) - radius - minY) / this.stepY));
+        const j1 = Math.min(this.ny - 1, Math.floor((Math.max(y0, y1) + radius - minY) / this.stepY));
+        if (i0 > i1 || j0 > j1) return false;
+
+        const dx = x1 - x0, dy = y1 - y0, dz = z1 - z0;
+        const lengthSq = dx * dx + dy * dy;
+        const flat = cutter.type !== 'ball' && cutter.type !== 'vbit';
+        let changed = false;
+
+        // Height of the cutter surface over a point with the tip at t (0-1) along the move
+        const heightAt = (px, py, t) => {
+            const ex = px - (x0 + dx * t), ey = py - (y0 + dy * t);
+            return z0 + dz * t + StockSimulator.profileHeight(cutter, Math.sqrt(ex * ex + ey * ey));
+        };
+
+        for (let j = j0; j <= j1; j++) {
+            const py = minY + j * this.stepY;
+            for (let i = i0; i <= i1; i++) {
+                const px = minX + i * this.stepX;
+                let height;
+
+                if (lengthSq < 1e-12) {
+                    // Plunge: the tool only moves in Z
+                    height = Math.min(z0, z1) + StockSimulator.profileHeight(cutter, Math.hypot(px - x0, py - y0));
+                } else {
+                    // Stretch of the move whose cutter covers this point
+                    const foot = ((px - x0) * dx + (py - y0) * dy) / lengthSq;
+                    const ex = px - (x0 + dx * foot), ey = py - (y0 + dy * foot);
+                    const offsetSq = ex * ex + ey * ey;
+                    if (offsetSq > radius * radius) continue;
+                    const halfWidth = Math.sqrt(radius * radius - offsetSq) / Math.sqrt(lengthSq);
+                    const from = Math.max(0, foot - halfWidth);
+                    const to = Math.min(1, foot + halfWidth);
+                    if (from > to) continue;
+
+                    const closest = Math.max(from, Math.min(to, foot));
+                    const low = dz > 0 ? from : to; // Deepest tip position in the stretch
+                    if (dz === 0) {
+                        height = heightAt(px, py, closest);
+                    } else if (flat) {
+                        height = z0 + dz * low;
+                    } else {
+                        // Ball and V-bit: the lowest point lies between the closest and the deepest tip position
+                        height = Infinity;
+                        for (let s = 0; s <= 4; s++) {
+                            height = Math.min(height, heightAt(px, py, closest + (low - closest) * s / 4));
+                        }
+                    }
+                }
+
+                const k = j * this.nx + i;
+                if (height < this.heights[k]) {
+                    this.heights[k] = height;
+                    changed = true;
+                }
+            }
+        }
+        if (changed) {
+            this.dirty = this.dirty
+                ? { j0: Math.min(this.dirty.j0, j0), j1: Math.max(this.dirty.j1, j1) }
+                : { j0, j1 };
+        }
+        return changed;
+    }
+
+    /**
+     * Triangle mesh of the stock: the heightmap surface plus side walls
+     * Cells cut down to the bottom of the stock get degenerate triangles, so through cuts show as holes
+     * while every cell keeps its place in the index buffer (see updateMesh).
+     * @returns {Object} { positions, normals (Float32Array), indices (Uint16Array or Uint32Array) }
+     */
+    buildMesh() {
+        const { nx, ny } = this;
+        const vertexCount = nx * ny + 4 * (nx + ny);
+        const indexCount = (nx - 1) * (ny - 1) * 6 + (nx + ny - 2) * 12;
+        this.mesh = {
+            positions: new Float32Array(vertexCount * 3),
+            normals: new Float32Array(vertexCount * 3),
+            indices: vertexCount > 65535 ? new Uint32Array(indexCount) : new Uint16Array(indexCount)
+        };
+        this.writeSurface(0, ny - 1);
+        this.writeCells(0, ny - 2);
+        this.writeWalls();
+
+        // Wall triangles join the wall vertices in order, so they never change
+        const indices = this.mesh.indices;
+        let n = (nx - 1) * (ny - 1) * 6;
+        let top = nx * ny;
+        for (const length of [nx, nx, ny, ny]) {
+            for (let k = 0; k < length - 1; k++, top += 2) {
+                indices.set([top, top + 1, top + 2, top + 1, top + 3, top + 2], n);
+                n += 6;
+            }
+            top += 2;
+        }
+
+        this.dirty = null;
+        return this.mesh;
+    }
+
+    /**
+     * Bring the mesh up to date with the cuts since the last call, rewriting only the rows they reached
+     * @returns {Object|null} { full: true } after building the mesh, { vertices, indices, walls } as [first, end)
+     *                        ranges to upload (walls are vertices too), or null if nothing changed
+     */
+    updateMesh() {
+        if (!this.mesh) {
+            this.buildMesh();
+            return { full: true };
+        }
+        if (!this.dirty) return null;
+
+        // Normals depend on the neighbouring heights, and cells on all four corners
+        const { nx, ny } = this;
+        const j0 = Math.max(0, this.dirty.j0 - 1);
+        const j1 = Math.min(ny - 1, this.dirty.j1 + 1);
+        this.writeSurface(j0, j1);
+        this.writeCells(Math.max(0, j0 - 1), Math.min(ny - 2, j1));
+        this.writeWalls();
+        this.dirty = null;
+        return {
+            vertices: [j0 * nx, (j1 + 1) * nx],
+            indices: [Math.max(0, j0 - 1) * (nx - 1) * 6, (Math.min(ny - 2, j1) + 1) * (nx - 1) * 6],
+            walls: [nx * ny, nx * ny + 4 * (nx + ny)]
+        };
+    }
+
+    /**
+     * Write the surface vertices of rows j0-j1, with normals from the height slopes
+     */
+    writeSurface(j0, j1) {
+        const { nx, ny, stepX, stepY } = this;
+        const { minX, minY } = this.stock;
+        const { positions, normals } = this.mesh;
+        const height = (i, j) => this.height(i, j);
+
+        for (let j = j0; j <= j1; j++) {
+            for (let i = 0; i < nx; i++) {
+                const p = (j * nx + i) * 3;
+                const slopeX = (height(Math.min(nx - 1, i + 1), j) - height(Math.max(0, i - 1), j)) / (2 * stepX);
+                const slopeY = (height(i, Math.min(ny - 1, j + 1)) - height(i, Math.max(0, j - 1))) / (2 * stepY);
+                const length = Math.hypot(slopeX, slopeY, 1);
+                positions[p] = minX + i * stepX;
+                positions[p + 1] = minY + j * stepY;
+                positions[p + 2] = height(i, j);
+                normals[p] = -slopeX / length;
+                normals[p + 1] = -slopeY / length;
+                normals[p + 2] = 1 / length;
+            }
+        }
+    }
+
+    /**
+     * Write the two triangles of each cell in rows j0-j1 (degenerate where the cell is cut through)
+     */
+    writeCells(j0, j1) {
+        const nx = this.nx;
+        const { positions, indices } = this.mesh;
+        const through = this.stock.minZ + 1e-4;
+        const triangle = (n, a, b, c) => {
+            const open = positions[a * 3 + 2] <= through && positions[b * 3 + 2] <= through && positions[c * 3 + 2] <= through;
+            indices[n] = a;
+            indices[n + 1] = open ? a : b;
+            indices[n + 2] = open ? a : c;
+        };
+        for (let j = j0; j <= j1; j++) {
+            for (let i = 0; i < nx - 1; i++) {
+                const a = j * nx + i;
+                const n = (j * (nx - 1) + i) * 6;
+                triangle(n, a, a + 1, a + nx);
+                triangle(n + 3, a + 1, a + nx + 1, a + nx);
+            }
+        }
+    }
+
+    /**
+     * Write the side walls: each edge of the heightmap joined down to the bottom of the stock
+     */
+    writeWalls() {
+        const { nx, ny, stepX, stepY } = this;
+        const { minX, minY, minZ } = this.stock;
+        const { positions, normals } = this.mesh;
+        let v = nx * ny;
+        const wall = (length, cell, normalX, normalY) => {
+            for (let k = 0; k < length; k++) {
+                const [i, j] = cell(k);
+                for (const z of [this.height(i, j), minZ]) {
+                    positions[v * 3] = minX + i * stepX;
+                    positions[v * 3 + 1] = minY + j * stepY;
+                    positions[v * 3 + 2] = z;
+                    normals[v * 3] = normalX;
+                    normals[v * 3 + 1] = normalY;
+                    v++;
+                }
+            }
+        };
+        wall(nx, (i) => [i, 0], 0, -1);
+        wall(nx, (i) => [i, ny - 1], 0, 1);
+        wall(ny, (j) => [0, j], -1, 0);
+        wall(ny, (j) => [nx - 1, j], 1, 0);
+    }
+
+    /**
+     * Surface height of a grid point, no lower than the bottom of the stock
+     */
+    height(i, j) {
+        return Math.max(this.stock.minZ, this.heights[j * this.nx + i]);
+    }
+}
@@ -0,0 +1,319 @@
+/**
+ * Surface Renderer Module
+ * Lit triangle meshes in the 3D view: the part revolved from a lathe program's turned profile and the
+ * simulated stock. Optional: without it, Renderer3D draws the toolpath only.
+ */
+
+class SurfaceRenderer {
+    /**
+     * @param {Renderer3D} renderer - 3D view whose context, segments and display settings the surfaces follow
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.gl = renderer.gl;
+        this.program = null; // Compiled on the first draw
+        this.locations = null;
+        this.lathe = null; // Revolved part mesh { position, normal, index, count, type }
+        this.stock = null; // Simulated stock mesh
+        this.stockSimulator = null; // StockSimulator when material removal is simulated
+
+        // 32-bit indices allow a finer stock heightmap
+        this.uintIndices = !!this.gl.getExtension('OES_element_index_uint');
+    }
+
+    /**
+     * Start or stop simulating material removal (see Renderer3D.setStockSimulation)
+     * @param {Object|null} settings - { stock: box in display coordinates (mm) }, or null to turn it off
+     */
+    setStockSimulation(settings) {
+        this.stockSimulator = settings ? new StockSimulator(settings.stock, this.uintIndices ? 160000 : 50000) : null;
+    }
+
+    /**
+     * Follow the animated position: rebuild the lathe part, or set where the stock is cut to
+     * @param {number} count - Segments completed
+     * @param {number} progress - Fraction of the next segment completed
+     */
+    update(count, progress) {
+        const renderer = this.renderer;
+        if (renderer.lathe) {
+            this.updateLathe(count + (progress > 0 ? 1 : 0));
+        } else if (this.lathe) {
+            this.lathe.count = 0;
+        }
+
+        if (this.stockSimulator && !renderer.lathe && !renderer.rotaryWrap) {
+            const partial = count < renderer.segments.length && progress < 1 ? progress : 0;
+            this.stockSimulator.setTarget(count, partial);
+        }
+    }
+
+    /**
+     * Turned profile of the cut moves: the smallest radius |X| cut at each Z
+     * Z positions no cut reaches keep the stock radius (the largest radius cut anywhere in the program).
+     * @param {number} count - Only cuts before this segment index remove material
+     * @returns {Object|null} { minZ, maxZ, radii } with radii sampled at bin centres, or null without cuts
+     */
+    latheProfile(count) {
+        const renderer = this.renderer;
+        const segments = renderer.segments;
+        const bins = 256;
+        let minZ = Infinity, maxZ = -Infinity, stock = 0;
+
+        for (let i = 0; i < segments.length; i++) {
+            if (segments.isRapid(i)) continue;
+            const o = renderer.displayOffset(i);
+            minZ = Math.min(minZ, segments.startZ(i) - o.z, segments.endZ(i) - o.z);
+            maxZ = Math.max(maxZ, segments.startZ(i) - o.z, segments.endZ(i) - o.z);
+            stock = Math.max(stock, Math.abs(segments.startX(i) - o.x), Math.abs(segments.endX(i) - o.x));
+        }
+        if (minZ > maxZ) return null;
+        if (maxZ - minZ < 1e-6) maxZ = minZ + 1;
+
+        const step = (maxZ - minZ) / bins;
+        const radii = new Float32Array(bins).fill(stock);
+        const binOf = (z) => Math.max(0, Math.min(bins - 1, Math.floor((z - minZ) / step)));
+
+        for (let i = 0; i < Math.min(count, segments.length); i++) {
+            if (segments.isRapid(i)) continue;
+            const o = renderer.displayOffset(i);
+            const z0 = segments.startZ(i) - o.z, z1 = segments.endZ(i) - o.z;
+            const x0 = segments.startX(i) - o.x, x1 = segments.endX(i) - o.x;
+
+            // Endpoints always count, so short moves and facing cuts land in their bin
+            radii[binOf(z0)] = Math.min(radii[binOf(z0)], Math.abs(x0));
+            radii[binOf(z1)] = Math.min(radii[binOf(z1)], Math.abs(x1));
+            if (z0 === z1) continue;
+
+            // Radius along the move at each bin centre it crosses
+            const first = Math.ceil((Math.min(z0, z1) - minZ) / step - 0.5);
+            const last = Math.floor((Math.max(z0, z1) - minZ) / step - 0.5);
+            for (let b = Math.max(0, first); b <= Math.min(bins - 1, last); b++) {
+                const z = minZ + (b + 0.5) * step;
+                const r = Math.abs(x0 + (x1 - x0) * (z - z0) / (z1 - z0));
+                radii[b] = Math.min(radii[b], r);
+            }
+        }
+
+        return { minZ, maxZ, radii };
+    }
+
+    /**
+     * Build the revolved part surface from the turned profile and upload it
+     * @param {number} count - Only cuts before this segment index remove material
+     */
+    updateLathe(count) {
+        const profile = this.latheProfile(count);
+        if (this.lathe) this.lathe.count = 0;
+        if (!profile) return;
+
+        const { minZ, maxZ, radii } = profile;
+        const bins = radii.length;
+        const step = (maxZ - minZ) / bins;
+        const sides = 48;
+        const positions = new Float32Array(bins * (sides + 1) * 3);
+        const normals = new Float32Array(bins * (sides + 1) * 3);
+        const indices = new Uint16Array((bins - 1) * sides * 6);
+
+        let p = 0;
+        for (let b = 0; b < bins; b++) {
+            const z = minZ + (b + 0.5) * step;
+            const r = radii[b];
+            const slope = (radii[Math.min(bins - 1, b + 1)] - radii[Math.max(0, b - 1)]) / (2 * step);
+
+            for (let s = 0; s <= sides; s++) {
+                const phi = s * 2 * Math.PI / sides;
+                const cos = Math.cos(phi);
+                const sin = Math.sin(phi);
+                const length = Math.hypot(slope, 1);
+                positions[p] = z;
+                positions[p + 1] = r * cos;
+                positions[p + 2] = r * sin;
+                normals[p] = -slope / length;
+                normals[p + 1] = cos / length;
+                normals[p + 2] = sin / length;
+                p += 3;
+            }
+        }
+
+        let n = 0;
+        for (let b = 0; b < bins - 1; b++) {
+            for (let s = 0; s < sides; s++) {
+                const first = b * (sides + 1) + s;
+                const second = first + sides + 1;
+                indices[n++] = first;
+                indices[n++] = second;
+                indices[n++] = first + 1;
+                indices[n++] = second;
+                indices[n++] = second + 1;
+                indices[n++] = first + 1;
+            }
+        }
+
+        this.lathe = this.uploadMesh(this.lathe, { positions, normals, indices }, this.gl.STATIC_DRAW);
+    }
+
+    /**
+     * Upload a whole mesh into a surface's buffers (new buffers when there is no surface yet)
+     * @param {Object|null} surface - Surface to reuse
+     * @param {Object} mesh - { positions, normals, indices }
+     * @param {number} usage - gl.STATIC_DRAW or gl.DYNAMIC_DRAW
+     * @returns {Object} { position, normal, index, count, type }
+     */
+    uploadMesh(surface, mesh, usage) {
+        const gl = this.gl;
+        if (!surface) {
+            surface = { position: gl.createBuffer(), normal: gl.createBuffer(), index: gl.createBuffer() };
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, surface.position);
+        gl.bufferData(gl.ARRAY_BUFFER, mesh.positions, usage);
+        gl.bindBuffer(gl.ARRAY_BUFFER, surface.normal);
+        gl.bufferData(gl.ARRAY_BUFFER, mesh.normals, usage);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, surface.index);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, mesh.indices, usage);
+        surface.count = mesh.indices.length;
+        surface.type = mesh.indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+        return surface;
+    }
+
+    /**
+     * Cut the stock towards the animated position for a few milliseconds, then upload the mesh rows that changed
+     * Runs once per frame, so a long catch-up finishes over the next frames.
+     */
+    stepStock() {
+        const gl = this.gl;
+        const renderer = this.renderer;
+        const sim = this.stockSimulator;
+        const segments = renderer.segments;
+
+        sim.advance((i, t) => {
+            if (segments.isRapid(i)) return;
+            const o = renderer.displayOffset(i);
+            const end = segments.pointAt(i, t);
+            const cutter = renderer.toolStates.get(segments.tool(i))?.cutter || Cutter.defaults();
+            sim.cut(segments.startX(i) - o.x, segments.startY(i) - o.y, segments.startZ(i) - o.z,
+                end.x - o.x, end.y - o.y, end.z - o.z, cutter);
+        }, performance.now() + 8);
+
+        const update = sim.updateMesh();
+        if (!update) return;
+
+        const mesh = sim.mesh;
+        if (update.full) {
+            this.stock = this.uploadMesh(this.stock, mesh, gl.DYNAMIC_DRAW);
+            return;
+        }
+
+        // Only the changed rows and the walls are uploaded again
+        for (const [first, end] of [update.vertices, update.walls]) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.stock.position);
+            gl.bufferSubData(gl.ARRAY_BUFFER, first * 12, mesh.positions.subarray(first * 3, end * 3));
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.stock.normal);
+            gl.bufferSubData(gl.ARRAY_BUFFER, first * 12, mesh.normals.subarray(first * 3, end * 3));
+        }
+        const [first, end] = update.indices;
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.stock.index);
+        gl.bufferSubData(gl.ELEMENT_ARRAY_BUFFER, first * mesh.indices.BYTES_PER_ELEMENT, mesh.indices.subarray(first, end));
+    }
+
+    /**
+     * Draw the revolved lathe part and the simulated stock (cut a little further each frame)
+     */
+    draw(mvp) {
+        const renderer = this.renderer;
+        const stockShown = this.stockSimulator && !renderer.lathe && !renderer.rotaryWrap;
+        if (stockShown) this.stepStock();
+
+        const dark = document.documentElement.getAttribute('data-theme') === 'dark';
+        if (this.lathe && this.lathe.count) {
+            this.drawMesh(mvp, this.lathe, dark ? [0.45, 0.45, 0.48] : [0.72, 0.72, 0.75]);
+        }
+        if (stockShown && this.stock && this.stock.count) {
+            this.drawMesh(mvp, this.stock, dark ? [0.55, 0.45, 0.33] : [0.82, 0.69, 0.52]);
+        }
+    }
+
+    /**
+     * Draw a lit triangle mesh, pushed back so the toolpath on it stays visible
+     * @param {Object} surface - Uploaded mesh (see uploadMesh)
+     * @param {number[]} color - RGB surface color
+     */
+    drawMesh(mvp, surface, color) {
+        const gl = this.gl;
+        if (!this.program) {
+            const vertexShaderSource = `
+                attribute vec3 aPosition;
+                attribute vec3 aNormal;
+                uniform mat4 uMVP;
+                varying vec3 vNormal;
+
+                void main() {
+                    gl_Position = uMVP * vec4(aPosition, 1.0);
+                    vNormal = aNormal;
+                }
+            `;
+
+            // Lit from either side, since the camera can see inner faces (lathe part ends, stock walls)
+            const fragmentShaderSource = `
+                precision mediump float;
+                uniform vec3 uColor;
+                varying vec3 vNormal;
+
+                void main() {
+                    vec3 lightDir = normalize(vec3(0.5, 0.3, 1.0));
+                    float diffuse = abs(dot(normalize(vNormal), lightDir));
+                    float lighting = 0.35 + diffuse * 0.65;
+                    gl_FragColor = vec4(uColor * lighting, 1.0);
+                }
+            `;
+
+            const vertexShader = this.renderer.compileShader(gl.VERTEX_SHADER, vertexShaderSource);
+            const fragmentShader = this.renderer.compileShader(gl.FRAGMENT_SHADER, fragmentShaderSource);
+
+            this.program = gl.createProgram();
+            gl.attachShader(this.program, vertexShader);
+            gl.attachShader(this.program, fragmentShader);
+            gl.linkProgram(this.program);
+
+            this.locations = {
+                aPosition: gl.getAttribLocation(this.program, 'aPosition'),
+                aNormal: gl.getAttribLocation(this.program, 'aNormal'),
+                uMVP: gl.getUniformLocation(this.program, 'uMVP'),
+                uColor: gl.getUniformLocation(this.program, 'uColor')
+            };
+        }
+
+        gl.useProgram(this.program);
+        gl.uniformMatrix4fv(this.locations.uMVP, false, mvp);
+        gl.uniform3fv(this.locations.uColor, color);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, surface.position);
+        gl.vertexAttribPointer(this.locations.aPosition, 3, gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(this.locations.aPosition);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, surface.normal);
+        gl.vertexAttribPointer(this.locations.aNormal, 3, gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(this.locations.aNormal);
+
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, surface.index);
+        gl.enable(gl.POLYGON_OFFSET_FILL);
+        gl.polygonOffset(1, 1);
+        gl.drawElements(gl.TRIANGLES, surface.count, surface.type, 0);
+        gl.disable(gl.POLYGON_OFFSET_FILL);
+        gl.disableVertexAttribArray(this.locations.aNormal);
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        const gl = this.gl;
+        for (const surface of [this.lathe, this.stock]) {
+            if (!surface) continue;
+            gl.deleteBuffer(surface.position);
+            gl.deleteBuffer(surface.normal);
+            gl.deleteBuffer(surface.index);
+        }
+        if (this.program) gl.deleteProgram(this.program);
+    }
+}
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { GCodeParser, Animator } = load(['segment-store', 'flow-control', 'parser', 'motion-planner', 'animator']);
+
+async function animatorFor(gcode) {
+    const animator = new Animator();
+    animator.setSegments(await new GCodeParser().parseString(`G21 G90\n${gcode}\n`));
+    return animator;
+}
+
+const program = 'G0 X10 Y10\nG1 Z-1 F300\nG1 X50 F1200\nG4 P2\nG2 X50 Y30 R10\nG0 Z5\nG0 X0 Y0';
+
+test('timeAtIndex and indexAtTime round-trip within segments', async () => {
+    const animator = await animatorFor(program);
+    const count = animator.getTotalSegments();
+    
+    for (let i = 0; i < count; i++) {
+        for (const progress of [0.25, 0.5, 0.75]) {
+            const position = animator.indexAtTime(animator.timeAtIndex(i, progress));
+            assert.strictEqual(position.index, i);
+            assert.ok(Math.abs(position.progress - progress) < 1e-9);
+        }
+    }
+});
+
+test('the start of each segment maps back to that segment, after any dwell before it', async () => {
+    const animator = await animatorFor(program);
+    
+    for (let i = 0; i < animator.getTotalSegments(); i++) {
+        const position = animator.indexAtTime(animator.timeAtIndex(i));
+        assert.strictEqual(position.index, i);
+        assert.ok(position.progress < 1e-9);
+    }
+    // The G4 P2 dwell sits between the X50 feed and the arc
+    const arc = animator.segments.findIndexByLine(6);
+    const dwellStart = animator.timeAtIndex(arc);
+    assert.ok(Math.abs(animator.timeAtIndex(arc, 1e-12) - dwellStart - 2) < 1e-6);
+    assert.deepStrictEqual({ ...animator.indexAtTime(dwellStart + 1) }, { index: arc, progress: 0 });
+});
+
+test('times past the end land on the end of the program', async () => {
+    const animator = await animatorFor(program);
+    const count = animator.getTotalSegments();
+    
+    assert.strictEqual(animator.timeAtIndex(count), animator.estimatedTotalTime);
+    assert.deepStrictEqual({ ...animator.indexAtTime(animator.estimatedTotalTime + 1) }, { index: count, progress: 1 });
+});
+
+test('seekTime moves the position and reports it', async () => {
+    const animator = await animatorFor(program);
+    const updates = [];
+    animator.onUpdate = (index, progress) => updates.push([index, progress]);
+    
+    animator.seekTime(animator.timeAtIndex(2, 0.5));
+    assert.deepStrictEqual(updates, [[2, 0.5]]);
+    assert.strictEqual(animator.getIsPlaying(), false);
+    
+    animator.seekTime(-5);
+    assert.strictEqual(animator.currentTime, 0);
+    assert.deepStrictEqual(updates[1], [0, 0]);
+});
+
+test('timeline clocks format and parse back', () => {
+    assert.strictEqual(Animator.formatClock(3723.9), '01:02:03');
+    assert.strictEqual(Animator.parseClock('01:02:03'), 3723);
+    assert.strictEqual(Animator.parseClock('T+12:30'), 750);
+    assert.strictEqual(Animator.parseClock('90s'), 90);
+    assert.strictEqual(Animator.parseClock('soon'), null);
+});
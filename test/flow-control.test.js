@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { GCodeParser } = load(['segment-store', 'flow-control', 'parser']);
+
+/**
+ * Parse a program and return the X of each segment end and the parser (for diagnostics)
+ */
+async function run(source, options = {}) {
+    const parser = new GCodeParser(options);
+    const segments = await parser.parseString(`G21 G90\n${source}\n`);
+    const xs = Array.from({ length: segments.length }, (_, i) => Math.round(segments.endX(i) * 1000) / 1000);
+    return { xs, parser };
+}
+
+test('# parameters and expressions set move words', async () => {
+    const { xs } = await run('#1 = 4\n#2 = [#1 * 2 + 1]\nG0 X#2\nG0 X[#1 / 2]\nG0 X[ABS[-3] MOD 2]');
+    
+    assert.deepStrictEqual(xs, [9, 2, 1]);
+});
+
+test('O-word subroutines take call arguments in #1-#30', async () => {
+    const { xs } = await run('O100 sub\nG0 X[#1 + #2]\nO100 endsub\nO100 call [1] [2]\nO100 call [10] [20]');
+    
+    assert.deepStrictEqual(xs, [3, 30]);
+});
+
+test('while loops run until the condition fails', async () => {
+    const { xs } = await run('#1 = 0\nO101 while [#1 LT 3]\n#1 = [#1 + 1]\nG0 X#1\nO101 endwhile');
+    
+    assert.deepStrictEqual(xs, [1, 2, 3]);
+});
+
+test('if/elseif/else runs only the first matching branch', async () => {
+    const program = (value) => `#1 = ${value}\nO102 if [#1 GT 5]\nG0 X1\nO102 elseif [#1 GT 0]\nG0 X2\nO102 else\nG0 X3\nO102 endif`;
+    
+    assert.deepStrictEqual((await run(program(10))).xs, [1]);
+    assert.deepStrictEqual((await run(program(1))).xs, [2]);
+    assert.deepStrictEqual((await run(program(-1))).xs, [3]);
+});
+
+test('M98 calls a subprogram defined later, L times', async () => {
+    const { xs } = await run('G91\nM98 P200 L3\nM30\nO200\nG0 X5\nM99');
+    
+    assert.deepStrictEqual(xs, [5, 10, 15]);
+});
+
+test('a runaway loop stops at the iteration limit with an error', async () => {
+    const { xs, parser } = await run('#1 = 0\nO103 while [1]\n#1 = [#1 + 1]\nG0 X#1\nO103 endwhile', { maxLoopIterations: 50 });
+    
+    assert.ok(xs.length <= 50);
+    assert.ok(parser.diagnostics.some((diagnostic) => diagnostic.code === 'loop-limit'));
+});
+
+test('an unknown subroutine is reported and skipped', async () => {
+    const { xs, parser } = await run('O999 call\nG0 X1');
+    
+    assert.deepStrictEqual(xs, [1]);
+    assert.strictEqual(parser.diagnostics[0].code, 'unknown-subroutine');
+});
+
+test('repeat blocks and system parameters', async () => {
+    const { xs } = await run('G10 L2 P1 X7\nG91\nO104 repeat [2]\nG0 X#5221\nO104 endrepeat');
+    
+    // Two incremental moves by #5221, the G54 X offset
+    assert.deepStrictEqual(xs, [7, 14]);
+});
+
+test('without the module, parameter and subprogram lines are reported and ignored', async () => {
+    const sandbox = load(['segment-store', 'parser']);
+    const parser = new sandbox.GCodeParser();
+    const segments = await parser.parseString('G21 G90\n#1 = 4\nG0 X#1\nG0 X2\nM98 P100\n');
+    
+    assert.strictEqual(parser.flow, null);
+    assert.strictEqual(segments.length, 1);
+    assert.strictEqual(segments.endX(0), 2);
+    assert.deepStrictEqual([...parser.diagnostics.map((diagnostic) => diagnostic.line)], [2, 3, 5]);
+});
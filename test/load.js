@@ -0,0 +1,24 @@
+/**
+ * Test helper: loads browser class files from src/js into a sandbox, as the viewer's script tags do
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * @param {string[]} files - Module names in script order (e.g. ['segment-store', 'parser'])
+ * @returns {Object} Sandbox holding the classes as globals
+ */
+function load(files) {
+    const sandbox = vm.createContext({ console, setTimeout, clearTimeout, TextEncoder, TextDecoder, performance });
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'js', `${file}.js`), 'utf8');
+        // Class declarations stay in the script scope, so expose each one on the sandbox
+        const names = [...source.matchAll(/^class (\w+)/gm)].map((match) => match[1]);
+        vm.runInContext(`${source}\n${names.map((name) => `this.${name} = ${name};`).join('\n')}`, sandbox, { filename: file });
+    }
+    return sandbox;
+}
+
+module.exports = { load };
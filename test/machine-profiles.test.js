@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { MachineProfiles } = load(['motion-planner', 'animator', 'machine-profiles']);
+
+// Storage that refuses every write, like a full or blocked localStorage
+const fullStorage = {
+    getItem: () => null,
+    setItem: () => { throw new Error('QuotaExceededError'); }
+};
+
+test('profiles stay usable in memory when storage cannot be written', () => {
+    const profiles = new MachineProfiles(fullStorage);
+    const error = console.error;
+    console.error = () => {};
+    try {
+        const profile = profiles.create('Router');
+        assert.ok(profiles.select(profile.id));
+        assert.strictEqual(profiles.active().name, 'Router');
+        assert.strictEqual(profiles.profiles.length, 2);
+    } finally {
+        console.error = error;
+    }
+});
+
+test('without localStorage the default storage keeps profiles in memory', () => {
+    const storage = MachineProfiles.defaultStorage();
+    storage.setItem(MachineProfiles.storageKey(), '{"profiles":[]}');
+    assert.strictEqual(storage.getItem(MachineProfiles.storageKey()), '{"profiles":[]}');
+    assert.strictEqual(storage.getItem('missing'), null);
+});
+
+test('work offsets are kept per WCS and edited for the default WCS', () => {
+    const profile = MachineProfiles.normalize({ defaultWcs: 1, workOffsets: [{ x: 5 }, { x: -10, y: 20, z: 'bad' }] });
+    assert.deepStrictEqual({ ...profile.workOffsets[1] }, { x: -10, y: 20, z: 0 });
+    assert.strictEqual(MachineProfiles.fieldValue(profile, 'workOffsets.x'), -10);
+
+    const changed = MachineProfiles.merge(profile, MachineProfiles.fieldChanges(profile, 'workOffsets.z', -50));
+    assert.strictEqual(changed.workOffsets[1].z, -50);
+    assert.strictEqual(changed.workOffsets[0].x, 5);
+    assert.strictEqual(profile.workOffsets[1].z, 0);
+});
+
+test('G28/G30 positions accept negative machine coordinates', () => {
+    const profile = MachineProfiles.normalize({ g28Position: { x: -300, y: 'bad', z: -5 } });
+    assert.deepStrictEqual({ ...profile.g28Position }, { x: -300, y: 0, z: -5 });
+    assert.deepStrictEqual({ ...profile.g30Position }, { x: 0, y: 0, z: 0 });
+});
+
+test('laser mode and max spindle speed fall back to the defaults when invalid', () => {
+    const profile = MachineProfiles.normalize({ laserMode: true, maxSpindleSpeed: 24000 });
+    assert.strictEqual(profile.laserMode, true);
+    assert.strictEqual(profile.maxSpindleSpeed, 24000);
+
+    const invalid = MachineProfiles.normalize({ laserMode: 'yes', maxSpindleSpeed: -1 });
+    assert.strictEqual(invalid.laserMode, false);
+    assert.strictEqual(invalid.maxSpindleSpeed, 0);
+});
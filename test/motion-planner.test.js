@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { GCodeParser, MotionPlanner } = load(['segment-store', 'flow-control', 'parser', 'motion-planner']);
+
+// Near-instant acceleration, so a move's time is its length over its rate
+const settings = { accelX: 1e9, accelY: 1e9, accelZ: 1e9, maxRateX: 3000 };
+
+async function moveTime(feedOverride) {
+    const segments = await new GCodeParser().parseString('G21 G90\nG1 X100 F2000\n');
+    const planner = new MotionPlanner({ ...settings, feedOverride });
+    return planner.segmentTimes(segments)[0];
+}
+
+test('feed override scales the programmed feed rate', async () => {
+    assert.ok(Math.abs(await moveTime(1) - 3) < 1e-3); // 100 mm at 2000 mm/min
+    assert.ok(Math.abs(await moveTime(1.5) - 2) < 1e-3); // 3000 mm/min
+});
+
+test('feed override is capped by the axis max rate', async () => {
+    // 200% of F2000 asks for 4000 mm/min, but X tops out at 3000
+    assert.ok(Math.abs(await moveTime(2) - 2) < 1e-3);
+});
+
+test('feed override is limited to 50-200%', () => {
+    assert.strictEqual(new MotionPlanner({ feedOverride: 0.1 }).feedOverride, 0.5);
+    assert.strictEqual(new MotionPlanner({ feedOverride: 3 }).feedOverride, 2);
+});
+
+// Realistic limits for the planner checks: 100 mm/s² and F600 (10 mm/s) reach cruise in 0.5 mm
+const machine = { accelX: 100, accelY: 100, accelZ: 100, junctionDeviation: 0.01 };
+
+async function totalTime(gcode, settings = machine, stops = []) {
+    const segments = await new GCodeParser().parseString(`G21 G90\n${gcode}\n`);
+    return new MotionPlanner(settings).segmentTimes(segments, stops).reduce((sum, time) => sum + time, 0);
+}
+
+function assertSeconds(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} s is not ${expected} s`);
+}
+
+test('block times follow trapezoid and triangle velocity profiles', () => {
+    // 100 mm at 10 mm/s: 0.1 s up to speed, 9.9 s cruising, 0.1 s to stop
+    assertSeconds(MotionPlanner.blockTime(100, 0, 0, 100, 100), 10.1);
+    // 1 mm with 100 mm/s asked for only peaks at 10 mm/s
+    assertSeconds(MotionPlanner.blockTime(1, 0, 0, 10000, 100), 0.2);
+});
+
+test('moves in a straight line run through the junction at full speed', async () => {
+    assertSeconds(await totalTime('G1 X100 F600'), 10.1);
+    assertSeconds(await totalTime('G1 X50 F600\nG1 X100'), 10.1);
+});
+
+test('a 90° corner slows to the junction deviation speed', async () => {
+    // grbl: v² = a·δ·sin(θ/2) / (1 - sin(θ/2)), with a along the junction direction (100·√2 for X/Y)
+    const sinHalf = Math.sqrt(0.5);
+    const junctionSqr = (100 * Math.SQRT2 * 0.01 * sinHalf) / (1 - sinHalf);
+    const decelDistance = (100 - junctionSqr) / 200;
+    const block = 0.1 + (100 - 0.5 - decelDistance) / 10 + (10 - Math.sqrt(junctionSqr)) / 100;
+    
+    assertSeconds(await totalTime('G1 X100 F600\nG1 Y100'), 2 * block);
+});
+
+test('a reversal and a stop event bring the machine to rest', async () => {
+    assertSeconds(await totalTime('G1 X100 F600\nG1 X0'), 20.2);
+    assertSeconds(await totalTime('G1 X50 F600\nG1 X100', machine, [1]), 10.2);
+});
+
+test('a shallow planner buffer makes short moves slower', async () => {
+    // 1 mm moves at 100 mm/s: the last block in the buffer must be able to stop
+    const gcode = Array.from({ length: 100 }, (_, i) => `G1 X${i + 1} F6000`).join('\n');
+    const deep = await totalTime(gcode, { ...machine, plannerBlocks: 64 });
+    const shallow = await totalTime(gcode, { ...machine, plannerBlocks: 2 });
+    
+    assert.ok(shallow > deep * 1.5);
+    assert.ok(deep >= MotionPlanner.blockTime(100, 0, 0, 10000, 100) - 1e-9); // Never faster than one 100 mm move
+});
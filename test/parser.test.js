@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const sandbox = load(['segment-store', 'flow-control', 'parser']);
+const { GCodeParser } = sandbox;
+
+test('G28 G91 Z0 sends only Z to the reference position', async () => {
+    const parser = new GCodeParser();
+    const segments = await parser.parseString('G21 G90\nG0 X10 Y20 Z5\nG28 G91 Z0\n');
+    const last = segments.length - 1;
+    
+    assert.strictEqual(segments.endX(last), 10);
+    assert.strictEqual(segments.endY(last), 20);
+    assert.strictEqual(segments.endZ(last), 0);
+});
+
+test('G28 without axis words sends every axis to the reference position', async () => {
+    const parser = new GCodeParser();
+    const segments = await parser.parseString('G21 G90\nG0 X10 Y20 Z5\nG28\n');
+    const last = segments.length - 1;
+    
+    assert.deepStrictEqual([segments.endX(last), segments.endY(last), segments.endZ(last)], [0, 0, 0]);
+});
+
+test('G28 and G30 go to the reference positions set before parsing', async () => {
+    const parser = new GCodeParser({ g28Position: { x: -5, y: -10, z: -1 }, g30Position: { x: -100, y: -200, z: -2 } });
+    const segments = await parser.parseString('G21 G90\nG0 X10 Y20 Z5\nG28 G91 Z0\nG90 G30\n');
+    const last = segments.length - 1;
+    
+    assert.strictEqual(segments.endZ(last - 1), -1);
+    assert.deepStrictEqual([segments.endX(last), segments.endY(last), segments.endZ(last)], [-100, -200, -2]);
+});
+
+test('laserMode and maxSpindleSpeed set the power of each move', async () => {
+    const parser = new GCodeParser({ laserMode: true, maxSpindleSpeed: 1000 });
+    const segments = await parser.parseString('G21 G90\nM4 S250\nG1 X10 F1000\nG0 X20\n');
+    
+    assert.strictEqual(segments.power(0), 0.25);
+    assert.strictEqual(segments.power(1), 0); // Laser off during G0
+});
+
+test('parseFile indexes the byte offset of every line', async () => {
+    // Minimal FileReader for the sandbox (parseFile reads chunks with it, as in the browser)
+    sandbox.FileReader = class {
+        readAsArrayBuffer(blob) {
+            blob.arrayBuffer().then((result) => this.onload({ target: { result } }), this.onerror);
+        }
+    };
+    const parser = new GCodeParser({ chunkSize: 4 });
+    await parser.parseFile(new Blob(['(é)\r\nG1 X1 F100\n\nG1 X2']));
+    
+    assert.deepStrictEqual([...parser.lineStarts], [0, 6, 17, 18]);
+});
+
+/**
+ * End point of each segment as [x, y, z] (machine coordinates, mm)
+ */
+function ends(segments) {
+    return Array.from({ length: segments.length }, (_, i) => [segments.endX(i), segments.endY(i), segments.endZ(i)]);
+}
+
+/**
+ * Compare coordinates stored as 32-bit floats
+ */
+function assertNear(actual, expected, tolerance = 1e-4) {
+    assert.strictEqual(actual.length, expected.length);
+    actual.flat().forEach((value, i) => {
+        assert.ok(Math.abs(value - expected.flat()[i]) <= tolerance, `${value} is not ${expected.flat()[i]}`);
+    });
+}
+
+test('G10 L2 sets a stored offset that moves in that WCS are drawn with', async () => {
+    const segments = await new GCodeParser().parseString('G21 G90\nG10 L2 P2 X100 Y50 Z-10\nG55 G0 X10 Y10 Z0\n');
+    
+    assert.deepStrictEqual(ends(segments), [[110, 60, -10]]);
+    assert.strictEqual(segments.wcsIndex(0), 1);
+    assert.deepStrictEqual({ ...segments.offset(0) }, { x: 100, y: 50, z: -10 });
+});
+
+test('G10 L20 sets the offset so the current position reads the given value', async () => {
+    const segments = await new GCodeParser().parseString('G21 G90\nG0 X30 Y40\nG10 L20 P1 X0 Y0\nG0 X5 Y5\n');
+    
+    assert.deepStrictEqual(ends(segments)[1], [35, 45, 0]);
+});
+
+test('G92 shifts the active WCS until G92.1 clears it', async () => {
+    const segments = await new GCodeParser().parseString('G21 G90\nG0 X10\nG92 X0\nG0 X5\nG92.1\nG0 X5\n');
+    
+    assert.deepStrictEqual(ends(segments).map(([x]) => x), [10, 15, 5]);
+});
+
+test('stored work offsets and the default WCS apply from the first line', async () => {
+    const parser = new GCodeParser({ workOffsets: [{ x: 1 }, { x: 200, y: 100 }], defaultWcs: 1 });
+    const segments = await parser.parseString('G21 G90\nG0 X10 Y10\nG54 G0 X10\n');
+    
+    assert.deepStrictEqual(ends(segments), [[210, 110, 0], [11, 110, 0]]);
+});
+
+test('G20 converts X/Y/Z and F to millimetres', async () => {
+    const segments = await new GCodeParser().parseString('G20 G90\nG1 X1 Y2 Z-0.5 F10\n');
+    
+    assertNear(ends(segments), [[25.4, 50.8, -12.7]]);
+    assert.strictEqual(segments.feedRate(0), 254);
+    assert.strictEqual(segments.unitsOf(0), 'inches');
+});
+
+test('G20 converts I/J/K arc centres to millimetres', async () => {
+    const xy = await new GCodeParser().parseString('G20 G90 G17\nG2 X1 Y0 I0.5 J0 F10\n');
+    assert.ok(Math.abs(xy.arc(0).radius - 12.7) < 1e-9);
+    assert.ok(Math.abs(xy.arc(0).center.x - 12.7) < 1e-9);
+    
+    const yz = await new GCodeParser().parseString('G20 G90 G19\nG2 Y0 Z1 J0 K0.5 F10\n');
+    assert.ok(Math.abs(yz.arc(0).center.z - 12.7) < 1e-9);
+});
+
+test('G21 after G20 goes back to millimetres', async () => {
+    const segments = await new GCodeParser().parseString('G20 G90\nG0 X1\nG21\nG0 X1\n');
+    
+    assertNear(ends(segments).map(([x]) => x), [25.4, 1]);
+});
+
+test('R arcs take the short way for +R and the long way for -R', async () => {
+    const short = await new GCodeParser().parseString('G21 G90 G17\nG2 X10 Y0 R10 F100\n');
+    const long = await new GCodeParser().parseString('G21 G90 G17\nG2 X10 Y0 R-10 F100\n');
+    
+    assert.ok(Math.abs(short.arc(0).sweepAngle + Math.PI / 3) < 1e-9);
+    assert.ok(Math.abs(long.arc(0).sweepAngle + 5 * Math.PI / 3) < 1e-9);
+    assertNear([[short.arc(0).center.x, short.arc(0).center.y]], [[5, -Math.sqrt(75)]]);
+    assertNear([[long.arc(0).center.x, long.arc(0).center.y]], [[5, Math.sqrt(75)]]);
+    assertNear(ends(long).slice(-1), [[10, 0, 0]]);
+});
+
+test('R arcs work in the G18 and G19 planes', async () => {
+    for (const [plane, move, axes] of [['G18', 'G3 Z10 X0 R10', ['z', 'x']], ['G19', 'G3 Y10 Z0 R-10', ['y', 'z']]]) {
+        const segments = await new GCodeParser().parseString(`G21 G90 ${plane}\n${move} F100\n`);
+        const arc = segments.arc(0);
+        const [a, b] = axes;
+        
+        assert.strictEqual(arc.radius, 10);
+        assert.ok(arc.sweepAngle > 0); // G3 is counter-clockwise
+        // The centre is 10 mm from both end points
+        assert.ok(Math.abs(Math.hypot(arc.center[a], arc.center[b]) - 10) < 1e-9);
+        assert.ok(Math.abs(Math.hypot(arc.center[a] - 10, arc.center[b]) - 10) < 1e-9);
+    }
+});
+
+test('an R arc too small to reach its end point is skipped with an error', async () => {
+    const parser = new GCodeParser();
+    const segments = await parser.parseString('G21 G90 G17\nG2 X10 Y0 R4 F100\n');
+    
+    assert.strictEqual(segments.length, 0);
+    assert.strictEqual(parser.diagnostics[0].code, 'arc-radius');
+});
+
+test('an arc that ends where it starts is a full circle', async () => {
+    const segments = await new GCodeParser().parseString('G21 G90 G17\nG0 X10 Y0\nG2 X10 Y0 I-10 J0 F100\n');
+    
+    assert.ok(Math.abs(segments.arc(1).sweepAngle + 2 * Math.PI) < 1e-9);
+    const xs = ends(segments).slice(1).map(([x]) => x);
+    assert.ok(Math.min(...xs) < -9.99);
+});
+
+test('P turns add full revolutions to a helix, descending evenly to the end Z', async () => {
+    const segments = await new GCodeParser().parseString('G21 G90 G17\nG0 X10 Y0 Z0\nG3 X10 Y0 Z-4 I-10 J0 P2 F100\n');
+    const helix = ends(segments).slice(1);
+    
+    assert.ok(Math.abs(segments.arc(1).sweepAngle - 4 * Math.PI) < 1e-9);
+    assertNear(helix.slice(-1), [[10, 0, -4]]);
+    // Every point is on the 10 mm circle, with Z falling in equal steps
+    helix.forEach(([x, y, z], i) => {
+        assert.ok(Math.abs(Math.hypot(x, y) - 10) < 1e-4);
+        assert.ok(Math.abs(z + 4 * (i + 1) / helix.length) < 1e-4);
+    });
+});
+
+test('P is rounded to whole turns and at least one', async () => {
+    const segments = await new GCodeParser().parseString('G21 G90 G17\nG0 X10 Y0\nG2 X10 Y0 I-10 J0 P0.4 F100\n');
+    
+    assert.ok(Math.abs(segments.arc(1).sweepAngle + 2 * Math.PI) < 1e-9);
+});
+
+/**
+ * Segments as [type, x, y, z] of their end points, rounded to 0.001 mm
+ */
+function moves(segments) {
+    return ends(segments).map(([x, y, z], i) => [segments.type(i), ...[x, y, z].map((v) => Math.round(v * 1000) / 1000)]);
+}
+
+test('G81 with G98 returns to the initial Z, with G99 to the R plane', async () => {
+    const g98 = await new GCodeParser().parseString('G21 G90 G98\nG0 X0 Y0 Z10\nG81 X5 Y5 R2 Z-3 F100\n');
+    assert.deepStrictEqual(moves(g98).slice(1), [
+        ['rapid', 5, 5, 10], ['rapid', 5, 5, 2], ['cut', 5, 5, -3], ['rapid', 5, 5, 10]
+    ]);
+    
+    // The cycle stays active for the next hole (X10) with the same R and Z
+    const g99 = await new GCodeParser().parseString('G21 G90 G99\nG0 X0 Y0 Z10\nG81 X5 Y5 R2 Z-3 F100\nX10\n');
+    assert.deepStrictEqual(moves(g99).slice(1), [
+        ['rapid', 5, 5, 10], ['rapid', 5, 5, 2], ['cut', 5, 5, -3], ['rapid', 5, 5, 2],
+        ['rapid', 10, 5, 2], ['cut', 10, 5, -3], ['rapid', 10, 5, 2]
+    ]);
+});
+
+test('G83 pecks retract to the R plane and G73 pecks only break the chip', async () => {
+    const g83 = await new GCodeParser().parseString('G21 G90 G98\nG0 X0 Y0 Z5\nG83 X0 Y0 R1 Z-5 Q2 F100\n');
+    assert.deepStrictEqual(moves(g83).slice(1).map(([type, , , z]) => [type, z]), [
+        ['rapid', 1], ['cut', -1], ['rapid', 1], ['rapid', -0.746], ['cut', -3],
+        ['rapid', 1], ['rapid', -2.746], ['cut', -5], ['rapid', 5]
+    ]);
+    
+    const g73 = await new GCodeParser().parseString('G21 G90 G98\nG0 X0 Y0 Z5\nG73 X0 Y0 R1 Z-5 Q2 F100\n');
+    assert.deepStrictEqual(moves(g73).slice(1).map(([type, , , z]) => [type, z]), [
+        ['rapid', 1], ['cut', -1], ['rapid', -0.746], ['cut', -3], ['rapid', -2.746], ['cut', -5], ['rapid', 5]
+    ]);
+});
+
+test('L repeats a G91 cycle along a row of holes', async () => {
+    const segments = await new GCodeParser().parseString('G21 G91 G99\nG0 Z5\nG81 X10 R-3 Z-2 L3 F100\n');
+    const holes = moves(segments).filter(([type]) => type === 'cut');
+    
+    assert.deepStrictEqual(holes, [['cut', 10, 0, 0], ['cut', 20, 0, 0], ['cut', 30, 0, 0]]);
+    assert.deepStrictEqual(moves(segments).slice(-1), [['rapid', 30, 0, 2]]);
+});
+
+test('arc segment counts follow the chord tolerance', async () => {
+    // A 10 mm radius quarter circle: each chord may span 2·acos(1 - tolerance / radius)
+    const count = async (arcTolerance) => {
+        const parser = new GCodeParser({ arcTolerance });
+        return (await parser.parseString('G21 G90 G17\nG0 X10 Y0\nG3 X0 Y10 I-10 J0 F100\n')).length - 1;
+    };
+    for (const tolerance of [0.1, 0.01, 0.001]) {
+        assert.strictEqual(await count(tolerance), Math.ceil((Math.PI / 2) / (2 * Math.acos(1 - tolerance / 10))));
+    }
+    assert.strictEqual(await count(undefined), await count(0.01)); // Default 0.01 mm
+});
+
+test('every arc chord stays within the tolerance of the true arc', async () => {
+    const parser = new GCodeParser({ arcTolerance: 0.05 });
+    const segments = await parser.parseString('G21 G90 G17\nG0 X20 Y0\nG2 X-20 Y0 I-20 J0 F100\n');
+    
+    for (let i = 1; i < segments.length; i++) {
+        const midX = (segments.startX(i) + segments.endX(i)) / 2;
+        const midY = (segments.startY(i) + segments.endY(i)) / 2;
+        assert.ok(20 - Math.hypot(midX, midY) <= 0.05 + 1e-4);
+    }
+});
+
+test('arcs smaller than the tolerance still get a few segments', async () => {
+    const parser = new GCodeParser({ arcTolerance: 1 });
+    const segments = await parser.parseString('G21 G90 G17\nG0 X0.5 Y0\nG2 X0.5 Y0 I-0.5 J0 F100\n');
+    
+    assert.strictEqual(segments.length - 1, 4); // Quarter turns
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { StockSimulator } = load(['cutter', 'stock-simulator']);
+
+const stock = { minX: 0, maxX: 10, minY: 0, maxY: 10, minZ: -5, maxZ: 0 };
+const flat = { type: 'flat', diameter: 2 };
+
+test('updating the mesh after a cut matches building it from scratch', () => {
+    const sim = new StockSimulator(stock, 400);
+    assert.strictEqual(sim.updateMesh().full, true);
+    assert.strictEqual(sim.updateMesh(), null);
+
+    sim.cut(2, 5, -1, 8, 5, -1, flat);
+    sim.cut(5, 2, -6, 5, 2, -6, flat); // Through cut
+    const update = sim.updateMesh();
+    assert.ok(update.vertices[0] > 0 && update.vertices[1] < sim.nx * sim.ny); // Only the rows cut
+
+    const rebuilt = new StockSimulator(stock, 400);
+    rebuilt.heights.set(sim.heights);
+    const mesh = rebuilt.buildMesh();
+    assert.deepStrictEqual([...sim.mesh.positions], [...mesh.positions]);
+    assert.deepStrictEqual([...sim.mesh.normals], [...mesh.normals]);
+    assert.deepStrictEqual([...sim.mesh.indices], [...mesh.indices]);
+});
+
+test('cells cut through get degenerate triangles', () => {
+    const sim = new StockSimulator(stock, 400);
+    sim.cut(5, 5, -6, 5, 5, -6, flat);
+    const { indices } = sim.buildMesh();
+    let open = 0;
+    for (let n = 0; n < (sim.nx - 1) * (sim.ny - 1) * 6; n += 3) {
+        if (indices[n] === indices[n + 1] && indices[n] === indices[n + 2]) open++;
+    }
+    assert.ok(open > 0);
+});
+
+test('moving the target back past what is cut starts over from uncut stock', () => {
+    const sim = new StockSimulator(stock, 400);
+    const cuts = [];
+    const cutSegment = (index, t) => cuts.push([index, t]);
+
+    sim.setTarget(3, 0.5);
+    sim.advance(cutSegment, Infinity);
+    assert.deepStrictEqual(cuts.map((cut) => [...cut]), [[0, 1], [1, 1], [2, 1], [3, 0.5]]);
+
+    // Further along: only the rest is cut
+    cuts.length = 0;
+    sim.setTarget(4, 0);
+    sim.advance(cutSegment, Infinity);
+    assert.deepStrictEqual(cuts.map((cut) => [...cut]), [[3, 1]]);
+
+    sim.cut(5, 5, -1, 5, 5, -1, flat);
+    cuts.length = 0;
+    sim.setTarget(1, 0);
+    assert.ok(sim.heights.every((height) => height === stock.maxZ));
+    sim.advance(cutSegment, Infinity);
+    assert.deepStrictEqual(cuts.map((cut) => [...cut]), [[0, 1]]);
+});